@@ -0,0 +1,122 @@
+/**
+ * Accommodations for the ISTQB Quiz App
+ *
+ * ISTQB grants 25% extra time to candidates who take the exam in a language
+ * other than their own. The accommodations profile lets users study with the
+ * time they will have in the exam and adapt the page to their reading needs:
+ * larger text, high contrast, no animations and a dyslexia-friendly font.
+ *
+ * The profile belongs to the browser (localStorage, like the interface
+ * language). The display settings are applied through classes and CSS
+ * variables of the root element (see the theme at the top of styles.css); the
+ * extra time lengthens the countdown of the sessions started afterwards.
+ */
+
+const ACCOMMODATIONS_STORAGE_KEY = 'quiz_accommodations';
+
+// Choices offered for the extra time (percentage of the exam duration) and the text size
+const EXTRA_TIME_OPTIONS = [0, 25, 50, 100];
+const FONT_SCALE_OPTIONS = [1, 1.25, 1.5];
+
+const DEFAULT_ACCOMMODATIONS = {
+    extraTimePercent: 0,
+    fontScale: 1,
+    highContrast: false,
+    reducedMotion: false,
+    dyslexiaFont: false
+};
+
+// Class of the root element for each display setting (see styles.css)
+const ACCOMMODATION_CLASSES = {
+    highContrast: 'high-contrast',
+    reducedMotion: 'reduced-motion',
+    dyslexiaFont: 'dyslexia-font'
+};
+
+/**
+ * Check a profile and fill in the missing settings
+ * @param {*} value - Stored or edited profile
+ * @returns {Object} - Profile with every setting of DEFAULT_ACCOMMODATIONS
+ */
+function normalizeAccommodations(value) {
+    const profile = { ...DEFAULT_ACCOMMODATIONS };
+    if (!value || typeof value !== 'object') {
+        return profile;
+    }
+    if (EXTRA_TIME_OPTIONS.includes(value.extraTimePercent)) {
+        profile.extraTimePercent = value.extraTimePercent;
+    }
+    if (FONT_SCALE_OPTIONS.includes(value.fontScale)) {
+        profile.fontScale = value.fontScale;
+    }
+    Object.keys(ACCOMMODATION_CLASSES).forEach(setting => {
+        profile[setting] = value[setting] === true;
+    });
+    return profile;
+}
+
+/**
+ * Load the accommodations profile of this browser
+ * @returns {Object} - Profile (the defaults when none was saved)
+ */
+function loadAccommodations() {
+    try {
+        const saved = localStorage.getItem(ACCOMMODATIONS_STORAGE_KEY);
+        return normalizeAccommodations(saved ? JSON.parse(saved) : null);
+    } catch (error) {
+        console.warn('Unable to load accommodations:', error);
+        return { ...DEFAULT_ACCOMMODATIONS };
+    }
+}
+
+/**
+ * Save the accommodations profile of this browser
+ * @param {Object} profile - Profile to save
+ * @returns {string} - 'saved', 'full' or 'failed', as saveQuizState()
+ */
+function saveAccommodations(profile) {
+    try {
+        localStorage.setItem(ACCOMMODATIONS_STORAGE_KEY, JSON.stringify(normalizeAccommodations(profile)));
+        return 'saved';
+    } catch (error) {
+        console.warn('Unable to save accommodations:', error);
+        return isStorageQuotaError(error) ? 'full' : 'failed';
+    }
+}
+
+/**
+ * Apply the display settings of a profile to the page
+ * @param {Object} profile - Accommodations profile
+ * @param {HTMLElement} root - Element carrying the theme (the <html> element)
+ */
+function applyAccommodations(profile, root = document.documentElement) {
+    root.style.setProperty('--font-scale', String(profile.fontScale));
+    Object.entries(ACCOMMODATION_CLASSES).forEach(([setting, className]) => {
+        root.classList.toggle(className, Boolean(profile[setting]));
+    });
+}
+
+/**
+ * Get the duration of a timed session with the extra time
+ * @param {number} durationMinutes - Duration of the exam profile
+ * @param {number} extraTimePercent - Extra time granted, e.g. 25
+ * @returns {number} - Seconds
+ */
+function getExtendedDurationSeconds(durationMinutes, extraTimePercent = 0) {
+    return Math.round(durationMinutes * 60 * (100 + extraTimePercent) / 100);
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ACCOMMODATIONS_STORAGE_KEY,
+        EXTRA_TIME_OPTIONS,
+        FONT_SCALE_OPTIONS,
+        DEFAULT_ACCOMMODATIONS,
+        normalizeAccommodations,
+        loadAccommodations,
+        saveAccommodations,
+        applyAccommodations,
+        getExtendedDurationSeconds
+    };
+}
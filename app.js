@@ -3,15 +3,47 @@
  * Main application logic for handling quiz loading, navigation, and grading
  */
 
+// Pseudo quiz name used for sessions that draw from every loaded quiz
+const ALL_QUIZZES_KEY = '*';
+
 class QuizApp {
     constructor() {
         this.quizzes = new Map();
+        this.quizMeta = new Map();
+        this.questionIndex = new Map();
+        this.reviewQuestions = [];
+        this.builderCriteria = null;
+        this.pendingImports = [];
+        this.lastResults = null;
+        this.editor = null;
         this.currentQuiz = null;
+        this.sessionMode = 'exam';
+        this.samplingInfo = null;
+        this.sessionSeed = null;
+        this.sessionStartedAt = null;
+        this.pendingQuestionIndex = null;
         this.currentQuestions = [];
         this.currentQuestionIndex = 0;
         this.userAnswers = {};
+        this.lockedQuestions = {};
+        this.flaggedQuestions = {};
+        this.questionTiming = createQuestionTiming();
+        this.pauses = [];
         this.timer = null;
-        this.timeRemaining = 60 * 60; // 60 minutes in seconds
+        this.customProfiles = {};
+        this.pdfFolder = DEFAULT_PDF_FOLDER;
+        this.pendingUpdate = null;
+        this.storageStatus = 'saved';
+        this.resumeMessage = 'resume.prompt';
+        this.sessionBlocked = false;
+        this.sessionLockMessage = 'sessionLock.elsewhere';
+        this.sessionLock = createSessionLock((sessionKey, reason) => this.blockSession(sessionKey, reason));
+        // { seed, paper } of the session opened from a shared link
+        this.sharedPaper = null;
+        this.accommodations = loadAccommodations();
+        this.sessionExtraTimePercent = 0;
+        this.examProfile = resolveExamProfile(DEFAULT_EXAM_PROFILE_ID);
+        this.timeRemaining = this.getSessionDurationSeconds();
         this.validationErrors = [];
         
         this.initializeApp();
@@ -21,23 +53,265 @@ class QuizApp {
      * Initialize the application
      */
     async initializeApp() {
+        applyAccommodations(this.accommodations);
+        this.applyLocale();
         this.setupEventListeners();
+        purgeExpiredQuizStates();
         await this.loadQuizzes();
         this.displayQuizList();
+        this.refreshReviewPanel();
+        this.handleLocationHash();
+        registerServiceWorker(update => this.showUpdateBanner(update));
     }
 
     /**
      * Setup event listeners for UI interactions
      */
     setupEventListeners() {
+        // Interface language
+        document.getElementById('locale-select').addEventListener('change', (e) => {
+            this.changeLocale(e.target.value);
+        });
+
+        // Accommodations profile
+        document.getElementById('show-accommodations-btn').addEventListener('click', () => {
+            this.toggleAccommodations();
+        });
+
+        document.getElementById('accommodations-close-btn').addEventListener('click', () => {
+            this.toggleAccommodations();
+        });
+
+        document.getElementById('accommodations-form').addEventListener('change', () => {
+            this.updateAccommodations();
+        });
+
         // Landing page events
         document.getElementById('quiz-list').addEventListener('click', (e) => {
             if (e.target.classList.contains('start-quiz-btn')) {
                 const quizName = e.target.dataset.quiz;
                 this.startQuiz(quizName);
+            } else if (e.target.classList.contains('simulate-quiz-btn')) {
+                const quizName = e.target.dataset.quiz;
+                this.startQuiz(quizName, 'simulation');
+            } else if (e.target.classList.contains('practice-quiz-btn')) {
+                const quizName = e.target.dataset.quiz;
+                this.startQuiz(quizName, 'practice');
+            } else if (e.target.classList.contains('remove-import-btn')) {
+                const quizName = e.target.dataset.quiz;
+                this.removeImportedQuiz(quizName);
+            }
+        });
+
+        // Import of local quiz files (drag-and-drop anywhere on the landing page, or file picker)
+        const landingPageEl = document.getElementById('landing-page');
+        const dropZoneEl = document.getElementById('import-drop-zone');
+        
+        landingPageEl.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZoneEl.classList.add('drag-over');
+        });
+
+        landingPageEl.addEventListener('dragleave', (e) => {
+            if (!landingPageEl.contains(e.relatedTarget)) {
+                dropZoneEl.classList.remove('drag-over');
+            }
+        });
+
+        landingPageEl.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZoneEl.classList.remove('drag-over');
+            this.importQuizFiles(e.dataTransfer.files);
+        });
+
+        document.getElementById('import-file-input').addEventListener('change', (e) => {
+            this.importQuizFiles(e.target.files);
+            e.target.value = '';
+        });
+
+        document.getElementById('import-preview-confirm').addEventListener('click', () => {
+            this.confirmPendingImports();
+        });
+
+        document.getElementById('import-preview-cancel').addEventListener('click', () => {
+            this.cancelPendingImports();
+        });
+
+        document.getElementById('simulate-all-btn').addEventListener('click', () => {
+            this.startQuiz(ALL_QUIZZES_KEY, 'simulation');
+        });
+
+        document.getElementById('start-review-btn').addEventListener('click', () => {
+            this.startReview();
+        });
+
+        document.getElementById('show-dashboard-btn').addEventListener('click', () => {
+            this.showDashboard();
+        });
+
+        // Custom quiz builder events
+        document.getElementById('show-builder-btn').addEventListener('click', () => {
+            this.toggleBuilder();
+        });
+
+        document.getElementById('builder-panel').addEventListener('change', (e) => {
+            if (e.target.classList.contains('builder-chapter-checkbox')) {
+                document.querySelectorAll(`input[name="builder-area"][data-chapter="${e.target.dataset.chapter}"]`)
+                    .forEach(input => {
+                        input.checked = e.target.checked;
+                    });
+            }
+            if (e.target.id !== 'builder-preset-select' && e.target.id !== 'builder-preset-name') {
+                this.updateBuilderAvailability();
+            }
+        });
+
+        document.getElementById('builder-count').addEventListener('input', () => {
+            this.updateBuilderAvailability();
+        });
+
+        document.getElementById('builder-preset-select').addEventListener('change', (e) => {
+            this.applyBuilderPreset(e.target.value);
+        });
+
+        document.getElementById('builder-save-preset-btn').addEventListener('click', () => {
+            this.saveBuilderPresetFromForm();
+        });
+
+        document.getElementById('builder-delete-preset-btn').addEventListener('click', () => {
+            this.deleteSelectedBuilderPreset();
+        });
+
+        document.getElementById('builder-start-btn').addEventListener('click', () => {
+            this.startCustomQuiz();
+        });
+
+        // Quiz editor events
+        document.getElementById('show-editor-btn').addEventListener('click', () => {
+            this.openEditor();
+        });
+
+        document.getElementById('editor-quiz-select').addEventListener('change', (e) => {
+            this.openEditor(e.target.value);
+        });
+
+        document.getElementById('editor-question-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.editor-question-item');
+            if (item) {
+                this.selectEditorQuestion(parseInt(item.dataset.index, 10));
+            }
+        });
+
+        document.getElementById('editor-form').addEventListener('input', () => {
+            this.updateEditorDraft();
+        });
+
+        document.getElementById('editor-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+        });
+
+        document.getElementById('editor-add-option-btn').addEventListener('click', () => {
+            this.addEditorOption();
+        });
+
+        document.getElementById('editor-remove-option-btn').addEventListener('click', () => {
+            this.removeEditorOption();
+        });
+
+        document.getElementById('editor-add-question-btn').addEventListener('click', () => {
+            this.addEditorQuestion();
+        });
+
+        document.getElementById('editor-delete-question-btn').addEventListener('click', () => {
+            this.deleteEditorQuestion();
+        });
+
+        document.getElementById('editor-save-btn').addEventListener('click', () => {
+            this.saveEditorQuiz();
+        });
+
+        document.getElementById('editor-download-btn').addEventListener('click', () => {
+            this.downloadEditorQuiz();
+        });
+
+        document.getElementById('editor-back-btn').addEventListener('click', () => {
+            if (this.confirmDiscardEditorChanges()) {
+                this.editor = null;
+                this.goToLandingPage();
+            }
+        });
+
+        // Dashboard events
+        document.getElementById('dashboard-back-btn').addEventListener('click', () => {
+            this.goToLandingPage();
+        });
+
+        document.getElementById('clear-history-btn').addEventListener('click', () => {
+            this.confirmClearHistory();
+        });
+
+        document.getElementById('dashboard-quiz-filter').addEventListener('change', () => {
+            this.renderScoreTrend();
+        });
+
+        document.getElementById('export-disputes-btn').addEventListener('click', () => {
+            this.exportDisputes();
+        });
+
+        document.getElementById('clear-disputes-btn').addEventListener('click', () => {
+            this.confirmClearDisputes();
+        });
+
+        // Dispute form of each question on the results page
+        document.getElementById('question-results').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-dispute-action]');
+            if (button) {
+                this.handleDisputeAction(button.dataset.disputeAction, button.closest('.dispute'));
+            }
+        });
+
+        // Question navigator, flags and pre-submit review
+        document.getElementById('flag-btn').addEventListener('click', () => {
+            this.toggleFlag();
+        });
+
+        document.getElementById('navigator-grid').addEventListener('click', (e) => {
+            const cell = e.target.closest('.navigator-cell');
+            if (cell) {
+                this.goToQuestion(parseInt(cell.dataset.index, 10));
+            }
+        });
+
+        document.getElementById('submit-review').addEventListener('click', (e) => {
+            const jump = e.target.closest('.submit-review-jump');
+            if (jump) {
+                this.closeSubmitReview();
+                this.goToQuestion(parseInt(jump.dataset.index, 10));
+            }
+        });
+
+        document.getElementById('submit-review-back').addEventListener('click', () => {
+            this.closeSubmitReview();
+        });
+
+        // "Fonte" links open the document in the viewer panel; modified clicks keep the new tab
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.source-link');
+            if (link && e.button === 0 && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+                e.preventDefault();
+                this.openSourceViewer(link.getAttribute('href'), link.dataset.sourceTitle);
             }
         });
 
+        document.getElementById('source-viewer-close').addEventListener('click', () => {
+            this.closeSourceViewer();
+        });
+
+        document.getElementById('submit-review-confirm').addEventListener('click', () => {
+            this.closeSubmitReview();
+            this.submitQuiz();
+        });
+
         // Resume/restart events
         document.getElementById('resume-btn').addEventListener('click', () => {
             this.resumeQuiz();
@@ -47,6 +321,32 @@ class QuizApp {
             this.restartQuiz();
         });
 
+        // Session open in another tab
+        document.getElementById('session-take-over-btn').addEventListener('click', () => {
+            this.takeOverSession();
+        });
+
+        document.getElementById('session-lock-home-btn').addEventListener('click', () => {
+            this.goToLandingPage();
+        });
+
+        // Pause (not in strict sessions, see session-timer.js)
+        document.getElementById('pause-btn').addEventListener('click', () => {
+            if (this.isSessionPaused()) {
+                this.resumeSession();
+            } else {
+                this.pauseSession('manual');
+            }
+        });
+
+        document.getElementById('pause-resume-btn').addEventListener('click', () => {
+            this.resumeSession();
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            this.handleVisibilityChange();
+        });
+
         // Quiz navigation events
         document.getElementById('prev-btn').addEventListener('click', () => {
             this.previousQuestion();
@@ -69,6 +369,44 @@ class QuizApp {
             this.retryCurrentQuiz();
         });
 
+        document.getElementById('share-session-btn').addEventListener('click', () => {
+            this.shareSession(document.getElementById('share-session-status'));
+        });
+
+        document.getElementById('share-results-btn').addEventListener('click', () => {
+            this.shareSession(document.getElementById('share-results-status'));
+        });
+
+        // Update banner
+        document.getElementById('update-banner-apply').addEventListener('click', () => {
+            this.applyPendingUpdate();
+        });
+
+        document.getElementById('update-banner-dismiss').addEventListener('click', () => {
+            document.getElementById('update-banner').classList.add('hidden');
+        });
+
+        document.getElementById('storage-warning-dismiss').addEventListener('click', () => {
+            document.getElementById('storage-warning').classList.add('hidden');
+        });
+
+        // Back/Forward, bookmarks and shared links (#quiz=...&seed=...) opened while the app is loaded
+        window.addEventListener('hashchange', () => {
+            this.handleLocationHash();
+        });
+
+        document.getElementById('print-results').addEventListener('click', () => {
+            this.printResults();
+        });
+
+        document.getElementById('export-results-csv').addEventListener('click', () => {
+            this.exportResults('csv');
+        });
+
+        document.getElementById('export-results-json').addEventListener('click', () => {
+            this.exportResults('json');
+        });
+
         // Option selection event delegation
         document.getElementById('options-container').addEventListener('change', (e) => {
             if (e.target.type === 'radio') {
@@ -82,7 +420,18 @@ class QuizApp {
 
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
-            if (document.getElementById('quiz-page').classList.contains('active')) {
+            if (this.isSourceViewerOpen() && e.key === 'Escape') {
+                this.closeSourceViewer();
+                return;
+            }
+            if (this.isSubmitReviewOpen()) {
+                if (e.key === 'Escape') {
+                    this.closeSubmitReview();
+                }
+                return;
+            }
+            if (document.getElementById('quiz-page').classList.contains('active') && !this.sessionBlocked &&
+                !this.isSessionPaused()) {
                 switch (e.key) {
                     case 'ArrowLeft':
                         if (!document.getElementById('prev-btn').disabled) {
@@ -99,6 +448,9 @@ class QuizApp {
                     case '3':
                     case '4':
                     case '5':
+                        if (this.isQuestionLocked(this.currentQuestionIndex)) {
+                            break;
+                        }
                         const optionIndex = parseInt(e.key) - 1;
                         const radioOptions = document.querySelectorAll('input[name="answer"]');
                         const checkboxOptions = document.querySelectorAll('input[name="answer-multi"]');
@@ -115,6 +467,10 @@ class QuizApp {
                             this.updateNavigationButtons();
                         }
                         break;
+                    case 'f':
+                    case 'F':
+                        this.toggleFlag();
+                        break;
                 }
             }
         });
@@ -138,8 +494,8 @@ class QuizApp {
                 // Fallback to sample quiz if no files found
                 await this.loadSampleQuiz();
             } else {
-                for (const file of quizFiles) {
-                    await this.loadQuizFile(file);
+                for (const entry of quizFiles) {
+                    await this.loadQuizFile(entry.file, entry);
                 }
             }
         } catch (error) {
@@ -147,7 +503,10 @@ class QuizApp {
             await this.loadSampleQuiz();
         }
 
+        await this.restoreImportedQuizzes();
+
         loadingEl.classList.add('hidden');
+        this.indexQuestions();
         
         if (this.quizzes.size === 0) {
             errorEl.classList.remove('hidden');
@@ -157,33 +516,63 @@ class QuizApp {
     }
 
     /**
-     * Get list of quiz files (simplified for static deployment)
+     * Get list of quiz files from the json_Q_A/index.json manifest,
+     * falling back to the server directory listing when the manifest is missing
+     * @returns {Promise<Object[]>} - Manifest entries ({ file, title, description, ... })
      */
     async getQuizFiles() {
-        // In a real-world scenario, this would use a server endpoint
-        // For static deployment, we'll try to load known files based on the workspace structure
-        const knownFiles = [
-            'ITASTQB-QTEST-FL-2023-A-QA.json',
-            'ITASTQB-QTEST-FL-2023-B-QA.json',
-            'ITASTQB-QTEST-FL-2023-C-QA.json',
-            'ITASTQB-QTEST-FL-2023-D-QA.json'
-        ];
+        const manifestEntries = await this.loadQuizManifest();
+        if (manifestEntries) {
+            return manifestEntries;
+        }
 
-        const existingFiles = [];
-        
-        for (const filename of knownFiles) {
-            try {
-                const response = await fetch(`json_Q_A/${filename}`);
-                if (response.ok) {
-                    existingFiles.push(filename);
-                }
-            } catch (error) {
-                // File doesn't exist or can't be loaded
-                console.log(`Could not load ${filename}`);
+        return this.listQuizDirectory();
+    }
+
+    /**
+     * Load the quiz manifest generated by generate-quiz-index.js
+     * @returns {Promise<Object[]|null>} - Manifest entries or null if unavailable
+     */
+    async loadQuizManifest() {
+        try {
+            const response = await fetch('json_Q_A/index.json', { cache: 'no-cache' });
+            if (!response.ok) {
+                return null;
+            }
+
+            const parseResult = safeJsonParse(await response.text());
+            if (!parseResult.success || !parseResult.data || !Array.isArray(parseResult.data.quizzes)) {
+                this.validationErrors.push(t('load.invalidManifest'));
+                return null;
             }
+
+            this.customProfiles = parseResult.data.profiles || {};
+            this.pdfFolder = normalizePdfFolder(parseResult.data.pdfFolder);
+            return parseResult.data.quizzes.filter(entry => entry && typeof entry.file === 'string');
+        } catch (error) {
+            console.log('Quiz manifest not available:', error.message);
+            return null;
         }
+    }
+
+    /**
+     * Discover quiz files by parsing the directory listing of json_Q_A/
+     * (works with `python -m http.server` and similar static servers)
+     * @returns {Promise<Object[]>} - Entries with only the file name set
+     */
+    async listQuizDirectory() {
+        try {
+            const response = await fetch('json_Q_A/');
+            if (!response.ok) {
+                return [];
+            }
 
-        return existingFiles;
+            const html = await response.text();
+            return parseDirectoryListing(html).map(file => ({ file }));
+        } catch (error) {
+            console.log('Directory listing not available:', error.message);
+            return [];
+        }
     }
 
     /**
@@ -211,15 +600,17 @@ class QuizApp {
 
     /**
      * Load a single quiz file
+     * @param {string} filename - File name inside json_Q_A/
+     * @param {Object} entry - Manifest entry with title, description, tags, version
      */
-    async loadQuizFile(filename) {
+    async loadQuizFile(filename, entry = {}) {
         try {
             const response = await fetch(`json_Q_A/${filename}`);
             const text = await response.text();
             const parseResult = safeJsonParse(text);
             
             if (!parseResult.success) {
-                this.validationErrors.push(`${filename}: Errore parsing JSON - ${parseResult.error}`);
+                this.validationErrors.push(t('load.parseError', { file: filename, error: parseResult.error }));
                 return;
             }
 
@@ -228,160 +619,1136 @@ class QuizApp {
             if (validation.isValid) {
                 const quizName = getQuizTitle(filename);
                 this.quizzes.set(quizName, validation.validQuestions);
+                this.quizMeta.set(quizName, { ...entry, file: filename });
             }
             
             this.validationErrors.push(...validation.errors);
+            // Warnings do not discard questions: keep them out of the error panel
+            validation.warnings.forEach(warning => console.warn(warning));
             
         } catch (error) {
-            this.validationErrors.push(`${filename}: Errore caricamento file - ${error.message}`);
+            this.validationErrors.push(t('load.fileError', { file: filename, error: error.message }));
         }
     }
 
     /**
-     * Display the list of available quizzes
+     * Add the quizzes imported in previous visits, stored in IndexedDB
      */
-    displayQuizList() {
-        const quizListEl = document.getElementById('quiz-list');
-        quizListEl.innerHTML = '';
-
-        if (this.quizzes.size === 0) {
-            quizListEl.innerHTML = '<p>Nessun quiz disponibile.</p>';
-            return;
+    async restoreImportedQuizzes() {
+        try {
+            const records = await loadImportedQuizzes();
+            records.forEach(record => this.registerImportedQuiz(record));
+        } catch (error) {
+            console.warn('Unable to load imported quizzes:', error);
         }
+    }
 
-        this.quizzes.forEach((questions, quizName) => {
-            const quizItem = document.createElement('div');
-            quizItem.className = 'quiz-item';
-            quizItem.innerHTML = `
-                <h3>${escapeHtml(quizName)}</h3>
-                <p>Numero di domande: ${questions.length}</p>
-                <button class="btn btn-primary start-quiz-btn" data-quiz="${escapeHtml(quizName)}">
-                    Inizia
-                </button>
-            `;
-            quizListEl.appendChild(quizItem);
+    /**
+     * Make an imported quiz available next to the bundled ones
+     * @param {Object} record - Record built by parseQuizFile()
+     */
+    registerImportedQuiz(record) {
+        this.quizzes.set(record.name, record.questions);
+        this.quizMeta.set(record.name, {
+            file: record.file,
+            title: record.title,
+            importedAt: record.importedAt,
+            imported: true
         });
     }
 
     /**
-     * Display validation errors if any
+     * Import quiz files chosen by the user
+     * Files in the app's JSON format are added right away; converted formats
+     * wait in the preview until the user confirms them.
+     * @param {FileList|File[]} files - Dropped or picked files
      */
-    displayValidationErrors() {
-        const errorsEl = document.getElementById('validation-errors');
-        const errorListEl = document.getElementById('error-list');
+    async importQuizFiles(files) {
+        const statusEl = document.getElementById('import-status');
+        const imported = [];
         
-        if (this.validationErrors.length > 0) {
-            errorListEl.innerHTML = this.validationErrors
-                .map(error => `<li>${escapeHtml(error)}</li>`)
-                .join('');
-            errorsEl.classList.remove('hidden');
+        for (const file of Array.from(files || [])) {
+            try {
+                const result = await parseQuizFile(file);
+                result.warnings.forEach(warning => console.warn(warning));
+                
+                if (result.record && result.format.id !== 'json') {
+                    this.pendingImports = this.pendingImports.filter(pending => pending.record.name !== result.record.name);
+                    this.pendingImports.push(result);
+                } else {
+                    this.validationErrors.push(...result.errors);
+                    if (result.record) {
+                        await this.addImportedQuiz(result.record);
+                        imported.push(result.record.title);
+                    }
+                }
+            } catch (error) {
+                this.validationErrors.push(`${file.name}: ${t('import.error', { error: error.message })}`);
+            }
+        }
+        
+        if (imported.length > 0) {
+            statusEl.textContent = t('import.done', { count: imported.length, titles: imported.join(', ') });
+        } else if (this.pendingImports.length > 0) {
+            statusEl.textContent = t('import.checkPreview');
         } else {
-            errorsEl.classList.add('hidden');
+            statusEl.textContent = t('import.none');
         }
+        
+        this.renderImportPreview();
+        this.displayValidationErrors();
     }
 
     /**
-     * Start a quiz
+     * Store an imported quiz and show it in the list
+     * @param {Object} record - Record built by parseQuizFile()
      */
-    startQuiz(quizName) {
-        const savedState = loadQuizState(quizName);
-        
-        if (savedState) {
-            this.currentQuiz = quizName;
-            this.setupResumePrompt(savedState);
-        } else {
-            this.initializeNewQuiz(quizName);
-        }
+    async addImportedQuiz(record) {
+        await saveImportedQuiz(record);
+        this.registerImportedQuiz(record);
+        document.getElementById('error-message').classList.add('hidden');
+        this.indexQuestions();
+        this.displayQuizList();
     }
 
     /**
-     * Setup resume prompt for saved quiz
+     * Show the conversion result of the files waiting for confirmation
      */
-    setupResumePrompt(savedState) {
-        this.showPage('quiz-page');
-        document.getElementById('resume-prompt').classList.remove('hidden');
-        document.getElementById('question-container').classList.add('hidden');
-        document.querySelector('.quiz-controls').classList.add('hidden');
+    renderImportPreview() {
+        const previewEl = document.getElementById('import-preview');
         
-        document.getElementById('quiz-title').textContent = this.currentQuiz;
+        if (this.pendingImports.length === 0) {
+            previewEl.classList.add('hidden');
+            return;
+        }
         
-        // Store saved state for potential resume
-        this.savedState = savedState;
+        document.getElementById('import-preview-list').innerHTML = this.pendingImports.map(pending => {
+            const messages = [...pending.conversionWarnings, ...pending.errors];
+            return `
+                <div class="import-preview-item">
+                    <h5>${escapeHtml(pending.record.title)}</h5>
+                    <p>${escapeHtml(t('import.previewFormat', { format: pending.format.name, count: pending.record.questions.length }))}</p>
+                    ${messages.length > 0 ? `
+                    <ul class="import-preview-warnings">
+                        ${messages.map(message => `<li>${escapeHtml(message)}</li>`).join('')}
+                    </ul>` : `<p class="import-preview-ok">${t('import.noWarnings')}</p>`}
+                </div>
+            `;
+        }).join('');
+        previewEl.classList.remove('hidden');
     }
 
     /**
-     * Resume a saved quiz
+     * Add the converted quizzes shown in the preview
      */
-    resumeQuiz() {
-        const questions = this.quizzes.get(this.currentQuiz);
-        this.currentQuestions = this.savedState.questions;
-        this.currentQuestionIndex = this.savedState.currentQuestionIndex;
-        this.userAnswers = this.savedState.userAnswers;
-        this.timeRemaining = this.savedState.timeRemaining;
+    async confirmPendingImports() {
+        const pending = this.pendingImports;
+        this.pendingImports = [];
         
-        this.startQuizDisplay();
-        this.savedState = null;
+        try {
+            for (const result of pending) {
+                await this.addImportedQuiz(result.record);
+            }
+            document.getElementById('import-status').textContent =
+                t('import.done', { count: pending.length, titles: pending.map(result => result.record.title).join(', ') });
+        } catch (error) {
+            this.validationErrors.push(t('import.error', { error: error.message }));
+            this.displayValidationErrors();
+        }
+        this.renderImportPreview();
     }
 
     /**
-     * Restart a quiz (ignore saved state)
+     * Discard the converted quizzes shown in the preview
      */
-    restartQuiz() {
-        clearQuizState(this.currentQuiz);
-        this.initializeNewQuiz(this.currentQuiz);
+    cancelPendingImports() {
+        this.pendingImports = [];
+        document.getElementById('import-status').textContent = t('import.cancelled');
+        this.renderImportPreview();
     }
 
     /**
-     * Initialize a new quiz session
+     * Remove an imported quiz from the list and from IndexedDB
+     * @param {string} quizName - Quiz identifier
      */
-    initializeNewQuiz(quizName) {
-        this.currentQuiz = quizName;
-        const questions = this.quizzes.get(quizName);
+    async removeImportedQuiz(quizName) {
+        const meta = this.quizMeta.get(quizName) || {};
+        if (!confirm(t('import.confirmRemove', { title: meta.title || quizName }))) {
+            return;
+        }
         
-        // Shuffle questions for each attempt
-        this.currentQuestions = shuffleArray(questions).map(prepareQuestionForDisplay);
-        this.currentQuestionIndex = 0;
-        this.userAnswers = {};
-        this.timeRemaining = 60 * 60; // Reset timer to 60 minutes
+        try {
+            await deleteImportedQuiz(quizName);
+        } catch (error) {
+            console.warn('Unable to delete imported quiz:', error);
+            return;
+        }
         
-        this.startQuizDisplay();
+        this.quizzes.delete(quizName);
+        this.quizMeta.delete(quizName);
+        ['exam', 'practice', 'simulation'].forEach(mode => clearQuizState(this.getSessionKey(quizName, mode)));
+        this.indexQuestions();
+        this.displayQuizList();
     }
 
     /**
-     * Start the quiz display and timer
+     * Index every loaded question by its stable key (see getQuestionKey)
+     */
+    indexQuestions() {
+        this.questionIndex.clear();
+        this.quizzes.forEach((questions, quizName) => {
+            questions.forEach(question => {
+                const key = getQuestionKey(question);
+                if (!this.questionIndex.has(key)) {
+                    this.questionIndex.set(key, { quizName, question });
+                }
+            });
+        });
+    }
+
+    /**
+     * Display the list of available quizzes
+     */
+    displayQuizList() {
+        const quizListEl = document.getElementById('quiz-list');
+        quizListEl.innerHTML = '';
+
+        const simulationPanelEl = document.getElementById('simulation-panel');
+        simulationPanelEl.classList.add('hidden');
+
+        if (this.quizzes.size === 0) {
+            quizListEl.innerHTML = `<p>${t('landing.noQuizzes')}</p>`;
+            return;
+        }
+
+        this.quizzes.forEach((questions, quizName) => {
+            const meta = localizeQuizMeta(this.quizMeta.get(quizName) || {});
+            const profile = this.getExamProfile(quizName);
+            const canSimulate = questions.some(question => getQuestionChapter(question) !== null);
+            if (canSimulate) {
+                simulationPanelEl.classList.remove('hidden');
+            }
+            const description = meta.imported ?
+                t('landing.importedFrom', { file: meta.file, date: new Date(meta.importedAt).toLocaleDateString(getLocaleTag()) }) :
+                meta.description;
+            const tags = meta.imported ? [t('landing.importedTag')] : (Array.isArray(meta.tags) ? meta.tags : []);
+            const tagsHtml = tags.length > 0 ?
+                `<div class="quiz-tags">${tags.map(tag => `<span class="quiz-tag">${escapeHtml(tag)}</span>`).join('')}</div>` : '';
+
+            const quizItem = document.createElement('div');
+            quizItem.className = 'quiz-item';
+            quizItem.innerHTML = `
+                <h3>${escapeHtml(meta.title || quizName)}</h3>
+                ${description ? `<p class="quiz-description">${escapeHtml(description)}</p>` : ''}
+                ${tagsHtml}
+                <p>${t('landing.questionCount', { count: questions.length })}${meta.version ? ` <span class="quiz-version">v${escapeHtml(meta.version)}</span>` : ''}</p>
+                <p class="quiz-profile">${escapeHtml(profile.name)}: ${escapeHtml(describeExamProfile(profile))}</p>
+                <button class="btn btn-primary start-quiz-btn" data-quiz="${escapeHtml(quizName)}">
+                    ${t('landing.start')}
+                </button>
+                <button class="btn btn-secondary practice-quiz-btn" data-quiz="${escapeHtml(quizName)}">
+                    ${t('landing.practice')}
+                </button>
+                ${canSimulate ? `
+                <button class="btn btn-secondary simulate-quiz-btn" data-quiz="${escapeHtml(quizName)}">
+                    ${t('landing.simulate')}
+                </button>` : ''}
+                ${meta.imported ? `
+                <button class="btn btn-danger remove-import-btn" data-quiz="${escapeHtml(quizName)}">
+                    ${t('landing.remove')}
+                </button>` : ''}
+            `;
+            quizListEl.appendChild(quizItem);
+        });
+    }
+
+    /**
+     * Get the exam profile configured for a quiz in the manifest
+     * @param {string} quizName - Quiz identifier
+     * @returns {Object} - Resolved exam profile
+     */
+    getExamProfile(quizName) {
+        const meta = this.quizMeta.get(quizName) || {};
+        return resolveExamProfile(meta.profile || DEFAULT_EXAM_PROFILE_ID, this.customProfiles);
+    }
+
+    /**
+     * Display validation errors if any
+     */
+    displayValidationErrors() {
+        const errorsEl = document.getElementById('validation-errors');
+        const errorListEl = document.getElementById('error-list');
+        
+        if (this.validationErrors.length > 0) {
+            errorListEl.innerHTML = this.validationErrors
+                .map(error => `<li>${escapeHtml(error)}</li>`)
+                .join('');
+            errorsEl.classList.remove('hidden');
+        } else {
+            errorsEl.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Get the localStorage key of a session
+     * @param {string} quizName - Quiz identifier (or ALL_QUIZZES_KEY)
+     * @param {string} mode - Session mode ('exam', 'simulation', 'review', 'practice' or 'custom')
+     * @returns {string} - Key passed to saveQuizState/loadQuizState
+     */
+    getSessionKey(quizName, mode) {
+        if (mode === 'review') {
+            return 'review';
+        }
+        return mode === 'exam' ? quizName : `${mode}:${quizName}`;
+    }
+
+    /**
+     * Get the title shown in the quiz header for the current session
+     */
+    getSessionTitle() {
+        const meta = localizeQuizMeta(this.quizMeta.get(this.currentQuiz) || {});
+        const quizTitle = this.currentQuiz === ALL_QUIZZES_KEY ? t('session.allQuizzes') : (meta.title || this.currentQuiz);
+        if (this.sessionMode === 'review') {
+            return t('session.review');
+        }
+        if (this.sessionMode === 'practice') {
+            return t('session.practiceTitle', { quiz: quizTitle });
+        }
+        if (this.sessionMode === 'custom') {
+            const name = this.builderCriteria && this.builderCriteria.name;
+            return name ? t('session.customNamed', { name }) : t('session.custom');
+        }
+        return this.sessionMode === 'simulation' ? t('session.simulationTitle', { quiz: quizTitle }) : quizTitle;
+    }
+
+    /**
+     * Start a quiz
+     * @param {string} quizName - Quiz identifier (or ALL_QUIZZES_KEY)
+     * @param {string} mode - 'exam' to shuffle the whole quiz, 'simulation' to sample by blueprint,
+     *                        'review' for the due spaced-repetition cards (see startReview),
+     *                        'practice' for immediate feedback after each answer,
+     *                        'custom' for the builder criteria (see startCustomQuiz)
+     */
+    startQuiz(quizName, mode = 'exam') {
+        const savedState = loadQuizState(this.getSessionKey(quizName, mode));
+        
+        if (savedState) {
+            this.currentQuiz = quizName;
+            this.sessionMode = mode;
+            this.setupResumePrompt(savedState);
+        } else {
+            this.initializeNewQuiz(quizName, mode);
+        }
+    }
+
+    /**
+     * Start a review session made of the questions due in the spaced-repetition schedule
+     */
+    async startReview() {
+        let dueCards = [];
+        try {
+            dueCards = getDueReviewCards(await loadReviewCards());
+        } catch (error) {
+            console.warn('Unable to load review cards:', error);
+        }
+        
+        this.reviewQuestions = dueCards
+            .map(card => this.questionIndex.get(card.key))
+            .filter(Boolean)
+            .slice(0, REVIEW_SESSION_LIMIT)
+            .map(entry => entry.question);
+        
+        if (this.reviewQuestions.length === 0) {
+            this.refreshReviewPanel();
+            return;
+        }
+        
+        this.startQuiz(ALL_QUIZZES_KEY, 'review');
+    }
+
+    /**
+     * Show or hide the custom quiz builder on the landing page
+     */
+    toggleBuilder() {
+        const panelEl = document.getElementById('builder-panel');
+        const isOpening = panelEl.classList.contains('hidden');
+        
+        if (isOpening) {
+            this.renderBuilderOptions();
+            this.renderBuilderPresets();
+            if (this.builderCriteria) {
+                this.applyBuilderCriteria(this.builderCriteria);
+            }
+            this.updateBuilderAvailability();
+        }
+        panelEl.classList.toggle('hidden', !isOpening);
+        document.getElementById('show-builder-btn').setAttribute('aria-expanded', String(isOpening));
+    }
+
+    /**
+     * Render the chapter/sub-area tree, K-levels and sources of the builder
+     */
+    renderBuilderOptions() {
+        const questions = filterQuestionPool(this.quizzes, {});
+        const byNumber = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+        
+        // Same FL-x / FL-x.y hierarchy used by the results summary
+        const objectiveCounts = {};
+        let withoutArea = 0;
+        questions.forEach(question => {
+            const objective = normalizeLearningObjective(question.learning_objective);
+            if (objective) {
+                objectiveCounts[objective] = (objectiveCounts[objective] || 0) + 1;
+            } else {
+                withoutArea++;
+            }
+        });
+        const grouped = this.groupLearningObjectivesByMacroArea(objectiveCounts);
+        
+        const countObjectives = objectives => Object.values(objectives).reduce((sum, count) => sum + count, 0);
+        let areasHtml = Object.keys(grouped).sort(byNumber).map(macroArea => {
+            const subAreas = grouped[macroArea].subAreas;
+            const subAreasHtml = Object.keys(subAreas).sort(byNumber).map(subArea => `
+                <label class="builder-option">
+                    <input type="checkbox" name="builder-area" value="${subArea}" data-chapter="${macroArea}" checked>
+                    ${subArea} <span class="builder-count">(${countObjectives(subAreas[subArea].objectives)})</span>
+                </label>
+            `).join('');
+            const chapterCount = Object.values(subAreas)
+                .reduce((sum, subArea) => sum + countObjectives(subArea.objectives), 0);
+            
+            return `
+                <div class="builder-chapter">
+                    <label class="builder-option">
+                        <input type="checkbox" class="builder-chapter-checkbox" data-chapter="${macroArea}" checked>
+                        <strong>${macroArea}</strong> <span class="builder-count">(${chapterCount})</span>
+                    </label>
+                    <div class="builder-sub-areas">${subAreasHtml}</div>
+                </div>
+            `;
+        }).join('');
+        if (withoutArea > 0) {
+            areasHtml += `
+                <label class="builder-option">
+                    <input type="checkbox" name="builder-area" value="${NO_SUB_AREA}" checked>
+                    ${t('builder.noArea')} <span class="builder-count">(${withoutArea})</span>
+                </label>
+            `;
+        }
+        document.getElementById('builder-areas').innerHTML = areasHtml;
+        
+        const kLevelCounts = {};
+        questions.forEach(question => {
+            if (question.k_level) {
+                kLevelCounts[question.k_level] = (kLevelCounts[question.k_level] || 0) + 1;
+            }
+        });
+        document.getElementById('builder-k-levels').innerHTML = Object.keys(kLevelCounts).sort(byNumber)
+            .map(kLevel => `
+                <label class="builder-option">
+                    <input type="checkbox" name="builder-k-level" value="${escapeHtml(kLevel)}" checked>
+                    ${escapeHtml(kLevel)} <span class="builder-count">(${kLevelCounts[kLevel]})</span>
+                </label>
+            `).join('');
+        
+        document.getElementById('builder-sources').innerHTML = [...this.quizzes.entries()]
+            .map(([quizName, quizQuestions]) => {
+                const meta = localizeQuizMeta(this.quizMeta.get(quizName) || {});
+                return `
+                    <label class="builder-option">
+                        <input type="checkbox" name="builder-source" value="${escapeHtml(quizName)}" checked>
+                        ${escapeHtml(meta.title || quizName)} <span class="builder-count">(${quizQuestions.length})</span>
+                    </label>
+                `;
+            }).join('');
+    }
+
+    /**
+     * Read the builder form
+     * @returns {Object} - Criteria { name, areas, kLevels, sources, questionCount }
+     */
+    readBuilderCriteria() {
+        const checkedValues = name => [...document.querySelectorAll(`input[name="${name}"]:checked`)]
+            .map(input => input.value);
+        
+        return {
+            name: document.getElementById('builder-preset-name').value.trim() || null,
+            areas: checkedValues('builder-area'),
+            kLevels: checkedValues('builder-k-level'),
+            sources: checkedValues('builder-source'),
+            questionCount: Math.max(1, parseInt(document.getElementById('builder-count').value, 10) || 1),
+            excludeAmbiguous: document.getElementById('builder-exclude-ambiguous').checked
+        };
+    }
+
+    /**
+     * Fill the builder form from saved criteria
+     * @param {Object} criteria - Criteria as returned by readBuilderCriteria()
+     */
+    applyBuilderCriteria(criteria) {
+        const check = (name, values) => {
+            document.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+                input.checked = !values || values.includes(input.value);
+            });
+        };
+        check('builder-area', criteria.areas);
+        check('builder-k-level', criteria.kLevels);
+        check('builder-source', criteria.sources);
+        
+        document.getElementById('builder-count').value = criteria.questionCount || 40;
+        document.getElementById('builder-exclude-ambiguous').checked = Boolean(criteria.excludeAmbiguous);
+        document.getElementById('builder-preset-name').value = criteria.name || '';
+    }
+
+    /**
+     * Sync the chapter checkboxes and show how many questions match the form
+     */
+    updateBuilderAvailability() {
+        document.querySelectorAll('.builder-chapter-checkbox').forEach(chapterEl => {
+            const subAreas = [...document.querySelectorAll(`input[name="builder-area"][data-chapter="${chapterEl.dataset.chapter}"]`)];
+            const checkedCount = subAreas.filter(input => input.checked).length;
+            chapterEl.checked = checkedCount === subAreas.length;
+            chapterEl.indeterminate = checkedCount > 0 && checkedCount < subAreas.length;
+        });
+        
+        const criteria = this.readBuilderCriteria();
+        const available = filterQuestionPool(this.quizzes, criteria).length;
+        const availableEl = document.getElementById('builder-available');
+        
+        availableEl.textContent = available > 0 && criteria.questionCount > available ?
+            t('builder.availableAll', { count: available }) :
+            t('builder.available', { count: available });
+        document.getElementById('builder-start-btn').disabled = available === 0;
+    }
+
+    /**
+     * Fill the preset selector with the saved presets
+     * @param {string} selected - Name of the preset to select
+     */
+    renderBuilderPresets(selected = '') {
+        const presets = loadBuilderPresets();
+        const selectEl = document.getElementById('builder-preset-select');
+        
+        selectEl.innerHTML = `<option value="">${t('builder.noPreset')}</option>` + Object.keys(presets)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+            .join('');
+        selectEl.value = presets[selected] ? selected : '';
+        document.getElementById('builder-delete-preset-btn').disabled = !selectEl.value;
+    }
+
+    /**
+     * Load a saved preset into the builder form
+     * @param {string} name - Preset name ('' to keep the current selections)
+     */
+    applyBuilderPreset(name) {
+        const preset = loadBuilderPresets()[name];
+        document.getElementById('builder-delete-preset-btn').disabled = !preset;
+        if (preset) {
+            this.applyBuilderCriteria(preset);
+            this.updateBuilderAvailability();
+        }
+    }
+
+    /**
+     * Save the builder form as a named preset
+     */
+    saveBuilderPresetFromForm() {
+        const nameEl = document.getElementById('builder-preset-name');
+        const criteria = this.readBuilderCriteria();
+        
+        if (!criteria.name) {
+            nameEl.focus();
+            return;
+        }
+        this.updateStorageWarning(saveBuilderPreset(criteria.name, criteria));
+        this.renderBuilderPresets(criteria.name);
+    }
+
+    /**
+     * Delete the preset selected in the builder
+     */
+    deleteSelectedBuilderPreset() {
+        const name = document.getElementById('builder-preset-select').value;
+        if (name && confirm(t('builder.confirmDeletePreset', { name }))) {
+            deleteBuilderPreset(name);
+            this.renderBuilderPresets();
+        }
+    }
+
+    /**
+     * Start a quiz generated from the builder form
+     */
+    startCustomQuiz() {
+        const criteria = this.readBuilderCriteria();
+        if (filterQuestionPool(this.quizzes, criteria).length === 0) {
+            return;
+        }
+        
+        this.builderCriteria = criteria;
+        this.startQuiz(ALL_QUIZZES_KEY, 'custom');
+    }
+
+    /**
+     * Update the review entry on the landing page with the number of due cards
+     */
+    async refreshReviewPanel() {
+        const panelEl = document.getElementById('review-panel');
+        const summaryEl = document.getElementById('review-summary');
+        const startBtn = document.getElementById('start-review-btn');
+        
+        let cards = [];
+        try {
+            cards = (await loadReviewCards()).filter(card => this.questionIndex.has(card.key));
+        } catch (error) {
+            console.warn('Unable to load review cards:', error);
+        }
+        
+        if (cards.length === 0) {
+            panelEl.classList.add('hidden');
+            return;
+        }
+        
+        const dueCount = getDueReviewCards(cards).length;
+        if (dueCount > 0) {
+            summaryEl.textContent = t('review.due', { count: dueCount, total: cards.length });
+        } else {
+            const nextDue = cards.map(card => card.dueAt).sort()[0];
+            summaryEl.textContent = t('review.noneDue', { date: new Date(nextDue).toLocaleDateString(getLocaleTag()) });
+        }
+        startBtn.disabled = dueCount === 0;
+        panelEl.classList.remove('hidden');
+    }
+
+    /**
+     * Setup resume prompt for saved quiz
+     */
+    setupResumePrompt(savedState) {
+        this.showPage('quiz-page');
+        document.getElementById('resume-prompt').classList.remove('hidden');
+        document.getElementById('question-container').classList.add('hidden');
+        document.querySelector('.quiz-controls').classList.add('hidden');
+        document.getElementById('question-navigator').classList.add('hidden');
+        
+        document.getElementById('quiz-title').textContent = this.getSessionTitle();
+        
+        const questionIndex = this.pendingQuestionIndex !== null ? this.pendingQuestionIndex : savedState.currentQuestionIndex;
+        this.setRoute(this.getSessionRoute(questionIndex + 1));
+        
+        // Store saved state for potential resume
+        this.savedState = savedState;
+        this.savedQuestions = this.restoreSessionQuestions(savedState);
+        
+        // Same paper, but some questions were edited in the quiz file since the state was saved
+        const canResume = this.savedQuestions !== null;
+        const edited = canResume && typeof savedState.questionsHash === 'string' &&
+            getQuestionsHash(this.savedQuestions) !== savedState.questionsHash;
+        this.resumeMessage = 'resume.changed';
+        if (canResume) {
+            this.resumeMessage = edited ? 'resume.edited' : 'resume.prompt';
+        }
+        document.getElementById('resume-message').textContent = t(this.resumeMessage);
+        document.getElementById('resume-btn').classList.toggle('hidden', !canResume);
+        this.claimSession();
+    }
+
+    /**
+     * Announce to the other tabs that this tab works on the current session
+     */
+    claimSession() {
+        this.sessionBlocked = false;
+        document.getElementById('session-lock-notice').classList.add('hidden');
+        this.sessionLock.claim(this.getSessionKey(this.currentQuiz, this.sessionMode));
+    }
+
+    /**
+     * Stop working on the current session because another tab has it
+     * @param {string} sessionKey - Session key reported by the lock
+     * @param {string} reason - 'elsewhere' (open in another tab) or 'taken-over' (continued in another tab)
+     */
+    blockSession(sessionKey, reason) {
+        if (this.currentQuiz === null || sessionKey !== this.getSessionKey(this.currentQuiz, this.sessionMode)) {
+            return;
+        }
+        // Hand over the latest progress to the tab that continues the session
+        if (reason === 'taken-over' && this.currentQuestions.length > 0) {
+            this.saveCurrentState();
+        }
+        this.stopTimer();
+        this.sessionBlocked = true;
+        
+        document.getElementById('submit-review').classList.add('hidden');
+        document.getElementById('resume-prompt').classList.add('hidden');
+        document.getElementById('question-container').classList.add('hidden');
+        document.querySelector('.quiz-controls').classList.add('hidden');
+        document.getElementById('question-navigator').classList.add('hidden');
+        this.sessionLockMessage = reason === 'taken-over' ? 'sessionLock.takenOver' : 'sessionLock.elsewhere';
+        document.getElementById('session-lock-message').textContent = t(this.sessionLockMessage);
+        document.getElementById('session-lock-notice').classList.remove('hidden');
+    }
+
+    /**
+     * Continue in this tab the session open in another tab
+     * The other tab saves its progress and stops, then the session is offered for resume here.
+     */
+    async takeOverSession() {
+        const quizName = this.currentQuiz;
+        const mode = this.sessionMode;
+        document.getElementById('session-take-over-btn').disabled = true;
+        
+        await this.sessionLock.takeOver(this.getSessionKey(quizName, mode));
+        
+        document.getElementById('session-take-over-btn').disabled = false;
+        this.resetQuizState();
+        this.startQuiz(quizName, mode);
+    }
+
+    /**
+     * Resume a saved quiz
+     */
+    resumeQuiz() {
+        this.currentQuestions = this.savedQuestions;
+        this.sessionSeed = typeof this.savedState.seed === 'number' ? this.savedState.seed : null;
+        this.currentQuestionIndex = this.savedState.currentQuestionIndex;
+        this.userAnswers = this.savedState.userAnswers;
+        this.lockedQuestions = this.savedState.lockedQuestions || {};
+        this.flaggedQuestions = this.savedState.flaggedQuestions || {};
+        this.questionTiming = restoreQuestionTiming(this.savedState.questionTiming);
+        this.pauses = restorePauses(this.savedState.pauses);
+        this.sessionExtraTimePercent = this.savedState.extraTimePercent || 0;
+        this.builderCriteria = this.savedState.builderCriteria || this.builderCriteria;
+        if (this.sessionMode === 'review' && Array.isArray(this.savedState.reviewKeys)) {
+            this.reviewQuestions = this.getSavedReviewQuestions(this.savedState);
+        }
+        this.timeRemaining = this.savedState.timeRemaining;
+        if (isStrictClockMode(this.sessionMode) && typeof this.savedState.timerEndsAt === 'number') {
+            // The time of a strict session kept running while the page was closed
+            this.timeRemaining = Math.max(0, Math.ceil((this.savedState.timerEndsAt - Date.now()) / 1000));
+        }
+        this.examProfile = this.savedState.examProfile || this.getExamProfile(this.currentQuiz);
+        this.samplingInfo = this.savedState.samplingInfo || null;
+        this.sessionStartedAt = this.savedState.sessionStartedAt || new Date().toISOString();
+        
+        this.startQuizDisplay();
+        this.savedState = null;
+        this.savedQuestions = null;
+    }
+
+    /**
+     * Restart a quiz (ignore saved state)
+     */
+    restartQuiz() {
+        // A new paper starts from the first question, whatever the link asked for
+        this.pendingQuestionIndex = null;
+        clearQuizState(this.getSessionKey(this.currentQuiz, this.sessionMode));
+        this.initializeNewQuiz(this.currentQuiz, this.sessionMode);
+    }
+
+    /**
+     * Initialize a new quiz session
+     * @param {string} quizName - Quiz identifier (or ALL_QUIZZES_KEY)
+     * @param {string} mode - Session mode ('exam', 'simulation', 'review', 'practice' or 'custom')
+     * @param {number} seed - Seed of the session, a new one unless a shared session is reproduced
+     */
+    initializeNewQuiz(quizName, mode = 'exam', seed = generateSeed()) {
+        this.currentQuiz = quizName;
+        this.sessionMode = mode;
+        this.sessionSeed = seed;
+        this.sessionStartedAt = new Date().toISOString();
+        
+        this.currentQuestions = this.drawSessionQuestions(quizName, mode, seed);
+        this.currentQuestionIndex = 0;
+        this.userAnswers = {};
+        this.lockedQuestions = {};
+        this.flaggedQuestions = {};
+        this.questionTiming = createQuestionTiming();
+        this.pauses = [];
+        // Extra time set in the accommodations afterwards applies to the next session
+        this.sessionExtraTimePercent = this.accommodations.extraTimePercent;
+        this.timeRemaining = this.getSessionDurationSeconds();
+        
+        this.startQuizDisplay();
+    }
+
+    /**
+     * Draw the questions of a session and set its exam profile and sampling info
+     * The same quiz, mode and seed always give the same questions in the same order,
+     * with the same option order (given the same loaded quizzes, builder criteria
+     * or review questions).
+     * @param {string} quizName - Quiz identifier (or ALL_QUIZZES_KEY)
+     * @param {string} mode - Session mode
+     * @param {number} seed - Seed of the session
+     * @param {Object} sources - Builder criteria and review questions to draw from, the current ones by default
+     * @returns {Array} - Questions prepared for display
+     */
+    drawSessionQuestions(quizName, mode, seed, { builderCriteria = this.builderCriteria, reviewQuestions = this.reviewQuestions } = {}) {
+        const random = createSeededRandom(seed);
+        this.samplingInfo = null;
+        
+        let selectedQuestions;
+        if (mode === 'simulation') {
+            // Draw a paper following the official chapter and K-level distribution
+            const blueprint = EXAM_BLUEPRINTS[DEFAULT_BLUEPRINT_ID];
+            const pool = quizName === ALL_QUIZZES_KEY ?
+                [...this.quizzes.values()].flat() :
+                this.quizzes.get(quizName);
+            
+            this.examProfile = resolveExamProfile(blueprint.profile, this.customProfiles);
+            const paper = buildExamPaper(this.getSamplingPool(pool), blueprint, random);
+            this.samplingInfo = {
+                blueprint: paper.blueprint,
+                source: quizName,
+                distribution: paper.distribution,
+                warnings: paper.warnings
+            };
+            selectedQuestions = paper.questions;
+        } else if (mode === 'review') {
+            // Due cards collected by startReview(), graded with the default pass rule
+            this.examProfile = resolveExamProfile(DEFAULT_EXAM_PROFILE_ID);
+            selectedQuestions = shuffleArray(reviewQuestions, random);
+        } else if (mode === 'custom') {
+            // Questions matching the builder criteria, with the default pass rule and
+            // a countdown scaled on the default profile's time per question
+            const customQuiz = buildCustomQuiz(this.quizzes, builderCriteria, random);
+            const baseProfile = resolveExamProfile(DEFAULT_EXAM_PROFILE_ID);
+            const questionCount = customQuiz.questions.length;
+            
+            this.examProfile = resolveExamProfile({
+                extends: DEFAULT_EXAM_PROFILE_ID,
+                id: 'custom',
+                name: t('session.custom'),
+                questionCount,
+                durationMinutes: Math.max(1, Math.round(questionCount * baseProfile.durationMinutes / baseProfile.questionCount))
+            });
+            selectedQuestions = customQuiz.questions;
+        } else if (mode === 'practice') {
+            // Practice goes through the whole quiz, without countdown
+            this.examProfile = this.getExamProfile(quizName);
+            selectedQuestions = shuffleArray(this.getSamplingPool(this.quizzes.get(quizName)), random);
+        } else {
+            // Shuffle questions for each attempt, then keep as many as the profile asks for
+            this.examProfile = this.getExamProfile(quizName);
+            selectedQuestions = shuffleArray(this.getSamplingPool(this.quizzes.get(quizName)), random);
+            if (this.examProfile.questionCount && selectedQuestions.length > this.examProfile.questionCount) {
+                selectedQuestions = selectedQuestions.slice(0, this.examProfile.questionCount);
+            }
+        }
+        
+        return selectedQuestions.map(question => prepareQuestionForDisplay(question, random));
+    }
+
+    /**
+     * Rebuild the questions of a saved session from its seed
+     * @param {Object} state - Saved state
+     * @returns {Array|null} - Questions, or null when the quizzes changed since the state was saved
+     */
+    restoreSessionQuestions(state) {
+        // States saved before seeds were introduced carry the whole question list
+        if (Array.isArray(state.questions)) {
+            return state.questions;
+        }
+        if (typeof state.seed !== 'number') {
+            return null;
+        }
+        if (this.currentQuiz !== ALL_QUIZZES_KEY && !this.quizzes.has(this.currentQuiz)) {
+            return null;
+        }
+        
+        // Draw from the saved criteria and due cards, which replace the current ones only on resume
+        const questions = this.drawSessionQuestions(this.currentQuiz, this.sessionMode, state.seed, {
+            builderCriteria: state.builderCriteria || this.builderCriteria,
+            reviewQuestions: this.getSavedReviewQuestions(state)
+        });
+        return getPaperFingerprint(questions) === state.paperFingerprint ? questions : null;
+    }
+
+    /**
+     * Get the due cards a saved review session was drawn from
+     * @param {Object} state - Saved state
+     * @returns {Array} - Questions of the saved review keys still in the loaded quizzes
+     */
+    getSavedReviewQuestions(state) {
+        return (state.reviewKeys || [])
+            .map(key => this.questionIndex.get(key))
+            .filter(Boolean)
+            .map(entry => entry.question);
+    }
+
+    /**
+     * Check whether the current session can be reproduced from a link
+     * @returns {boolean} - True for exam, practice and simulation sessions with a seed
+     */
+    isShareableSession() {
+        return SHAREABLE_MODES.includes(this.sessionMode) && this.sessionSeed !== null;
+    }
+
+    /**
+     * Show the "Condividi prova" buttons only for sessions that can be reproduced
+     */
+    updateShareButtons() {
+        const shareable = this.isShareableSession();
+        ['share-session-btn', 'share-results-btn'].forEach(id => {
+            document.getElementById(id).classList.toggle('hidden', !shareable);
+        });
+        ['share-session-status', 'share-results-status'].forEach(id => {
+            const statusEl = document.getElementById(id);
+            statusEl.textContent = '';
+            statusEl.classList.remove('warning');
+        });
+        this.updateSharedPaperNotice();
+    }
+
+    /**
+     * Warn when a session opened from a shared link did not give the paper of the sender
+     * The same seed draws other questions when the loaded quizzes differ (quizzes
+     * imported in one of the browsers, a quiz file updated in between, ...).
+     */
+    updateSharedPaperNotice() {
+        const shared = this.sharedPaper;
+        if (!shared || shared.seed !== this.sessionSeed || getPaperFingerprint(this.currentQuestions) === shared.paper) {
+            return;
+        }
+        ['share-session-status', 'share-results-status'].forEach(id => {
+            const statusEl = document.getElementById(id);
+            statusEl.textContent = t('share.paperMismatch');
+            statusEl.classList.add('warning');
+        });
+    }
+
+    /**
+     * Copy the link that reproduces the current session
+     * @param {HTMLElement} statusEl - Element that reports the outcome
+     */
+    async shareSession(statusEl) {
+        if (!this.isShareableSession()) {
+            return;
+        }
+        
+        const hash = buildShareHash({
+            quiz: this.currentQuiz,
+            mode: this.sessionMode,
+            seed: this.sessionSeed,
+            paper: getPaperFingerprint(this.currentQuestions)
+        });
+        const url = `${location.origin}${location.pathname}${location.search}${hash}`;
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            statusEl.textContent = t('share.copied', { seed: this.sessionSeed });
+            statusEl.classList.remove('warning');
+        } catch (error) {
+            // Clipboard not available (e.g. page opened from file://): let the user copy it
+            window.prompt(t('share.copyPrompt'), url);
+        }
+    }
+
+    /**
+     * Start the session described by a shared link (#quiz=...&mode=...&seed=...)
+     */
+    openSharedSession() {
+        const shared = parseShareHash(location.hash);
+        if (!shared) {
+            return;
+        }
+        
+        // Drop the fragment so reloading the page does not start the session again
+        history.replaceState(null, '', `${location.pathname}${location.search}${buildRoute({ page: 'landing' })}`);
+        
+        if (shared.quiz !== ALL_QUIZZES_KEY && !this.quizzes.has(shared.quiz)) {
+            this.validationErrors.push(t('share.quizMissing', { quiz: shared.quiz }));
+            this.displayValidationErrors();
+            return;
+        }
+        
+        const sessionKey = this.getSessionKey(shared.quiz, shared.mode);
+        const savedState = loadQuizState(sessionKey);
+        if (savedState && savedState.seed !== shared.seed &&
+            !confirm(t('share.confirmReplace'))) {
+            return;
+        }
+        
+        this.resetQuizState();
+        // Links copied before fingerprints were added cannot be checked
+        this.sharedPaper = shared.paper ? { seed: shared.seed, paper: shared.paper } : null;
+        if (savedState && savedState.seed === shared.seed) {
+            // Same paper: offer to resume it
+            this.startQuiz(shared.quiz, shared.mode);
+        } else {
+            clearQuizState(sessionKey);
+            this.initializeNewQuiz(shared.quiz, shared.mode, shared.seed);
+        }
+    }
+
+    /**
+     * Remove the ambiguous questions from a pool when the exam profile asks so
+     * @param {Array} questions - Candidate questions
+     * @returns {Array} - Questions that can be drawn
+     */
+    getSamplingPool(questions) {
+        return this.examProfile.excludeAmbiguous ?
+            questions.filter(question => question.ambiguous !== true) :
+            questions;
+    }
+
+    /**
+     * Start the quiz display and timer
      */
     startQuizDisplay() {
         this.showPage('quiz-page');
         document.getElementById('resume-prompt').classList.add('hidden');
         document.getElementById('question-container').classList.remove('hidden');
         document.querySelector('.quiz-controls').classList.remove('hidden');
+        document.getElementById('question-navigator').classList.remove('hidden');
         
-        document.getElementById('quiz-title').textContent = this.currentQuiz;
+        document.getElementById('quiz-title').textContent = this.getSessionTitle();
+        this.updateShareButtons();
+        this.claimSession();
+        
+        // A link to a question of the session opens it directly
+        if (this.pendingQuestionIndex !== null) {
+            if (this.pendingQuestionIndex < this.currentQuestions.length) {
+                this.currentQuestionIndex = this.pendingQuestionIndex;
+            }
+            this.pendingQuestionIndex = null;
+        }
         
         this.startTimer();
+        this.updatePauseDisplay();
         this.displayCurrentQuestion();
         this.updateNavigationButtons();
     }
 
+    /**
+     * Check whether the current session runs against the countdown
+     */
+    isTimedSession() {
+        return this.sessionMode !== 'review' && this.sessionMode !== 'practice';
+    }
+
+    /**
+     * Get the time allowed for the current session, extra time included
+     * @returns {number} - Seconds
+     */
+    getSessionDurationSeconds() {
+        return getExtendedDurationSeconds(this.examProfile.durationMinutes, this.sessionExtraTimePercent);
+    }
+
     /**
      * Start the countdown timer
      */
     startTimer() {
+        const timerEl = document.getElementById('timer');
+        const pacingEl = document.getElementById('pacing');
+        this.stopTimer();
+        document.getElementById('pause-btn').classList.toggle('hidden', isStrictClockMode(this.sessionMode));
+        document.getElementById('strict-clock').classList.toggle('hidden', !isStrictClockMode(this.sessionMode));
+        if (!this.isTimedSession()) {
+            timerEl.classList.add('hidden');
+            pacingEl.classList.add('hidden');
+            return;
+        }
+        timerEl.classList.remove('hidden');
+        pacingEl.classList.remove('hidden');
         this.updateTimerDisplay();
         
-        this.timer = setInterval(() => {
-            this.timeRemaining--;
-            this.updateTimerDisplay();
-            
+        this.timer = createCountdown(this.timeRemaining, remaining => {
             // Auto-save every 30 seconds
-            if (this.timeRemaining % 30 === 0) {
+            const autoSave = Math.floor(remaining / 30) !== Math.floor(this.timeRemaining / 30);
+            this.timeRemaining = remaining;
+            this.updateTimerDisplay();
+            if (autoSave && remaining > 0) {
                 this.saveCurrentState();
             }
-            
-            if (this.timeRemaining <= 0) {
-                this.timeUp();
-            }
-        }, 1000);
+        }, () => this.timeUp());
+        this.timer.start();
+    }
+
+    /**
+     * Stop the countdown timer
+     */
+    stopTimer() {
+        if (this.timer) {
+            this.timer.stop();
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Check whether the current session is paused
+     */
+    isSessionPaused() {
+        return isPauseOpen(this.pauses);
+    }
+
+    /**
+     * Pause the current session: the time stops and the question is hidden
+     * @param {string} reason - 'manual' ("Pausa" button) or 'hidden' (tab hidden)
+     */
+    pauseSession(reason) {
+        if (isStrictClockMode(this.sessionMode) || this.isSessionPaused() || this.currentQuestions.length === 0) {
+            return;
+        }
+        startPause(this.pauses, reason);
+        if (this.timer) {
+            this.timer.stop();
+        }
+        pauseTimedQuestion(this.questionTiming);
+        document.getElementById('submit-review').classList.add('hidden');
+        this.updatePauseDisplay();
+        this.saveCurrentState();
+    }
+
+    /**
+     * Resume the paused session
+     */
+    resumeSession() {
+        if (!this.isSessionPaused()) {
+            return;
+        }
+        endPause(this.pauses);
+        resumeTimedQuestion(this.questionTiming);
+        if (this.timer) {
+            this.timer.start();
+        }
+        this.updatePauseDisplay();
+        this.saveCurrentState();
+    }
+
+    /**
+     * Blur the question and show the pause notice while the session is paused
+     */
+    updatePauseDisplay() {
+        const paused = this.isSessionPaused();
+        const pauseBtn = document.getElementById('pause-btn');
+        document.querySelector('#quiz-page .quiz-content').classList.toggle('session-paused', paused);
+        ['question-container', 'question-navigator'].forEach(id => {
+            document.getElementById(id).toggleAttribute('inert', paused);
+        });
+        document.querySelector('.quiz-controls').toggleAttribute('inert', paused);
+        document.getElementById('pause-notice').classList.toggle('hidden', !paused);
+        pauseBtn.textContent = paused ? t('pause.resume') : t('pause.pause');
+        pauseBtn.setAttribute('aria-pressed', String(paused));
+    }
+
+    /**
+     * Pause the session while the tab is hidden, unless it is strict
+     * A session paused this way goes on by itself when the tab is shown again.
+     */
+    handleVisibilityChange() {
+        if (!this.isPageActive('quiz-page') || this.currentQuestions.length === 0 || this.sessionBlocked) {
+            return;
+        }
+        if (document.hidden) {
+            this.pauseSession('hidden');
+            return;
+        }
+        const lastPause = this.pauses[this.pauses.length - 1];
+        if (this.isSessionPaused() && lastPause.reason === 'hidden') {
+            this.resumeSession();
+        } else if (this.timer && this.timer.isRunning()) {
+            // The countdown of a background tab is refreshed late: show the time left now
+            this.timer.tick();
+        }
     }
 
     /**
@@ -389,24 +1756,42 @@ class QuizApp {
      */
     updateTimerDisplay() {
         const timerEl = document.getElementById('timer');
-        timerEl.textContent = `Tempo rimanente: ${formatTime(this.timeRemaining)}`;
+        timerEl.textContent = t('quiz.timeRemaining', { time: formatTime(this.timeRemaining) });
         
         // Change color when time is running low
         if (this.timeRemaining <= 300) { // 5 minutes
-            timerEl.style.color = '#c0392b';
+            timerEl.style.color = 'var(--color-danger)';
         } else if (this.timeRemaining <= 600) { // 10 minutes
-            timerEl.style.color = '#f39c12';
+            timerEl.style.color = 'var(--color-warning)';
         } else {
-            timerEl.style.color = '#c0392b';
+            timerEl.style.color = 'var(--color-danger)';
         }
+        this.updatePacingIndicator();
+    }
+
+    /**
+     * Show whether the user is ahead of or behind the pace the exam allows
+     */
+    updatePacingIndicator() {
+        const pacingEl = document.getElementById('pacing');
+        const durationSeconds = this.getSessionDurationSeconds();
+        const answeredCount = this.currentQuestions.filter((question, index) => this.isQuestionAnswered(index)).length;
+        const pacing = getPacingStatus(durationSeconds - this.timeRemaining, answeredCount,
+            this.currentQuestions.length, durationSeconds);
+        
+        pacingEl.textContent = pacing.status === 'on-track' ?
+            t('pacing.onTrack') :
+            t(`pacing.${pacing.status}`, { minutes: pacing.minutes });
+        pacingEl.classList.toggle('behind', pacing.status === 'behind');
     }
 
     /**
      * Handle time expiry
      */
     timeUp() {
-        clearInterval(this.timer);
-        clearQuizState(this.currentQuiz);
+        this.stopTimer();
+        document.getElementById('submit-review').classList.add('hidden');
+        clearQuizState(this.getSessionKey(this.currentQuiz, this.sessionMode));
         this.submitQuiz();
     }
 
@@ -414,7 +1799,7 @@ class QuizApp {
      * Display the current question
      */
     async displayCurrentQuestion() {
-        const question = this.currentQuestions[this.currentQuestionIndex];
+        const question = localizeQuestion(this.currentQuestions[this.currentQuestionIndex]);
         const questionTextEl = document.getElementById('question-text');
         const optionsEl = document.getElementById('options-container');
         const progressEl = document.getElementById('question-progress');
@@ -422,12 +1807,12 @@ class QuizApp {
         const questionImage = document.getElementById('question-image');
         
         questionTextEl.textContent = question.question_text;
-        progressEl.textContent = `Domanda ${this.currentQuestionIndex + 1}/${this.currentQuestions.length}`;
-        
-        // Add multi-answer indicator
-        if (question.isMultiAnswer) {
-            progressEl.textContent += ' (Risposta multipla)';
-        }
+        enterTimedQuestion(this.questionTiming, this.currentQuestionIndex, this.isSessionPaused());
+        this.setRoute(this.getSessionRoute(this.currentQuestionIndex + 1));
+        this.updateQuestionProgress();
+        this.updateFlagButton();
+        document.getElementById('ambiguous-badge').classList.toggle('hidden', question.ambiguous !== true);
+        this.renderQuestionNavigator();
         
         // Handle question image
         if (question.question_image && question.question_image.trim() !== '') {
@@ -473,7 +1858,7 @@ class QuizApp {
             
             // Set initial image source and alt text
             questionImage.src = question.question_image;
-            questionImage.alt = `Immagine per la domanda ${question.question_number}`;
+            questionImage.alt = t('quiz.imageAlt', { number: question.question_number });
         } else {
             // No image path in JSON, try fallback method
             const imagePaths = getQuestionImagePath(this.currentQuiz, question.question_number);
@@ -503,7 +1888,7 @@ class QuizApp {
                 
                 // Set initial image source and alt text
                 questionImage.src = imagePaths.primary;
-                questionImage.alt = `Immagine per la domanda ${question.question_number}`;
+                questionImage.alt = t('quiz.imageAlt', { number: question.question_number });
             } else {
                 questionImageContainer.classList.add('hidden');
             }
@@ -547,6 +1932,9 @@ class QuizApp {
                     
                     // Add click handler to the entire option div
                     optionEl.addEventListener('click', () => {
+                        if (this.isQuestionLocked(this.currentQuestionIndex)) {
+                            return;
+                        }
                         const input = optionEl.querySelector(`input[type="${inputType}"]`);
                         if (question.isMultiAnswer) {
                             input.checked = !input.checked;
@@ -562,6 +1950,193 @@ class QuizApp {
                 }
             });
         }
+        
+        this.updateSelectionHint();
+        this.renderPracticeFeedback();
+    }
+
+    /**
+     * Check whether extra selections are blocked once a multi-answer question has enough
+     * @returns {boolean} - True when the exam profile enforces the number of answers
+     */
+    isSelectCountEnforced() {
+        return this.examProfile.enforceSelectCount !== false;
+    }
+
+    /**
+     * Show how many answers the current multi-answer question needs ("Seleziona 2 risposte")
+     * and, when the limit is enforced, dim the options that can no longer be ticked
+     * @param {boolean} limitHit - Whether the user just tried to select one answer too many
+     */
+    updateSelectionHint(limitHit = false) {
+        const question = this.currentQuestions[this.currentQuestionIndex];
+        const hintEl = document.getElementById('selection-hint');
+        
+        if (!question.isMultiAnswer) {
+            hintEl.classList.add('hidden');
+            return;
+        }
+        
+        const required = getRequiredSelectionCount(question);
+        const answer = this.userAnswers[this.currentQuestionIndex];
+        const selectedCount = Array.isArray(answer) ? answer.length : 0;
+        const limitReached = this.isSelectCountEnforced() && selectedCount >= required;
+        
+        hintEl.textContent = limitHit ?
+            t('quiz.selectLimitHit', { required }) :
+            t('quiz.selectHint', { required, selected: selectedCount });
+        hintEl.classList.toggle('limit-hit', limitHit);
+        hintEl.classList.remove('hidden');
+        
+        document.querySelectorAll('#options-container .option').forEach(optionEl => {
+            const input = optionEl.querySelector('input');
+            const blocked = limitReached && !input.checked;
+            optionEl.classList.toggle('unavailable', blocked);
+            input.setAttribute('aria-disabled', String(blocked));
+        });
+    }
+
+    /**
+     * Update the progress indicator (and the running score in practice mode)
+     */
+    updateQuestionProgress() {
+        const progressEl = document.getElementById('question-progress');
+        
+        progressEl.textContent = t('quiz.progress', { current: this.currentQuestionIndex + 1, total: this.currentQuestions.length });
+        
+        
+        if (this.sessionMode === 'practice') {
+            const checked = Object.keys(this.lockedQuestions).filter(index => this.lockedQuestions[index]).map(Number);
+            const graded = gradeQuiz(
+                checked.map(index => this.currentQuestions[index]),
+                checked.map(index => this.userAnswers[index]),
+                this.examProfile
+            );
+            progressEl.textContent += ` · ${t('quiz.practiceScore', { correct: graded.correctCount, checked: graded.total })}`;
+            // Points only tell something more with weighted questions or partial credit
+            if (graded.score !== graded.correctCount || graded.maxScore !== graded.total) {
+                progressEl.textContent += ` · ${t('quiz.practicePoints', { score: formatScore(graded.score), max: formatScore(graded.maxScore) })}`;
+            }
+        }
+    }
+
+    /**
+     * Check whether the answer to a question can no longer be changed (practice mode)
+     */
+    isQuestionLocked(questionIndex) {
+        return this.sessionMode === 'practice' && Boolean(this.lockedQuestions[questionIndex]);
+    }
+
+    /**
+     * Grade a single question of the current session with the current answer
+     * The exam profile applies as on the results page (scoring, points, ambiguous questions).
+     * @param {number} questionIndex - Index in currentQuestions
+     * @returns {Object} - Entry of gradeQuiz().results for that question
+     */
+    gradeSingleQuestion(questionIndex) {
+        return gradeQuizLocalized([this.currentQuestions[questionIndex]], { 0: this.userAnswers[questionIndex] }, this.examProfile).results[0];
+    }
+
+    /**
+     * In practice mode, lock the current question once it has a complete answer
+     * (one option, or as many options as there are correct answers)
+     */
+    checkPracticeAnswer() {
+        const questionIndex = this.currentQuestionIndex;
+        if (this.sessionMode !== 'practice' || this.lockedQuestions[questionIndex]) {
+            return;
+        }
+        
+        const question = this.currentQuestions[questionIndex];
+        const answer = this.userAnswers[questionIndex];
+        const isComplete = question.isMultiAnswer ?
+            Array.isArray(answer) && answer.length >= getRequiredSelectionCount(question) :
+            Boolean(answer);
+        
+        if (isComplete) {
+            this.lockedQuestions[questionIndex] = true;
+            this.saveCurrentState();
+            this.renderPracticeFeedback();
+            this.updateQuestionProgress();
+        }
+    }
+
+    /**
+     * Show correct/incorrect styling and the explanations of a locked practice question
+     */
+    renderPracticeFeedback() {
+        const feedbackEl = document.getElementById('practice-feedback');
+        const questionIndex = this.currentQuestionIndex;
+        
+        if (!this.isQuestionLocked(questionIndex)) {
+            feedbackEl.innerHTML = '';
+            feedbackEl.classList.add('hidden');
+            return;
+        }
+        
+        const question = this.currentQuestions[questionIndex];
+        const result = this.gradeSingleQuestion(questionIndex);
+        const correctAnswers = getCorrectAnswers(question);
+        const answer = this.userAnswers[questionIndex];
+        const selected = (Array.isArray(answer) ? answer : [answer]).map(value => value.toUpperCase());
+        
+        document.querySelectorAll('#options-container .option').forEach(optionEl => {
+            const input = optionEl.querySelector('input');
+            const optionKey = input.value.toUpperCase();
+            input.disabled = true;
+            optionEl.classList.add('locked');
+            if (correctAnswers.includes(optionKey)) {
+                optionEl.classList.add('correct-option');
+            } else if (selected.includes(optionKey)) {
+                optionEl.classList.add('incorrect-option');
+            }
+        });
+        
+        // Explanations in the order the options are displayed
+        const explanationItems = question.question_option
+            .filter(option => result.allExplanations[option.option.toUpperCase()])
+            .map(option => {
+                const optionKey = option.option.toUpperCase();
+                const cssClass = correctAnswers.includes(optionKey) ? 'correct-explanation' : 'incorrect-explanation';
+                const userClass = selected.includes(optionKey) ? 'user-explanation' : '';
+                return `
+                    <li class="${cssClass} ${userClass}">
+                        <strong>${escapeHtml(t('results.optionLabel', { option: option.option }))}</strong> ${escapeHtml(result.allExplanations[optionKey])}
+                    </li>
+                `;
+            }).join('');
+        
+        let outcome = result.isCorrect ? 'correct' : 'incorrect';
+        if (result.excluded) {
+            outcome = 'excluded';
+        } else if (!result.isCorrect && result.earnedPoints > 0) {
+            outcome = 'partial';
+        }
+        const verdict = outcome === 'correct' ? t('practice.correct') :
+            t(`practice.${outcome}`, { answer: result.correctAnswer.toUpperCase(), multi: result.isMultiAnswer });
+        let ambiguousHtml = '';
+        if (result.ambiguous) {
+            const policy = AMBIGUOUS_POLICIES.includes(result.ambiguousPolicy) ? result.ambiguousPolicy : 'grade';
+            const policyText = t(`ambiguous.${policy}`, { answers: result.acceptedAnswers });
+            ambiguousHtml = `<p class="ambiguous-note"><strong>${t('results.ambiguousQuestion')}</strong> ${escapeHtml(policyText)}</p>`;
+        }
+        
+        feedbackEl.innerHTML = `
+            <p class="practice-verdict ${outcome}">
+                ${escapeHtml(verdict)}${this.renderQuestionPoints(result, { strategy: getScoringStrategy(this.examProfile).id })}
+            </p>
+            ${ambiguousHtml}
+            ${explanationItems ? `
+            <div class="explanation">
+                <strong>${t('results.explanations')}</strong>
+                <ul class="explanation-list">${explanationItems}</ul>
+            </div>` : (result.explanation ? `
+            <div class="explanation">
+                <strong>${t('results.explanation')}</strong> ${escapeHtml(result.explanation)}
+            </div>` : '')}
+            ${renderSourceLinks(question, this.pdfFolder)}
+        `;
+        feedbackEl.classList.remove('hidden');
     }
 
     /**
@@ -569,6 +2144,7 @@ class QuizApp {
      */
     selectOption(optionValue) {
         this.userAnswers[this.currentQuestionIndex] = optionValue;
+        recordTimedAnswer(this.questionTiming, this.currentQuestionIndex, optionValue);
         
         // Update visual feedback
         document.querySelectorAll('.option').forEach(option => {
@@ -582,6 +2158,8 @@ class QuizApp {
         
         // Save state after answer selection
         this.saveCurrentState();
+        this.checkPracticeAnswer();
+        this.renderQuestionNavigator();
     }
 
     /**
@@ -598,6 +2176,20 @@ class QuizApp {
             this.userAnswers[questionIndex] = [];
         }
         
+        const question = this.currentQuestions[questionIndex];
+        const selections = this.userAnswers[questionIndex];
+        if (isChecked && !selections.includes(optionValue) && this.isSelectCountEnforced() &&
+            selections.length >= getRequiredSelectionCount(question)) {
+            // Too many answers: undo the tick instead of recording it
+            document.querySelectorAll('input[name="answer-multi"]').forEach(input => {
+                if (input.value === optionValue) {
+                    input.checked = false;
+                }
+            });
+            this.updateSelectionHint(true);
+            return;
+        }
+        
         if (isChecked) {
             // Add option if not already present
             if (!this.userAnswers[questionIndex].includes(optionValue)) {
@@ -610,6 +2202,11 @@ class QuizApp {
             );
         }
         
+        // Only a complete set of options is an answer: ticking them one by one is not a change
+        if (this.isQuestionAnswered(questionIndex) && !this.isQuestionIncomplete(questionIndex)) {
+            recordTimedAnswer(this.questionTiming, questionIndex, this.userAnswers[questionIndex]);
+        }
+        
         // Update visual feedback
         document.querySelectorAll('.option').forEach(option => {
             const checkbox = option.querySelector('input[type="checkbox"]');
@@ -624,6 +2221,9 @@ class QuizApp {
         
         // Save state after answer selection
         this.saveCurrentState();
+        this.updateSelectionHint();
+        this.checkPracticeAnswer();
+        this.renderQuestionNavigator();
     }
 
     /**
@@ -649,62 +2249,396 @@ class QuizApp {
     }
 
     /**
-     * Update navigation button states
+     * Jump to a question
+     * @param {number} questionIndex - Index in currentQuestions
+     */
+    goToQuestion(questionIndex) {
+        if (questionIndex >= 0 && questionIndex < this.currentQuestions.length) {
+            this.currentQuestionIndex = questionIndex;
+            this.displayCurrentQuestion();
+            this.updateNavigationButtons();
+        }
+    }
+
+    /**
+     * Update navigation button states
+     */
+    updateNavigationButtons() {
+        const prevBtn = document.getElementById('prev-btn');
+        const nextBtn = document.getElementById('next-btn');
+        
+        prevBtn.disabled = this.currentQuestionIndex === 0;
+        nextBtn.disabled = this.currentQuestionIndex === this.currentQuestions.length - 1;
+    }
+
+    /**
+     * Check whether a question has an answer
+     * @param {number} questionIndex - Index in currentQuestions
+     * @returns {boolean} - True if an option is selected (at least one for multi-answer questions)
+     */
+    isQuestionAnswered(questionIndex) {
+        const answer = this.userAnswers[questionIndex];
+        if (Array.isArray(answer)) {
+            return answer.length > 0;
+        }
+        return answer !== undefined && answer !== null && answer !== '';
+    }
+
+    /**
+     * Check whether a multi-answer question has fewer selections than required
+     * @param {number} questionIndex - Index in currentQuestions
+     * @returns {boolean} - True if answered with too few options
+     */
+    isQuestionIncomplete(questionIndex) {
+        const question = this.currentQuestions[questionIndex];
+        const answer = this.userAnswers[questionIndex];
+        return Boolean(question.isMultiAnswer) && Array.isArray(answer) && answer.length > 0 &&
+            answer.length < getRequiredSelectionCount(question);
+    }
+
+    /**
+     * Mark or unmark the current question for review
+     */
+    toggleFlag() {
+        if (this.currentQuestions.length === 0) {
+            return;
+        }
+        
+        const questionIndex = this.currentQuestionIndex;
+        if (this.flaggedQuestions[questionIndex]) {
+            delete this.flaggedQuestions[questionIndex];
+        } else {
+            this.flaggedQuestions[questionIndex] = true;
+        }
+        
+        this.saveCurrentState();
+        this.updateFlagButton();
+        this.renderQuestionNavigator();
+    }
+
+    /**
+     * Show whether the current question is marked for review
+     */
+    updateFlagButton() {
+        const flagBtn = document.getElementById('flag-btn');
+        const flagged = Boolean(this.flaggedQuestions[this.currentQuestionIndex]);
+        
+        flagBtn.textContent = flagged ? t('quiz.unflag') : t('quiz.flag');
+        flagBtn.setAttribute('aria-pressed', String(flagged));
+        flagBtn.classList.toggle('flagged', flagged);
+    }
+
+    /**
+     * Render the grid of question cells (answered, unanswered, flagged, current)
+     */
+    renderQuestionNavigator() {
+        document.getElementById('navigator-grid').innerHTML = this.currentQuestions.map((question, index) => {
+            const incomplete = this.isQuestionIncomplete(index);
+            const answered = this.isQuestionAnswered(index) && !incomplete;
+            const flagged = Boolean(this.flaggedQuestions[index]);
+            const current = index === this.currentQuestionIndex;
+            let status = answered ? t('navigator.answered') : t('navigator.unanswered');
+            if (incomplete) {
+                status = t('navigator.incomplete');
+            }
+            const label = t(flagged ? 'navigator.cellFlagged' : 'navigator.cell', { number: index + 1, status });
+            
+            return `
+                <button class="navigator-cell ${answered ? 'answered' : ''} ${incomplete ? 'incomplete' : ''} ${flagged ? 'flagged' : ''} ${current ? 'current' : ''}"
+                        data-index="${index}" aria-label="${label}" ${current ? 'aria-current="step"' : ''}>${index + 1}</button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Open the pre-submit review listing unanswered and flagged questions
+     */
+    confirmSubmitQuiz() {
+        const totalQuestions = this.currentQuestions.length;
+        const indexes = this.currentQuestions.map((question, index) => index);
+        const unanswered = indexes.filter(index => !this.isQuestionAnswered(index));
+        const incomplete = indexes.filter(index => this.isQuestionIncomplete(index));
+        const flagged = indexes.filter(index => this.flaggedQuestions[index]);
+        const answeredCount = totalQuestions - unanswered.length - incomplete.length;
+        
+        document.getElementById('submit-review-summary').textContent =
+            t('submit.summary', { answered: answeredCount, total: totalQuestions });
+        document.getElementById('submit-review-unanswered').innerHTML =
+            this.renderSubmitReviewSection(t('submit.unanswered'), unanswered);
+        document.getElementById('submit-review-incomplete').innerHTML =
+            this.renderSubmitReviewSection(t('submit.incomplete'), incomplete);
+        document.getElementById('submit-review-flagged').innerHTML =
+            this.renderSubmitReviewSection(t('submit.flagged'), flagged);
+        
+        document.getElementById('submit-review').classList.remove('hidden');
+        document.getElementById('submit-review-back').focus();
+    }
+
+    /**
+     * Show a source document in the viewer panel
+     * @param {string} url - Document URL, with the #page= fragment
+     * @param {string} title - Reference shown in the panel header
+     */
+    openSourceViewer(url, title) {
+        const frameContainer = document.getElementById('source-viewer-frame');
+        // A new iframe each time: changing only the #page= fragment of the same
+        // document does not make the PDF viewer jump to the page
+        const frame = document.createElement('iframe');
+        frame.src = url;
+        frame.title = title;
+        frameContainer.replaceChildren(frame);
+        
+        document.getElementById('source-viewer-title').textContent = title;
+        document.getElementById('source-viewer-open').href = url;
+        document.getElementById('source-viewer-folder').textContent = this.pdfFolder;
+        document.getElementById('source-viewer').classList.remove('hidden');
+        document.getElementById('source-viewer-close').focus();
+    }
+
+    /**
+     * Close the source viewer panel
+     */
+    closeSourceViewer() {
+        document.getElementById('source-viewer').classList.add('hidden');
+        document.getElementById('source-viewer-frame').replaceChildren();
+    }
+
+    /**
+     * Check whether the source viewer panel is shown
+     * @returns {boolean} - True if the panel is open
+     */
+    isSourceViewerOpen() {
+        return !document.getElementById('source-viewer').classList.contains('hidden');
+    }
+
+    /**
+     * Render a list of questions in the pre-submit review
+     * @param {string} title - Section title
+     * @param {number[]} indexes - Question indexes
+     * @returns {string} - HTML, empty when there are no questions
+     */
+    renderSubmitReviewSection(title, indexes) {
+        if (indexes.length === 0) {
+            return '';
+        }
+        
+        return `
+            <h4>${escapeHtml(title)} (${indexes.length})</h4>
+            <div class="submit-review-list">
+                ${indexes.map(index => `
+                    <button class="submit-review-jump" data-index="${index}" aria-label="${t('submit.goTo', { number: index + 1 })}">${index + 1}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Check whether the pre-submit review is shown
+     * @returns {boolean} - True if the review dialog is open
+     */
+    isSubmitReviewOpen() {
+        return !document.getElementById('submit-review').classList.contains('hidden');
+    }
+
+    /**
+     * Close the pre-submit review and go back to the quiz
+     */
+    closeSubmitReview() {
+        document.getElementById('submit-review').classList.add('hidden');
+        document.getElementById('submit-btn').focus();
+    }
+
+    /**
+     * Submit the quiz and show results
+     */
+    submitQuiz() {
+        this.stopTimer();
+        endPause(this.pauses);
+        clearQuizState(this.getSessionKey(this.currentQuiz, this.sessionMode));
+        this.sessionLock.release();
+        
+        const results = gradeQuizLocalized(this.currentQuestions, this.userAnswers, this.examProfile);
+        results.mode = this.sessionMode;
+        results.timing = analyzeQuestionTiming(this.questionTiming, results, (index, answer) => (
+            gradeQuiz([this.currentQuestions[index]], { 0: answer }, this.examProfile).results[0].earnedPoints
+        ));
+        results.pauses = summarizePauses(this.pauses);
+        if (this.isTimedSession() && this.sessionExtraTimePercent > 0) {
+            results.accommodations = {
+                extraTimePercent: this.sessionExtraTimePercent,
+                durationMinutes: this.examProfile.durationMinutes,
+                extendedMinutes: Math.round(this.getSessionDurationSeconds() / 60)
+            };
+        }
+        if (this.samplingInfo) {
+            // Keep the blueprint with the results so simulated attempts stay comparable
+            results.sampling = this.samplingInfo;
+        }
+        // Keep what the exports need, the session fields change on retry
+        this.lastResults = {
+            results,
+            questions: this.currentQuestions,
+            userAnswers: { ...this.userAnswers },
+            profile: this.examProfile,
+            session: {
+                quiz: this.getSessionKey(this.currentQuiz, this.sessionMode),
+                quizTitle: this.getSessionTitle(),
+                mode: this.sessionMode,
+                seed: this.sessionSeed,
+                startedAt: this.sessionStartedAt,
+                completedAt: new Date().toISOString()
+            }
+        };
+        this.recordAttempt(results);
+        this.recordReviewProgress(results);
+        this.displayResults(results);
+    }
+
+    /**
+     * Download the last results as CSV (one row per question) or JSON (gradeQuiz() output)
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportResults(format) {
+        if (!this.lastResults) {
+            return;
+        }
+        
+        const { results, questions, userAnswers, session } = this.lastResults;
+        const filename = getExportFilename(session.quizTitle, format);
+        
+        if (format === 'csv') {
+            downloadTextFile(filename, buildResultsCsv(questions, userAnswers, results), 'text/csv;charset=utf-8');
+        } else {
+            downloadTextFile(filename, buildResultsJson(results, session), 'application/json');
+        }
+    }
+
+    /**
+     * Handle the buttons of the "Segnala domanda" form of a question result
+     * @param {string} action - 'open', 'cancel' or 'save'
+     * @param {HTMLElement} disputeEl - .dispute container of the question
+     */
+    handleDisputeAction(action, disputeEl) {
+        const formEl = disputeEl.querySelector('.dispute-form');
+        const openBtn = disputeEl.querySelector('.dispute-btn');
+        const noteEl = disputeEl.querySelector('.dispute-note');
+        const statusEl = disputeEl.querySelector('.dispute-status');
+        
+        if (action === 'open') {
+            formEl.classList.remove('hidden');
+            openBtn.classList.add('hidden');
+            statusEl.textContent = '';
+            noteEl.focus();
+        } else if (action === 'cancel') {
+            formEl.classList.add('hidden');
+            openBtn.classList.remove('hidden');
+            noteEl.value = '';
+        } else if (action === 'save') {
+            this.saveDisputeFromForm(parseInt(disputeEl.dataset.index, 10), disputeEl);
+        }
+    }
+
+    /**
+     * Store the dispute written in the form of a question result
+     * @param {number} index - Index of the question in the last results
+     * @param {HTMLElement} disputeEl - .dispute container of the question
+     */
+    async saveDisputeFromForm(index, disputeEl) {
+        const noteEl = disputeEl.querySelector('.dispute-note');
+        const statusEl = disputeEl.querySelector('.dispute-status');
+        
+        if (!this.lastResults) {
+            return;
+        }
+        if (!noteEl.value.trim()) {
+            statusEl.textContent = t('dispute.noteRequired');
+            noteEl.focus();
+            return;
+        }
+        
+        const { results, questions, userAnswers, session } = this.lastResults;
+        const dispute = buildDisputeRecord(
+            questions[index], results.results[index], userAnswers[index.toString()], noteEl.value, session
+        );
+        
+        try {
+            await saveDispute(dispute);
+        } catch (error) {
+            console.warn('Unable to save dispute:', error);
+            statusEl.textContent = t('dispute.saveFailed');
+            return;
+        }
+        
+        disputeEl.querySelector('.dispute-form').classList.add('hidden');
+        disputeEl.querySelector('.dispute-btn').classList.remove('hidden');
+        noteEl.value = '';
+        statusEl.textContent = t('dispute.saved');
+    }
+
+    /**
+     * Print the results page as a report (layout in print.css)
      */
-    updateNavigationButtons() {
-        const prevBtn = document.getElementById('prev-btn');
-        const nextBtn = document.getElementById('next-btn');
+    printResults() {
+        if (!this.lastResults) {
+            return;
+        }
         
-        prevBtn.disabled = this.currentQuestionIndex === 0;
-        nextBtn.disabled = this.currentQuestionIndex === this.currentQuestions.length - 1;
+        const { session } = this.lastResults;
+        const completedAt = new Date(session.completedAt).toLocaleString(getLocaleTag());
+        document.getElementById('print-report-info').textContent = `${session.quizTitle} · ${completedAt}`;
+        window.print();
     }
 
     /**
-     * Confirm quiz submission
+     * Store the completed attempt in the history
+     * @param {Object} results - Output of gradeQuiz()
      */
-    confirmSubmitQuiz() {
-        let answeredCount = 0;
-        const totalQuestions = this.currentQuestions.length;
-        
-        // Count answered questions (considering both single and multi-answer)
-        for (let i = 0; i < totalQuestions; i++) {
-            const answer = this.userAnswers[i];
-            if (answer !== undefined && answer !== null) {
-                if (Array.isArray(answer)) {
-                    // Multi-answer: count as answered if at least one option is selected
-                    if (answer.length > 0) {
-                        answeredCount++;
-                    }
-                } else {
-                    // Single answer: count as answered if not empty
-                    if (answer !== '') {
-                        answeredCount++;
-                    }
-                }
-            }
-        }
-        
-        const unansweredCount = totalQuestions - answeredCount;
+    async recordAttempt(results) {
+        const attempt = buildAttemptRecord(this.currentQuestions, this.userAnswers, results, {
+            quiz: this.getSessionKey(this.currentQuiz, this.sessionMode),
+            quizTitle: this.getSessionTitle(),
+            mode: this.sessionMode,
+            seed: this.sessionSeed,
+            startedAt: this.sessionStartedAt,
+            durationSeconds: this.isTimedSession() ?
+                Math.max(0, this.getSessionDurationSeconds() - this.timeRemaining) :
+                Math.max(0, Math.round((Date.now() - new Date(this.sessionStartedAt).getTime()) / 1000) -
+                    getPausedSeconds(this.pauses))
+        });
         
-        let message = 'Sei sicuro di voler inviare il quiz?';
-        if (unansweredCount > 0) {
-            message += `\n\nHai ${unansweredCount} domande senza risposta su ${totalQuestions}.`;
+        try {
+            results.attemptId = await saveAttempt(attempt);
+        } catch (error) {
+            console.warn('Unable to save attempt:', error);
+            return;
         }
         
-        if (confirm(message)) {
-            this.submitQuiz();
+        // The results can now be bookmarked
+        if (this.lastResults && this.lastResults.results === results && this.isPageActive('results-page')) {
+            this.setRoute({ page: 'results', attemptId: results.attemptId }, true);
         }
     }
 
     /**
-     * Submit the quiz and show results
+     * Update the spaced-repetition cards with the outcome of each question
+     * @param {Object} results - Output of gradeQuiz()
      */
-    submitQuiz() {
-        clearInterval(this.timer);
-        clearQuizState(this.currentQuiz);
+    async recordReviewProgress(results) {
+        // Questions left out of the score say nothing about what the user knows
+        const outcomes = this.currentQuestions
+            .map((question, index) => ({
+                key: getQuestionKey(question),
+                isCorrect: Boolean(results.results[index].isCorrect),
+                excluded: results.results[index].excluded
+            }))
+            .filter(outcome => !outcome.excluded)
+            .map(({ key, isCorrect }) => ({ key, isCorrect }));
         
-        const results = gradeQuiz(this.currentQuestions, this.userAnswers);
-        this.displayResults(results);
+        try {
+            await recordReviewOutcomes(outcomes);
+        } catch (error) {
+            console.warn('Unable to update review cards:', error);
+        }
     }
 
     /**
@@ -712,25 +2646,81 @@ class QuizApp {
      */
     displayResults(results) {
         this.showPage('results-page');
+        // Replace the quiz route: going back must not reopen a session already submitted
+        this.setRoute({ page: 'results', attemptId: results.attemptId === undefined ? null : results.attemptId }, true);
+        document.getElementById('retry-quiz').classList.toggle('hidden', !this.canRetrySession());
         
         const scoreEl = document.getElementById('final-score');
         const statusEl = document.getElementById('pass-status');
         const noteEl = document.getElementById('score-note');
+        const passRuleEl = document.getElementById('pass-rule');
         const resultsEl = document.getElementById('question-results');
         const learningObjectiveStatsEl = document.getElementById('learning-objective-stats');
         
-        scoreEl.textContent = `Punteggio: ${results.score}/${results.total}`;
+        const profile = this.examProfile;
+        
+        scoreEl.textContent = t('results.score', { score: formatScore(results.score), max: formatScore(results.maxScore) });
+        passRuleEl.textContent = t('results.passRule', {
+            threshold: results.passThreshold,
+            max: results.maxScore,
+            percentage: profile.passPercentage,
+            profile: profile.name
+        });
         
         // Pass/Fail status
-        statusEl.textContent = results.passed ? 'PASSA' : 'RESPINGE';
+        statusEl.textContent = results.passed ? t('results.passed') : t('results.failed');
         statusEl.className = `pass-status ${results.passed ? 'pass' : 'fail'}`;
         
-        // Show note if quiz doesn't have exactly 40 questions
-        if (results.total !== 40) {
-            noteEl.innerHTML = `
-                <strong>Nota:</strong> Questo quiz contiene ${results.total} domande. 
-                La soglia di superamento rimane fissa a 26/40 come da regolamento.
+        // Show note when the paper is shorter than the profile expects or points are weighted
+        const notes = [];
+        if (profile.questionCount && results.total < profile.questionCount) {
+            notes.push(t('results.shortPaper', { total: results.total, expected: profile.questionCount }));
+        }
+        const scoring = results.scoring || { strategy: DEFAULT_SCORING_STRATEGY_ID, weightByPoints: true };
+        if (scoring.strategy !== DEFAULT_SCORING_STRATEGY_ID) {
+            const penalty = scoring.negativeMarking !== null && scoring.negativeMarking !== undefined ?
+                ` ${t('results.penalty', { percentage: Math.round(scoring.negativeMarking * 100) })}` : '';
+            notes.push(t('results.strategy', {
+                name: t(`scoring.${scoring.strategy}.name`),
+                description: t(`scoring.${scoring.strategy}.description`),
+                penalty
+            }));
+        }
+        if (results.maxScore !== results.total) {
+            notes.push(t('results.weighted', { correct: results.correctCount, total: results.total }));
+        } else if (!scoring.weightByPoints) {
+            notes.push(t('results.unweighted'));
+        }
+        if (results.excludedCount > 0) {
+            notes.push(t('results.excluded', { count: results.excludedCount }));
+        }
+        let noteHtml = '';
+        if (notes.length > 0) {
+            noteHtml += `
+                <p><strong>${t('results.note')}</strong> ${escapeHtml(notes.join(' '))}
+                ${escapeHtml(t('results.thresholdNote', { percentage: profile.passPercentage }))}</p>
             `;
+        }
+        if (results.sampling) {
+            noteHtml += this.renderSamplingNote(results.sampling);
+        }
+        if (results.regrade) {
+            noteHtml += `<p class="regrade-note">${escapeHtml(t('results.regraded', {
+                score: formatScore(results.regrade.score),
+                max: formatScore(results.regrade.maxScore),
+                status: t(results.regrade.passed ? 'results.passed' : 'results.failed')
+            }))}</p>`;
+        }
+        if (results.accommodations) {
+            // Attempts with extra time are not taken in the exam conditions
+            noteHtml += `<p class="accommodations-note">${escapeHtml(t('accommodations.resultsNote', {
+                percentage: results.accommodations.extraTimePercent,
+                minutes: results.accommodations.extendedMinutes,
+                duration: results.accommodations.durationMinutes
+            }))}</p>`;
+        }
+        if (noteHtml) {
+            noteEl.innerHTML = noteHtml;
             noteEl.classList.remove('hidden');
         } else {
             noteEl.classList.add('hidden');
@@ -738,12 +2728,19 @@ class QuizApp {
         
         // Display learning objective statistics
         this.displayLearningObjectiveStats(results.learningObjectiveStats, learningObjectiveStatsEl);
+        this.displayTimingSummary(results.timing, results.pauses);
         
         // Display detailed results
         resultsEl.innerHTML = '';
         results.results.forEach((result, index) => {
             const resultEl = document.createElement('div');
-            resultEl.className = `question-result ${result.isCorrect ? 'correct' : 'incorrect'}`;
+            let outcomeClass = result.isCorrect ? 'correct' : 'incorrect';
+            if (result.excluded) {
+                outcomeClass = 'excluded';
+            } else if (!result.isCorrect && result.earnedPoints > 0) {
+                outcomeClass = 'partial';
+            }
+            resultEl.className = `question-result ${outcomeClass}`;
             
             let explanationHtml = '';
             if (result.allExplanations && Object.keys(result.allExplanations).length > 0) {
@@ -754,7 +2751,7 @@ class QuizApp {
                     if (result.isMultiAnswer) {
                         // For multi-answer, check if option is in correct answers
                         const correctAnswers = result.correctAnswer.split(', ').map(ans => ans.toLowerCase());
-                        const userAnswers = result.userAnswer !== 'Nessuna risposta' ? 
+                        const userAnswers = result.answered ?
                             result.userAnswer.split(', ').map(ans => ans.toLowerCase()) : [];
                         
                         isCorrect = correctAnswers.includes(option.toLowerCase());
@@ -770,14 +2767,14 @@ class QuizApp {
                     
                     return `
                         <li class="${cssClass} ${userClass}">
-                            <strong>Opzione ${escapeHtml(option)}:</strong> ${escapeHtml(explanation)}
+                            <strong>${escapeHtml(t('results.optionLabel', { option }))}</strong> ${escapeHtml(explanation)}
                         </li>
                     `;
                 }).join('');
                 
                 explanationHtml = `
                     <div class="explanation">
-                        <strong>Spiegazioni:</strong>
+                        <strong>${t('results.explanations')}</strong>
                         <ul class="explanation-list">
                             ${explanationItems}
                         </ul>
@@ -786,26 +2783,26 @@ class QuizApp {
             } else if (result.explanation) {
                 explanationHtml = `
                     <div class="explanation">
-                        <strong>Spiegazione:</strong> ${escapeHtml(result.explanation)}
+                        <strong>${t('results.explanation')}</strong> ${escapeHtml(result.explanation)}
                     </div>
                 `;
             }
             
             // Get all options for this question
-            const question = this.currentQuestions[index];
+            const question = localizeQuestion(this.currentQuestions[index]);
             let allOptionsHtml = '';
             if (question.question_option && Array.isArray(question.question_option)) {
                 const correctAnswers = result.isMultiAnswer ? 
                     result.correctAnswer.split(', ').map(ans => ans.toLowerCase()) : 
                     [result.correctAnswer.toLowerCase()];
-                const userAnswers = result.userAnswer !== 'Nessuna risposta' ? 
+                const userAnswers = result.answered ?
                     (result.isMultiAnswer ? 
                         result.userAnswer.split(', ').map(ans => ans.toLowerCase()) : 
                         [result.userAnswer.toLowerCase()]) : [];
                 
                 allOptionsHtml = `
                     <div class="all-options">
-                        <strong>Tutte le opzioni:</strong>
+                        <strong>${t('results.allOptions')}</strong>
                         <ul>
                             ${question.question_option.map(option => {
                                 const isCorrect = correctAnswers.includes(option.option.toLowerCase());
@@ -824,35 +2821,171 @@ class QuizApp {
             }
             
             // Add question type indicator
-            const questionTypeIndicator = result.isMultiAnswer ? 
-                '<span class="question-type">(Risposta multipla)</span>' : 
-                '<span class="question-type">(Risposta singola)</span>';
+            const questionTypeIndicator =
+                `<span class="question-type">(${t(result.isMultiAnswer ? 'results.multiAnswer' : 'results.singleAnswer')})</span>`;
+            
+            let ambiguousHtml = '';
+            if (result.ambiguous) {
+                const policy = AMBIGUOUS_POLICIES.includes(result.ambiguousPolicy) ? result.ambiguousPolicy : 'grade';
+                const policyText = t(`ambiguous.${policy}`, { answers: result.acceptedAnswers });
+                ambiguousHtml = `<p class="ambiguous-note"><strong>${t('results.ambiguousQuestion')}</strong> ${escapeHtml(policyText)}</p>`;
+            }
+            
+            const disputeHtml = `
+                <div class="dispute" data-index="${index}">
+                    <button class="btn btn-secondary dispute-btn" data-dispute-action="open">${t('dispute.open')}</button>
+                    <div class="dispute-form hidden">
+                        <label for="dispute-note-${index}">${t('dispute.noteLabel')}</label>
+                        <textarea id="dispute-note-${index}" class="dispute-note" rows="3" maxlength="2000"></textarea>
+                        <div class="dispute-form-actions">
+                            <button class="btn btn-secondary" data-dispute-action="cancel">${t('common.cancel')}</button>
+                            <button class="btn btn-primary" data-dispute-action="save">${t('dispute.send')}</button>
+                        </div>
+                    </div>
+                    <p class="dispute-status" aria-live="polite"></p>
+                </div>
+            `;
             
             resultEl.innerHTML = `
-                <h4>Domanda ${index + 1} ${result.learningObjective ? `(${result.learningObjective})` : ''} ${questionTypeIndicator}</h4>
+                <h4>${t('results.questionHeading', { number: index + 1 })} ${result.learningObjective ? `(${escapeHtml(result.learningObjective)})` : ''} ${questionTypeIndicator}${this.renderQuestionPoints(result, results.scoring)}${result.ambiguous ? ` <span class="ambiguous-badge">${t('results.ambiguousBadge')}</span>` : ''}</h4>
                 <p>${escapeHtml(result.question)}</p>
+                ${ambiguousHtml}
                 ${allOptionsHtml}
                 <div class="result-info">
                     <div class="correct-answer">
-                        <strong>Risposta${result.isMultiAnswer ? 'e' : ''} corretta${result.isMultiAnswer ? 'e' : ''}:</strong> ${escapeHtml(result.correctAnswer)} - ${escapeHtml(result.correctAnswerText)}
+                        <strong>${t(result.isMultiAnswer ? 'results.correctAnswers' : 'results.correctAnswer')}</strong> ${escapeHtml(result.correctAnswer)} - ${escapeHtml(result.correctAnswerText)}
                     </div>
+                    ${result.recordedCorrectAnswer ? `
+                    <div class="recorded-answer">
+                        <strong>${t('results.recordedCorrectAnswer')}</strong> ${escapeHtml(result.recordedCorrectAnswer)}
+                    </div>` : ''}
                     <div class="user-answer">
-                        <strong>La tua risposta${result.isMultiAnswer ? 'e' : ''}:</strong> ${escapeHtml(result.userAnswer)} - ${escapeHtml(result.userAnswerText)}
+                        <strong>${t(result.isMultiAnswer ? 'results.userAnswers' : 'results.userAnswer')}</strong> ${escapeHtml(result.userAnswer)} - ${escapeHtml(result.userAnswerText)}
                     </div>
+                    ${results.timing ? this.renderQuestionTiming(results.timing.questions[index]) : ''}
                 </div>
                 ${explanationHtml}
+                ${renderSourceLinks(question, this.pdfFolder)}
+                ${disputeHtml}
             `;
             
             resultsEl.appendChild(resultEl);
         });
     }
 
+    /**
+     * Show the questions that took longest and how changing answers affected the score
+     * @param {Object|null} timing - results.timing (see analyzeQuestionTiming), null for attempts recorded without it
+     * @param {Array|null} pauses - results.pauses (see summarizePauses), null for attempts recorded without it
+     */
+    displayTimingSummary(timing, pauses) {
+        const summaryEl = document.getElementById('timing-summary');
+        if (!timing) {
+            summaryEl.classList.add('hidden');
+            return;
+        }
+        
+        const slowestHtml = timing.slowest.length > 0 ? `
+            <p><strong>${t('timing.slowest')}</strong></p>
+            <ol>
+                ${timing.slowest.map(index => {
+                    const question = timing.questions[index];
+                    return `<li>${escapeHtml(t('timing.slowestItem', {
+                        number: index + 1,
+                        time: formatTime(question.seconds),
+                        visits: question.visits
+                    }))}</li>`;
+                }).join('')}
+            </ol>
+        ` : '';
+        const changesText = timing.changed > 0 ?
+            t('timing.changes', {
+                changed: timing.changed,
+                improved: timing.improved,
+                worsened: timing.worsened,
+                unchanged: timing.unchanged
+            }) :
+            t('timing.noChanges');
+        const pausesHtml = pauses && pauses.length > 0 ?
+            `<p>${escapeHtml(t('timing.pauses', { count: pauses.length, time: formatTime(getPausedSeconds(pauses)) }))}</p>` :
+            '';
+        
+        document.getElementById('timing-summary-content').innerHTML = `
+            <p>${escapeHtml(t('timing.total', { total: formatTime(timing.totalSeconds), average: formatTime(timing.averageSeconds) }))}</p>
+            ${pausesHtml}
+            ${slowestHtml}
+            <p>${escapeHtml(changesText)}</p>
+        `;
+        summaryEl.classList.remove('hidden');
+    }
+
+    /**
+     * Render the time spent on a question and its change of answer in the detailed results
+     * @param {Object|undefined} questionTiming - Entry of results.timing.questions
+     * @returns {string} - HTML
+     */
+    renderQuestionTiming(questionTiming) {
+        if (!questionTiming) {
+            return '';
+        }
+        let changeHtml = '';
+        if (questionTiming.outcome) {
+            const firstAnswer = Array.isArray(questionTiming.firstAnswer) ?
+                questionTiming.firstAnswer.join(', ') : String(questionTiming.firstAnswer);
+            changeHtml = ` · <span class="${questionTiming.outcome}">${escapeHtml(t(`timing.changed.${questionTiming.outcome}`, { answer: firstAnswer }))}</span>`;
+        }
+        return `
+            <div class="question-timing">
+                ${escapeHtml(t('timing.question', { time: formatTime(questionTiming.seconds), visits: questionTiming.visits }))}${changeHtml}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the points of a question in its result heading
+     * @param {Object} result - Entry of gradeQuiz().results
+     * @param {Object} scoring - Scoring recorded with the results
+     * @returns {string} - HTML, empty for 1-point questions graded all-or-nothing
+     */
+    renderQuestionPoints(result, scoring) {
+        if (result.excluded) {
+            return '';
+        }
+        if (scoring && scoring.strategy !== DEFAULT_SCORING_STRATEGY_ID) {
+            return ` <span class="question-points">${t('results.earnedPoints', { earned: formatScore(result.earnedPoints), points: formatScore(result.points) })}</span>`;
+        }
+        return result.points !== 1 ? ` <span class="question-points">${t('results.points', { points: result.points })}</span>` : '';
+    }
+
+    /**
+     * Render the description of the blueprint used to sample a simulated exam
+     * @param {Object} sampling - samplingInfo recorded with the results
+     * @returns {string} - HTML for the score note
+     */
+    renderSamplingNote(sampling) {
+        const chapters = Object.entries(sampling.distribution.chapters)
+            .map(([chapter, count]) => t('results.chapterCount', { chapter, count }))
+            .join(', ');
+        const kLevels = Object.entries(sampling.distribution.kLevels)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([kLevel, count]) => `${kLevel}: ${count}`)
+            .join(', ');
+        const warnings = sampling.warnings.length > 0 ?
+            `<ul>${sampling.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>` : '';
+        
+        return `
+            <p><strong>${t('results.simulation')}</strong> ${escapeHtml(t('results.blueprint', { name: sampling.blueprint.name, id: sampling.blueprint.id }))}</p>
+            <p>${escapeHtml(t('results.chapterDistribution', { chapters }))}<br>${escapeHtml(t('results.kLevelDistribution', { kLevels }))}</p>
+            ${warnings}
+        `;
+    }
+
     /**
      * Display learning objective statistics
      */
     displayLearningObjectiveStats(stats, container) {
         if (!stats || Object.keys(stats).length === 0) {
-            container.innerHTML = '<p>Nessun obiettivo di apprendimento disponibile per questo quiz.</p>';
+            container.innerHTML = `<p>${t('results.noObjectives')}</p>`;
             return;
         }
 
@@ -879,7 +3012,8 @@ class QuizApp {
                 .reduce((sum, subArea) => sum + Object.values(subArea.objectives)
                 .reduce((subSum, obj) => subSum + obj.correct, 0), 0);
             const macroAreaIncorrect = macroAreaTotalQuestions - macroAreaCorrect;
-            const macroAreaSuccessRate = Math.round((macroAreaCorrect / macroAreaTotalQuestions) * 100);
+            const macroAreaSuccessRate = this.getObjectiveSuccessRate(Object.values(macroAreaData.subAreas)
+                .flatMap(subArea => Object.values(subArea.objectives)));
             
             const macroAreaStatusClass = macroAreaIncorrect === 0 ? 'perfect' : 
                                         macroAreaSuccessRate >= 70 ? 'good' : 
@@ -918,7 +3052,7 @@ class QuizApp {
                 const subAreaCorrect = Object.values(subAreaData.objectives)
                     .reduce((sum, obj) => sum + obj.correct, 0);
                 const subAreaIncorrect = subAreaTotalQuestions - subAreaCorrect;
-                const subAreaSuccessRate = Math.round((subAreaCorrect / subAreaTotalQuestions) * 100);
+                const subAreaSuccessRate = this.getObjectiveSuccessRate(Object.values(subAreaData.objectives));
                 
                 const subAreaStatusClass = subAreaIncorrect === 0 ? 'perfect' : 
                                           subAreaSuccessRate >= 70 ? 'good' : 
@@ -950,7 +3084,7 @@ class QuizApp {
 
                 sortedObjectives.forEach(objective => {
                     const stat = subAreaData.objectives[objective];
-                    const successRate = Math.round((stat.correct / stat.total) * 100);
+                    const successRate = this.getObjectiveSuccessRate([stat]);
                     const statusClass = stat.incorrect === 0 ? 'perfect' : 
                                        successRate >= 70 ? 'good' : 
                                        successRate >= 50 ? 'average' : 'poor';
@@ -975,73 +3109,674 @@ class QuizApp {
                     </div>
                 `;
             });
-            
-            html += `
+            
+            html += `
+                    </div>
+                </div>
+            `;
+        });
+        
+        // Add summary information
+        const totalErrors = Object.values(stats).reduce((sum, stat) => sum + stat.incorrect, 0);
+        const totalQuestions = Object.values(stats).reduce((sum, stat) => sum + stat.total, 0);
+        const objectivesWithErrors = Object.values(stats).filter(stat => stat.incorrect > 0).length;
+        
+        html += `
+            <div class="learning-objective-summary-info">
+                <p><strong>${t('objectives.summary')}</strong></p>
+                <ul>
+                    <li>${t('objectives.macroAreas', { count: sortedMacroAreas.length })}</li>
+                    <li>${t('objectives.total', { count: Object.keys(stats).length })}</li>
+                    <li>${t('objectives.withErrors', { count: objectivesWithErrors })}</li>
+                    <li>${t('objectives.errors', { errors: totalErrors, total: totalQuestions })}</li>
+                </ul>
+            </div>
+        `;
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * Compute the share of points earned on a group of learning objectives
+     * @param {Object[]} stats - Entries of learningObjectiveStats
+     * @returns {number} - Percentage (0-100); attempts saved before the scoring
+     *                     strategies count correct answers instead of points
+     */
+    getObjectiveSuccessRate(stats) {
+        const maxScore = stats.reduce((sum, stat) => sum + (stat.maxScore !== undefined ? stat.maxScore : stat.total), 0);
+        const score = stats.reduce((sum, stat) => sum + (stat.score !== undefined ? stat.score : stat.correct), 0);
+        return maxScore > 0 ? Math.max(0, Math.round((score / maxScore) * 100)) : 0;
+    }
+
+    /**
+     * Group learning objectives by macro area and sub area
+     */
+    groupLearningObjectivesByMacroArea(stats) {
+        const grouped = {};
+        
+        Object.keys(stats).forEach(objective => {
+            const match = objective.match(/FL-(\d+)\.(\d+)\.(\d+)/);
+            if (match) {
+                const macroArea = `FL-${match[1]}`;
+                const subArea = `FL-${match[1]}.${match[2]}`;
+                
+                if (!grouped[macroArea]) {
+                    grouped[macroArea] = { subAreas: {} };
+                }
+                
+                if (!grouped[macroArea].subAreas[subArea]) {
+                    grouped[macroArea].subAreas[subArea] = { objectives: {} };
+                }
+                
+                grouped[macroArea].subAreas[subArea].objectives[objective] = stats[objective];
+            }
+        });
+        
+        return grouped;
+    }
+
+    /**
+     * Show the progress dashboard built from the attempt history
+     */
+    async showDashboard() {
+        this.showPage('dashboard-page');
+        this.setRoute({ page: 'dashboard' });
+        
+        try {
+            this.attempts = await loadAttempts();
+        } catch (error) {
+            console.warn('Unable to load attempts:', error);
+            this.attempts = [];
+        }
+        
+        const emptyEl = document.getElementById('dashboard-empty');
+        const bodyEl = document.getElementById('dashboard-body');
+        
+        this.renderDisputes();
+        
+        if (this.attempts.length === 0) {
+            emptyEl.classList.remove('hidden');
+            bodyEl.classList.add('hidden');
+            return;
+        }
+        
+        emptyEl.classList.add('hidden');
+        bodyEl.classList.remove('hidden');
+        
+        const summary = summarizeAttempts(this.attempts);
+        this.renderDashboardSummary(summary.overall);
+        this.renderDashboardQuizStats(summary.perQuiz);
+        this.renderRecentAttempts();
+        
+        // Populate the trend filter, keeping the current selection when possible
+        const filterEl = document.getElementById('dashboard-quiz-filter');
+        const selected = filterEl.value;
+        filterEl.innerHTML = `<option value="">${t('dashboard.allQuizzes')}</option>` + summary.perQuiz
+            .map(quiz => `<option value="${escapeHtml(quiz.quiz)}">${escapeHtml(quiz.quizTitle)}</option>`)
+            .join('');
+        filterEl.value = summary.perQuiz.some(quiz => quiz.quiz === selected) ? selected : '';
+        
+        this.renderScoreTrend();
+    }
+
+    /**
+     * Render the overall summary cards of the dashboard
+     */
+    renderDashboardSummary(overall) {
+        document.getElementById('dashboard-summary').innerHTML = `
+            <div class="summary-card">
+                <span class="summary-value">${overall.attempts}</span>
+                <span class="summary-label">${t('dashboard.attempts')}</span>
+            </div>
+            <div class="summary-card">
+                <span class="summary-value">${overall.passRate}%</span>
+                <span class="summary-label">${t('dashboard.passedCount', { count: overall.passed })}</span>
+            </div>
+            <div class="summary-card">
+                <span class="summary-value">${overall.averagePercentage}%</span>
+                <span class="summary-label">${t('dashboard.averageScore')}</span>
+            </div>
+            <div class="summary-card">
+                <span class="summary-value">${formatTime(overall.averageSecondsPerQuestion)}</span>
+                <span class="summary-label">${t('dashboard.averageTime')}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the per-quiz statistics table of the dashboard
+     */
+    renderDashboardQuizStats(perQuiz) {
+        const rows = perQuiz.map(quiz => `
+            <tr>
+                <td>${escapeHtml(quiz.quizTitle)}</td>
+                <td>${quiz.attempts}</td>
+                <td>${quiz.passRate}%</td>
+                <td>${quiz.averagePercentage}%</td>
+                <td>${quiz.bestPercentage}%</td>
+                <td>${formatTime(quiz.averageSecondsPerQuestion)}</td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('dashboard-quiz-stats').innerHTML = `
+            <table class="dashboard-table">
+                <thead>
+                    <tr>
+                        <th>${t('dashboard.quiz')}</th>
+                        <th>${t('dashboard.attempts')}</th>
+                        <th>${t('dashboard.passed')}</th>
+                        <th>${t('dashboard.average')}</th>
+                        <th>${t('dashboard.best')}</th>
+                        <th>${t('dashboard.timePerQuestion')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render the list of the most recent attempts
+     */
+    renderRecentAttempts() {
+        const recent = [...this.attempts].reverse().slice(0, 10);
+        
+        document.getElementById('dashboard-attempts').innerHTML = `
+            <ul class="attempt-list">
+                ${recent.map(attempt => `
+                    <li class="attempt-item ${attempt.passed ? 'pass' : 'fail'}">
+                        <span class="attempt-date">${escapeHtml(new Date(attempt.date).toLocaleString(getLocaleTag()))}</span>
+                        <a class="attempt-quiz" href="${escapeHtml(buildRoute({ page: 'results', attemptId: attempt.id }))}">${escapeHtml(attempt.quizTitle || attempt.quiz)}</a>
+                        <span class="attempt-score">${formatScore(attempt.score)}/${formatScore(attempt.maxScore)} (${attempt.percentage}%)</span>
+                        <span class="attempt-duration">${formatTime(attempt.durationSeconds || 0)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render the score trend chart for the quiz selected in the filter
+     */
+    renderScoreTrend() {
+        const filter = document.getElementById('dashboard-quiz-filter').value;
+        const attempts = (this.attempts || []).filter(attempt => !filter || attempt.quiz === filter);
+        const chartEl = document.getElementById('score-trend');
+        
+        if (attempts.length === 0) {
+            chartEl.innerHTML = `<p>${t('dashboard.noAttempts')}</p>`;
+            return;
+        }
+        
+        const width = 600;
+        const height = 220;
+        const padding = 30;
+        const stepX = attempts.length > 1 ? (width - padding * 2) / (attempts.length - 1) : 0;
+        const toY = percentage => height - padding - (percentage / 100) * (height - padding * 2);
+        const points = attempts.map((attempt, index) => ({
+            x: attempts.length > 1 ? padding + index * stepX : width / 2,
+            y: toY(attempt.percentage),
+            attempt
+        }));
+        const passPercentage = attempts[attempts.length - 1].profile && attempts[attempts.length - 1].profile.passPercentage;
+        
+        chartEl.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" class="trend-chart" role="img"
+                 aria-label="${t('dashboard.trendLabel')}">
+                <line class="trend-axis" x1="${padding}" y1="${toY(0)}" x2="${width - padding}" y2="${toY(0)}" />
+                <line class="trend-axis" x1="${padding}" y1="${toY(100)}" x2="${width - padding}" y2="${toY(100)}" />
+                <text class="trend-label" x="4" y="${toY(100) + 4}">100%</text>
+                <text class="trend-label" x="4" y="${toY(0) + 4}">0%</text>
+                ${passPercentage ? `
+                <line class="trend-threshold" x1="${padding}" y1="${toY(passPercentage)}" x2="${width - padding}" y2="${toY(passPercentage)}" />
+                <text class="trend-label" x="4" y="${toY(passPercentage) + 4}">${passPercentage}%</text>` : ''}
+                <polyline class="trend-line" points="${points.map(point => `${point.x},${point.y}`).join(' ')}" />
+                ${points.map(point => `
+                <circle class="trend-point ${point.attempt.passed ? 'pass' : 'fail'}" cx="${point.x}" cy="${point.y}" r="5">
+                    <title>${escapeHtml(new Date(point.attempt.date).toLocaleString(getLocaleTag()))}: ${point.attempt.percentage}%</title>
+                </circle>`).join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * Render the list of reported questions, hidden when there are none
+     */
+    async renderDisputes() {
+        const sectionEl = document.getElementById('disputes-section');
+        
+        try {
+            this.disputes = await loadDisputes();
+        } catch (error) {
+            console.warn('Unable to load disputes:', error);
+            this.disputes = [];
+        }
+        
+        if (this.disputes.length === 0) {
+            sectionEl.classList.add('hidden');
+            return;
+        }
+        
+        const questionCount = new Set(this.disputes.map(dispute => dispute.questionKey)).size;
+        document.getElementById('disputes-summary').textContent =
+            t('disputes.summary', { count: this.disputes.length, questions: questionCount });
+        document.getElementById('disputes-list').innerHTML = this.disputes
+            .slice()
+            .reverse()
+            .map(dispute => `
+                <li class="dispute-item">
+                    <span class="dispute-question">${escapeHtml(dispute.quizTitle || dispute.quiz)} · ${escapeHtml(t('results.questionHeading', { number: dispute.questionNumber || '?' }))}</span>
+                    <span class="dispute-date">${escapeHtml(new Date(dispute.date).toLocaleString(getLocaleTag()))}</span>
+                    <p class="dispute-text">${escapeHtml(dispute.note)}</p>
+                </li>
+            `)
+            .join('');
+        sectionEl.classList.remove('hidden');
+    }
+
+    /**
+     * Download the stored disputes as JSON for the quiz maintainers
+     */
+    exportDisputes() {
+        if (!this.disputes || this.disputes.length === 0) {
+            return;
+        }
+        
+        const day = new Date().toISOString().slice(0, 10);
+        downloadTextFile(`segnalazioni-${day}.json`, buildDisputesExport(this.disputes), 'application/json');
+    }
+
+    /**
+     * Ask for confirmation and delete the stored disputes
+     */
+    async confirmClearDisputes() {
+        if (!confirm(t('disputes.confirmClear'))) {
+            return;
+        }
+        
+        try {
+            await clearDisputes();
+        } catch (error) {
+            console.warn('Unable to clear disputes:', error);
+        }
+        this.renderDisputes();
+    }
+
+    /**
+     * Ask for confirmation and delete the attempt history
+     */
+    async confirmClearHistory() {
+        if (!confirm(t('dashboard.confirmClear'))) {
+            return;
+        }
+        
+        try {
+            await clearAttempts();
+        } catch (error) {
+            console.warn('Unable to clear attempts:', error);
+        }
+        this.showDashboard();
+    }
+
+    /**
+     * Open the quiz editor
+     * Bundled quizzes are read again from their file, so the questions
+     * discarded by the validation can be fixed too.
+     * @param {string} quizName - Quiz to edit, defaults to the first loaded quiz
+     */
+    async openEditor(quizName) {
+        if (this.editor && this.editor.quizName !== quizName && !this.confirmDiscardEditorChanges()) {
+            document.getElementById('editor-quiz-select').value = this.editor.quizName;
+            return;
+        }
+        
+        const quizNames = Array.from(this.quizzes.keys());
+        if (quizNames.length === 0) {
+            return;
+        }
+        
+        const name = quizNames.includes(quizName) ? quizName : quizNames[0];
+        const meta = this.quizMeta.get(name) || {};
+        let questions = this.quizzes.get(name);
+        let finalNewline = true;
+        
+        if (!meta.imported && meta.file) {
+            try {
+                const response = await fetch(`json_Q_A/${meta.file}`);
+                const text = await response.text();
+                const parseResult = safeJsonParse(text);
+                if (parseResult.success && Array.isArray(parseResult.data)) {
+                    questions = parseResult.data;
+                    finalNewline = text.endsWith('\n');
+                }
+            } catch (error) {
+                console.warn('Unable to read quiz file, editing the loaded questions:', error);
+            }
+        }
+        
+        this.editor = {
+            quizName: name,
+            questions: questions.map(question => JSON.parse(JSON.stringify(question))),
+            index: 0,
+            draft: null,
+            dirty: false,
+            finalNewline
+        };
+        
+        const selectEl = document.getElementById('editor-quiz-select');
+        selectEl.innerHTML = quizNames.map(quiz => {
+            const title = (this.quizMeta.get(quiz) || {}).title || quiz;
+            return `<option value="${escapeHtml(quiz)}">${escapeHtml(title)}</option>`;
+        }).join('');
+        selectEl.value = name;
+        document.getElementById('editor-status').textContent = '';
+        
+        this.showPage('editor-page');
+        this.setRoute({ page: 'editor', quiz: name });
+        this.selectEditorQuestion(0);
+    }
+
+    /**
+     * Ask before dropping unsaved editor changes
+     * @returns {boolean} - True if there is nothing to lose or the user agrees
+     */
+    confirmDiscardEditorChanges() {
+        return !this.editor || !this.editor.dirty ||
+            confirm(t('editor.confirmDiscard'));
+    }
+
+    /**
+     * Show a question of the quiz in the editor form
+     * @param {number} index - Question index
+     */
+    selectEditorQuestion(index) {
+        const editor = this.editor;
+        editor.index = Math.max(0, Math.min(index, editor.questions.length - 1));
+        const question = editor.questions[editor.index];
+        
+        document.getElementById('editor-form').classList.toggle('hidden', !question);
+        document.getElementById('editor-delete-question-btn').disabled = !question;
+        if (!question) {
+            editor.draft = null;
+            this.renderEditorQuestionList();
+            return;
+        }
+        
+        editor.draft = questionToDraft(question);
+        document.getElementById('editor-question-heading').textContent =
+            t(question.question_number ? 'editor.headingNumbered' : 'editor.heading', {
+                index: editor.index + 1,
+                total: editor.questions.length,
+                number: question.question_number
+            });
+        document.getElementById('editor-question-text').value = editor.draft.question_text;
+        document.getElementById('editor-question-image').value = editor.draft.question_image;
+        document.getElementById('editor-learning-objective').value = editor.draft.learning_objective;
+        document.getElementById('editor-k-level').value = editor.draft.k_level;
+        document.getElementById('editor-ambiguous').checked = editor.draft.ambiguous;
+        document.getElementById('editor-general-explanation-field').classList.toggle('hidden', editor.draft.explanation === null);
+        document.getElementById('editor-general-explanation').value = editor.draft.explanation || '';
+        
+        this.renderEditorOptions();
+        this.renderEditorQuestionList();
+        this.renderEditorValidation();
+    }
+
+    /**
+     * Render the option rows of the question being edited
+     */
+    renderEditorOptions() {
+        const draft = this.editor.draft;
+        
+        document.getElementById('editor-option-list').innerHTML = draft.options.map((option, index) => {
+            // With a single explanation string the correct options share it
+            const hasOwnExplanation = draft.explanation === null || !option.correct;
+            return `
+                <div class="editor-option">
+                    <label class="editor-option-key">
+                        <input type="checkbox" class="editor-option-correct" data-index="${index}"
+                               ${option.correct ? 'checked' : ''} aria-label="${escapeHtml(t('editor.optionCorrect', { option: option.key }))}">
+                        ${escapeHtml(option.key.toUpperCase())}
+                    </label>
+                    <div class="editor-option-fields">
+                        <textarea class="editor-option-text" data-index="${index}" rows="2"
+                                  aria-label="${escapeHtml(t('editor.optionText', { option: option.key }))}">${escapeHtml(option.text)}</textarea>
+                        <textarea class="editor-option-explanation ${hasOwnExplanation ? '' : 'hidden'}" data-index="${index}" rows="2"
+                                  placeholder="${escapeHtml(t('editor.explanationPlaceholder'))}" aria-label="${escapeHtml(t('editor.optionExplanation', { option: option.key }))}">${escapeHtml(option.explanation)}</textarea>
                     </div>
                 </div>
             `;
-        });
+        }).join('');
         
-        // Add summary information
-        const totalErrors = Object.values(stats).reduce((sum, stat) => sum + stat.incorrect, 0);
-        const totalQuestions = Object.values(stats).reduce((sum, stat) => sum + stat.total, 0);
-        const objectivesWithErrors = Object.values(stats).filter(stat => stat.incorrect > 0).length;
+        document.getElementById('editor-remove-option-btn').disabled = draft.options.length <= 2;
+        document.getElementById('editor-add-option-btn').disabled = draft.options.length >= 26;
+    }
+
+    /**
+     * Render the question list of the editor, marking the questions with errors
+     */
+    renderEditorQuestionList() {
+        const editor = this.editor;
         
-        html += `
-            <div class="learning-objective-summary-info">
-                <p><strong>Riepilogo:</strong></p>
-                <ul>
-                    <li>Aree macro coperte: ${sortedMacroAreas.length}</li>
-                    <li>Obiettivi di apprendimento totali: ${Object.keys(stats).length}</li>
-                    <li>Obiettivi con errori: ${objectivesWithErrors}</li>
-                    <li>Errori totali: ${totalErrors}/${totalQuestions}</li>
-                </ul>
-            </div>
-        `;
+        document.getElementById('editor-question-list').innerHTML = editor.questions.map((question, index) => {
+            const { isValid } = validateQuestion(question, index);
+            const text = question.question_text || t('editor.newQuestion');
+            return `
+                <button type="button" class="editor-question-item ${index === editor.index ? 'active' : ''} ${isValid ? '' : 'invalid'}"
+                        data-index="${index}" ${index === editor.index ? 'aria-current="true"' : ''}>
+                    <strong>${index + 1}.</strong> ${escapeHtml(text.length > 60 ? `${text.slice(0, 60)}…` : text)}
+                </button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the validation errors and warnings of the question being edited
+     */
+    renderEditorValidation() {
+        const editor = this.editor;
+        const validation = validateQuestion(editor.questions[editor.index], editor.index);
+        const messages = [
+            ...validation.errors.map(message => ({ message, severity: 'error' })),
+            ...validation.warnings.map(message => ({ message, severity: 'warning' }))
+        ];
         
-        container.innerHTML = html;
+        document.getElementById('editor-validation').innerHTML = messages.length === 0 ?
+            `<p class="editor-valid">${t('editor.valid')}</p>` :
+            `<ul>${messages.map(({ message, severity }) => `
+                <li class="editor-${severity}">${escapeHtml(t(severity === 'error' ? 'editor.error' : 'editor.warning', { message }))}</li>
+            `).join('')}</ul>`;
     }
 
     /**
-     * Group learning objectives by macro area and sub area
+     * Read the editor form into the draft and update the question
      */
-    groupLearningObjectivesByMacroArea(stats) {
-        const grouped = {};
+    updateEditorDraft() {
+        const editor = this.editor;
+        const draft = editor.draft;
         
-        Object.keys(stats).forEach(objective => {
-            const match = objective.match(/FL-(\d+)\.(\d+)\.(\d+)/);
-            if (match) {
-                const macroArea = `FL-${match[1]}`;
-                const subArea = `FL-${match[1]}.${match[2]}`;
-                
-                if (!grouped[macroArea]) {
-                    grouped[macroArea] = { subAreas: {} };
-                }
-                
-                if (!grouped[macroArea].subAreas[subArea]) {
-                    grouped[macroArea].subAreas[subArea] = { objectives: {} };
-                }
-                
-                grouped[macroArea].subAreas[subArea].objectives[objective] = stats[objective];
-            }
+        draft.question_text = document.getElementById('editor-question-text').value;
+        draft.question_image = document.getElementById('editor-question-image').value.trim();
+        draft.learning_objective = document.getElementById('editor-learning-objective').value;
+        draft.k_level = document.getElementById('editor-k-level').value;
+        draft.ambiguous = document.getElementById('editor-ambiguous').checked;
+        if (draft.explanation !== null) {
+            draft.explanation = document.getElementById('editor-general-explanation').value;
+        }
+        
+        let correctionChanged = false;
+        draft.options.forEach((option, index) => {
+            const correct = document.querySelector(`.editor-option-correct[data-index="${index}"]`).checked;
+            correctionChanged = correctionChanged || correct !== option.correct;
+            option.correct = correct;
+            option.text = document.querySelector(`.editor-option-text[data-index="${index}"]`).value;
+            option.explanation = document.querySelector(`.editor-option-explanation[data-index="${index}"]`).value;
         });
         
-        return grouped;
+        this.applyEditorDraft();
+        if (correctionChanged && draft.explanation !== null) {
+            // The explanation fields shown depend on which options are correct
+            this.renderEditorOptions();
+        }
+    }
+
+    /**
+     * Store the draft in the edited quiz and validate it again
+     */
+    applyEditorDraft() {
+        const editor = this.editor;
+        editor.questions[editor.index] = draftToQuestion(editor.draft, editor.questions[editor.index]);
+        editor.dirty = true;
+        document.getElementById('editor-status').textContent = t('editor.unsaved');
+        this.renderEditorQuestionList();
+        this.renderEditorValidation();
+    }
+
+    /**
+     * Add an option to the question being edited
+     */
+    addEditorOption() {
+        const options = this.editor.draft.options;
+        options.push({ key: getNextOptionKey(options), text: '', explanation: '', correct: false });
+        this.renderEditorOptions();
+        this.applyEditorDraft();
+    }
+
+    /**
+     * Remove the last option of the question being edited
+     */
+    removeEditorOption() {
+        this.editor.draft.options.pop();
+        this.renderEditorOptions();
+        this.applyEditorDraft();
+    }
+
+    /**
+     * Add a blank question at the end of the quiz
+     */
+    addEditorQuestion() {
+        const editor = this.editor;
+        editor.questions.push(createEmptyQuestion(editor.questions));
+        editor.dirty = true;
+        document.getElementById('editor-status').textContent = t('editor.unsaved');
+        this.selectEditorQuestion(editor.questions.length - 1);
+    }
+
+    /**
+     * Delete the question being edited
+     */
+    deleteEditorQuestion() {
+        const editor = this.editor;
+        if (!confirm(t('editor.confirmDelete', { number: editor.index + 1 }))) {
+            return;
+        }
+        
+        editor.questions.splice(editor.index, 1);
+        editor.dirty = true;
+        document.getElementById('editor-status').textContent = t('editor.unsaved');
+        this.selectEditorQuestion(editor.index);
+    }
+
+    /**
+     * Use the edited questions in the app, and store them for imported quizzes
+     * Bundled quizzes are only updated for this visit: the file in json_Q_A/
+     * has to be replaced with the downloaded one.
+     */
+    async saveEditorQuiz() {
+        const editor = this.editor;
+        const meta = this.quizMeta.get(editor.quizName) || {};
+        const statusEl = document.getElementById('editor-status');
+        const validation = validateQuizData(editor.questions, meta.file || editor.quizName);
+        
+        if (validation.errors.length > 0) {
+            statusEl.textContent = t('editor.saveInvalid', { count: validation.errors.length });
+            return;
+        }
+        
+        if (meta.imported) {
+            try {
+                const records = await loadImportedQuizzes();
+                const record = records.find(item => item.name === editor.quizName);
+                await saveImportedQuiz({ ...record, questions: editor.questions });
+            } catch (error) {
+                statusEl.textContent = t('editor.saveError', { error: error.message });
+                return;
+            }
+        }
+        
+        this.quizzes.set(editor.quizName, editor.questions.map(question => JSON.parse(JSON.stringify(question))));
+        this.indexQuestions();
+        this.displayQuizList();
+        editor.dirty = false;
+        statusEl.textContent = meta.imported ?
+            t('editor.saved') :
+            t('editor.savedForSession', { file: meta.file });
+    }
+
+    /**
+     * Download the edited quiz as a JSON file
+     */
+    downloadEditorQuiz() {
+        const editor = this.editor;
+        const meta = this.quizMeta.get(editor.quizName) || {};
+        const filename = meta.file && meta.file.toLowerCase().endsWith('.json') ?
+            meta.file : `${meta.title || editor.quizName}.json`;
+        
+        downloadTextFile(filename, serializeQuizFile(editor.questions, editor.finalNewline), 'application/json');
+        
+        const invalidCount = editor.questions.filter((question, index) => !validateQuestion(question, index).isValid).length;
+        if (invalidCount > 0) {
+            document.getElementById('editor-status').textContent =
+                t('editor.downloadedInvalid', { count: invalidCount });
+        }
     }
 
     /**
      * Save current quiz state to localStorage
      */
     saveCurrentState() {
-        if (this.currentQuiz && this.timeRemaining > 0) {
+        // A tab that lost the session to another tab must not overwrite its progress
+        if (this.currentQuiz && this.timeRemaining > 0 && !this.sessionBlocked) {
+            // The questions are rebuilt from the seed on resume (see restoreSessionQuestions)
             const state = {
-                questions: this.currentQuestions,
+                seed: this.sessionSeed,
+                paperFingerprint: getPaperFingerprint(this.currentQuestions),
+                questionsHash: getQuestionsHash(this.currentQuestions),
+                reviewKeys: this.sessionMode === 'review' ? this.reviewQuestions.map(getQuestionKey) : null,
+                questions: this.sessionSeed === null ? this.currentQuestions : undefined,
                 currentQuestionIndex: this.currentQuestionIndex,
                 userAnswers: this.userAnswers,
-                timeRemaining: this.timeRemaining
+                lockedQuestions: this.lockedQuestions,
+                flaggedQuestions: this.flaggedQuestions,
+                questionTiming: serializeQuestionTiming(this.questionTiming),
+                pauses: serializePauses(this.pauses),
+                extraTimePercent: this.sessionExtraTimePercent,
+                timeRemaining: this.timeRemaining,
+                // Strict sessions go on counting from the end time, even while the page is closed
+                timerEndsAt: isStrictClockMode(this.sessionMode) && this.timer ? this.timer.getEndsAt() : null,
+                examProfile: this.examProfile,
+                samplingInfo: this.samplingInfo,
+                builderCriteria: this.sessionMode === 'custom' ? this.builderCriteria : null,
+                sessionStartedAt: this.sessionStartedAt
             };
-            saveQuizState(this.currentQuiz, state);
+            this.updateStorageWarning(saveQuizState(this.getSessionKey(this.currentQuiz, this.sessionMode), state));
+        }
+    }
+
+    /**
+     * Warn that the browser storage cannot keep the progress
+     * A dismissed warning comes back only when the outcome of the saves changes.
+     * @param {string} status - Outcome of the last save ('saved', 'full' or 'failed')
+     */
+    updateStorageWarning(status) {
+        const warningEl = document.getElementById('storage-warning');
+        if (status === 'saved') {
+            warningEl.classList.add('hidden');
+        } else if (status !== this.storageStatus) {
+            document.getElementById('storage-warning-message').textContent = t(`storage.${status}`);
+            warningEl.classList.remove('hidden');
         }
+        this.storageStatus = status;
     }
 
     /**
@@ -1049,16 +3784,36 @@ class QuizApp {
      */
     goToLandingPage() {
         this.showPage('landing-page');
+        this.setRoute({ page: 'landing' });
         this.resetQuizState();
+        this.refreshReviewPanel();
+    }
+
+    /**
+     * Check whether the session of the results on screen can be started again
+     * @returns {boolean} - False when its quiz is no longer loaded or its builder criteria are unknown
+     */
+    canRetrySession() {
+        if (this.sessionMode === 'review') {
+            return true;
+        }
+        if (this.sessionMode === 'custom') {
+            return Boolean(this.builderCriteria);
+        }
+        return this.currentQuiz === ALL_QUIZZES_KEY || this.quizzes.has(this.currentQuiz);
     }
 
     /**
      * Retry current quiz
      */
     retryCurrentQuiz() {
-        if (this.currentQuiz) {
-            clearQuizState(this.currentQuiz);
-            this.initializeNewQuiz(this.currentQuiz);
+        if (this.sessionMode === 'review') {
+            // A new review session is built from the cards due now
+            clearQuizState(this.getSessionKey(this.currentQuiz, this.sessionMode));
+            this.startReview();
+        } else if (this.currentQuiz) {
+            clearQuizState(this.getSessionKey(this.currentQuiz, this.sessionMode));
+            this.initializeNewQuiz(this.currentQuiz, this.sessionMode);
         }
     }
 
@@ -1066,15 +3821,439 @@ class QuizApp {
      * Reset quiz state
      */
     resetQuizState() {
-        if (this.timer) {
-            clearInterval(this.timer);
-            this.timer = null;
-        }
+        this.stopTimer();
+        this.sessionLock.release();
+        this.sessionBlocked = false;
+        document.getElementById('session-lock-notice').classList.add('hidden');
+        this.sharedPaper = null;
         this.currentQuiz = null;
+        this.sessionMode = 'exam';
+        this.samplingInfo = null;
+        this.sessionSeed = null;
+        this.sessionStartedAt = null;
+        this.pendingQuestionIndex = null;
         this.currentQuestions = [];
         this.currentQuestionIndex = 0;
         this.userAnswers = {};
-        this.timeRemaining = 60 * 60;
+        this.lockedQuestions = {};
+        this.flaggedQuestions = {};
+        this.questionTiming = createQuestionTiming();
+        this.pauses = [];
+        this.updatePauseDisplay();
+        this.sessionExtraTimePercent = 0;
+        this.examProfile = resolveExamProfile(DEFAULT_EXAM_PROFILE_ID);
+        this.timeRemaining = this.getSessionDurationSeconds();
+    }
+
+    /**
+     * Translate the static texts of the page and fill the language selector
+     */
+    applyLocale() {
+        applyTranslations(document);
+        document.documentElement.lang = getLocale();
+        document.title = t('app.title');
+        
+        const selectEl = document.getElementById('locale-select');
+        selectEl.innerHTML = Object.entries(SUPPORTED_LOCALES)
+            .map(([locale, { name }]) => `<option value="${locale}" lang="${locale}">${escapeHtml(name)}</option>`)
+            .join('');
+        selectEl.value = getLocale();
+        this.renderAccommodationsForm();
+    }
+
+    /**
+     * Show or hide the accommodations panel
+     */
+    toggleAccommodations() {
+        const panelEl = document.getElementById('accommodations-panel');
+        const isOpening = panelEl.classList.contains('hidden');
+        
+        panelEl.classList.toggle('hidden', !isOpening);
+        document.getElementById('show-accommodations-btn').setAttribute('aria-expanded', String(isOpening));
+        if (isOpening) {
+            document.getElementById('accommodations-extra-time').focus();
+        }
+    }
+
+    /**
+     * Fill the accommodations form with the choices and the current profile
+     */
+    renderAccommodationsForm() {
+        const extraTimeEl = document.getElementById('accommodations-extra-time');
+        const fontScaleEl = document.getElementById('accommodations-font-scale');
+        
+        extraTimeEl.innerHTML = EXTRA_TIME_OPTIONS
+            .map(percentage => `<option value="${percentage}">${escapeHtml(percentage === 0 ?
+                t('accommodations.noExtraTime') :
+                t('accommodations.extraTimeOption', { percentage }))}</option>`)
+            .join('');
+        fontScaleEl.innerHTML = FONT_SCALE_OPTIONS
+            .map(scale => `<option value="${scale}">${Math.round(scale * 100)}%</option>`)
+            .join('');
+        
+        extraTimeEl.value = String(this.accommodations.extraTimePercent);
+        fontScaleEl.value = String(this.accommodations.fontScale);
+        document.getElementById('accommodations-high-contrast').checked = this.accommodations.highContrast;
+        document.getElementById('accommodations-reduced-motion').checked = this.accommodations.reducedMotion;
+        document.getElementById('accommodations-dyslexia-font').checked = this.accommodations.dyslexiaFont;
+    }
+
+    /**
+     * Apply and save the accommodations chosen in the form
+     */
+    updateAccommodations() {
+        this.accommodations = normalizeAccommodations({
+            extraTimePercent: parseInt(document.getElementById('accommodations-extra-time').value, 10),
+            fontScale: parseFloat(document.getElementById('accommodations-font-scale').value),
+            highContrast: document.getElementById('accommodations-high-contrast').checked,
+            reducedMotion: document.getElementById('accommodations-reduced-motion').checked,
+            dyslexiaFont: document.getElementById('accommodations-dyslexia-font').checked
+        });
+        applyAccommodations(this.accommodations);
+        this.updateStorageWarning(saveAccommodations(this.accommodations));
+    }
+
+    /**
+     * Switch the interface language and render the page on screen again
+     * @param {string} locale - Locale code
+     */
+    changeLocale(locale) {
+        if (!setLocale(locale)) {
+            return;
+        }
+        this.applyLocale();
+        
+        if (this.pendingUpdate) {
+            document.getElementById('update-banner-message').textContent = t(UPDATE_MESSAGES[this.pendingUpdate.kind]);
+        }
+        if (this.storageStatus !== 'saved') {
+            document.getElementById('storage-warning-message').textContent = t(`storage.${this.storageStatus}`);
+        }
+        this.updateSharedPaperNotice();
+        
+        if (this.isPageActive('landing-page')) {
+            this.displayQuizList();
+            this.refreshReviewPanel();
+            this.renderImportPreview();
+            if (!document.getElementById('builder-panel').classList.contains('hidden')) {
+                const criteria = this.readBuilderCriteria();
+                this.renderBuilderOptions();
+                this.renderBuilderPresets(document.getElementById('builder-preset-select').value);
+                this.applyBuilderCriteria(criteria);
+                this.updateBuilderAvailability();
+            }
+        } else if (this.isPageActive('quiz-page')) {
+            document.getElementById('quiz-title').textContent = this.getSessionTitle();
+            if (this.sessionBlocked) {
+                document.getElementById('session-lock-message').textContent = t(this.sessionLockMessage);
+            } else if (!document.getElementById('resume-prompt').classList.contains('hidden')) {
+                document.getElementById('resume-message').textContent = t(this.resumeMessage);
+            } else if (this.currentQuestions.length > 0) {
+                this.displayCurrentQuestion();
+                this.updatePauseDisplay();
+                if (this.isTimedSession()) {
+                    this.updateTimerDisplay();
+                }
+                if (this.isSubmitReviewOpen()) {
+                    this.confirmSubmitQuiz();
+                }
+            }
+        } else if (this.isPageActive('results-page') && this.lastResults) {
+            // Grade again to show the questions and the explanations in the new language
+            const { results, questions, userAnswers, profile, attempt } = this.lastResults;
+            Object.assign(results, gradeQuizLocalized(questions, userAnswers, profile));
+            if (attempt) {
+                applyAttemptGrade(results, attempt);
+            }
+            this.displayResults(results);
+        } else if (this.isPageActive('dashboard-page')) {
+            this.showDashboard();
+        } else if (this.isPageActive('editor-page') && this.editor) {
+            this.selectEditorQuestion(this.editor.index);
+        }
+    }
+
+    /**
+     * Show the "aggiornamento disponibile" banner
+     * @param {Object} update - { kind, message, apply } reported by registerServiceWorker()
+     */
+    showUpdateBanner(update) {
+        this.pendingUpdate = update;
+        document.getElementById('update-banner-message').textContent = update.message;
+        document.getElementById('update-banner').classList.remove('hidden');
+    }
+
+    /**
+     * Reload the app on the new version or quiz bank, saving the running session first
+     */
+    applyPendingUpdate() {
+        if (!this.pendingUpdate) {
+            return;
+        }
+        if (this.isPageActive('quiz-page') && this.currentQuestions.length > 0) {
+            this.saveCurrentState();
+        }
+        document.getElementById('update-banner').classList.add('hidden');
+        this.pendingUpdate.apply();
+    }
+
+    /**
+     * Get the route of the current session
+     * @param {number|null} question - Question number (1-based), null for the session itself
+     * @returns {Object} - Route for buildRoute()
+     */
+    getSessionRoute(question = null) {
+        return {
+            page: 'quiz',
+            mode: this.sessionMode,
+            quiz: ROUTE_QUIZ_MODES.includes(this.sessionMode) ? this.currentQuiz : null,
+            question
+        };
+    }
+
+    /**
+     * Put the route of what is on screen in the address bar
+     * Moving within the same page (another question of the session, the id of
+     * the results once stored) replaces the history entry, so Back leaves the page.
+     * @param {Object} route - Route for buildRoute()
+     * @param {boolean} replace - Replace the current history entry even when changing page
+     */
+    setRoute(route, replace = false) {
+        const hash = buildRoute(route);
+        if (location.hash === hash) {
+            return;
+        }
+        
+        const current = parseRoute(location.hash);
+        const samePage = current !== null && current.page === route.page &&
+            current.mode === route.mode && current.quiz === route.quiz;
+        if (replace || samePage) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+
+    /**
+     * Check whether a page is on screen
+     * @param {string} pageId - Page element id
+     * @returns {boolean} - True if the page is active
+     */
+    isPageActive(pageId) {
+        return document.getElementById(pageId).classList.contains('active');
+    }
+
+    /**
+     * Open what the URL fragment points to: a shared session or a route
+     */
+    async handleLocationHash() {
+        if (parseShareHash(location.hash)) {
+            this.openSharedSession();
+            return;
+        }
+        
+        const route = parseRoute(location.hash);
+        if (route) {
+            await this.applyRoute(route);
+        }
+    }
+
+    /**
+     * Show the page of a route
+     * @param {Object} route - Route read by parseRoute()
+     */
+    async applyRoute(route) {
+        if (!this.leaveCurrentPage(route)) {
+            // The user kept the editor changes: restore its address
+            this.setRoute({ page: 'editor', quiz: this.editor.quizName });
+            return;
+        }
+        
+        if (route.page === 'landing') {
+            if (!this.isPageActive('landing-page')) {
+                this.goToLandingPage();
+            }
+        } else if (route.page === 'quiz') {
+            await this.openSessionRoute(route);
+        } else if (route.page === 'results') {
+            await this.showStoredResults(route.attemptId);
+        } else if (route.page === 'dashboard') {
+            await this.showDashboard();
+        } else if (route.page === 'editor') {
+            await this.openEditor(route.quiz);
+        }
+    }
+
+    /**
+     * Leave the page on screen before showing a route
+     * A running session is saved, so it can be resumed by going forward again.
+     * @param {Object} route - Route about to be shown
+     * @returns {boolean} - False if the user wants to keep unsaved editor changes
+     */
+    leaveCurrentPage(route) {
+        if (this.isPageActive('editor-page') && route.page !== 'editor') {
+            if (!this.confirmDiscardEditorChanges()) {
+                return false;
+            }
+            this.editor = null;
+        }
+        
+        if (this.isSourceViewerOpen()) {
+            this.closeSourceViewer();
+        }
+        if (this.isSubmitReviewOpen()) {
+            this.closeSubmitReview();
+        }
+        
+        const quizName = route.page === 'quiz' && !ROUTE_QUIZ_MODES.includes(route.mode) ? ALL_QUIZZES_KEY : route.quiz;
+        const sameSession = route.page === 'quiz' && route.mode === this.sessionMode && quizName === this.currentQuiz;
+        if (this.isPageActive('quiz-page') && this.currentQuiz !== null && !sameSession) {
+            if (this.currentQuestions.length > 0) {
+                this.saveCurrentState();
+            }
+            this.resetQuizState();
+        }
+        return true;
+    }
+
+    /**
+     * Open the session of a route, resuming it when it was saved
+     * @param {Object} route - Route of a session ({ mode, quiz, question })
+     */
+    async openSessionRoute(route) {
+        const quizName = ROUTE_QUIZ_MODES.includes(route.mode) ? route.quiz : ALL_QUIZZES_KEY;
+        const questionIndex = route.question !== null ? route.question - 1 : null;
+        
+        // Already on screen: only move to the question
+        if (this.isPageActive('quiz-page') && this.currentQuiz === quizName &&
+            this.sessionMode === route.mode && this.currentQuestions.length > 0) {
+            if (questionIndex !== null) {
+                this.goToQuestion(questionIndex);
+            }
+            return;
+        }
+        
+        if (quizName !== ALL_QUIZZES_KEY && !this.quizzes.has(quizName)) {
+            this.validationErrors.push(t('route.quizMissing', { quiz: quizName }));
+            this.displayValidationErrors();
+            this.goToLandingPage();
+            return;
+        }
+        
+        this.pendingQuestionIndex = questionIndex;
+        const hasSavedState = loadQuizState(this.getSessionKey(quizName, route.mode)) !== null;
+        if (route.mode === 'review' && !hasSavedState) {
+            await this.startReview();
+        } else if (route.mode === 'custom' && !hasSavedState) {
+            // The builder criteria are not part of the link: let the user choose them again
+            this.pendingQuestionIndex = null;
+        } else {
+            this.startQuiz(quizName, route.mode);
+        }
+        
+        // Nothing to start (no review due, custom quiz to configure)
+        if (this.currentQuiz === null) {
+            this.pendingQuestionIndex = null;
+            this.goToLandingPage();
+        }
+    }
+
+    /**
+     * Show the results of a stored attempt (or of the attempt just submitted)
+     * The questions are looked up by key among the loaded quizzes and graded
+     * again with the profile of the attempt.
+     * @param {number|null} attemptId - Id of the attempt, null for the last results
+     */
+    async showStoredResults(attemptId) {
+        if (this.lastResults && (attemptId === null || this.lastResults.results.attemptId === attemptId)) {
+            const { results, questions, profile, session } = this.lastResults;
+            this.currentQuestions = questions;
+            this.examProfile = profile;
+            this.sessionMode = session.mode;
+            this.sessionSeed = session.seed;
+            this.currentQuiz = this.getQuizNameFromSessionKey(session.quiz, session.mode);
+            this.updateShareButtons();
+            this.displayResults(results);
+            return;
+        }
+        
+        let attempt;
+        if (attemptId !== null) {
+            try {
+                attempt = await loadAttempt(attemptId);
+            } catch (error) {
+                console.warn('Unable to load attempt:', error);
+            }
+        }
+        
+        const entries = attempt ? attempt.answers.map(answer => this.questionIndex.get(answer.questionKey)) : [];
+        if (!attempt || entries.some(entry => !entry)) {
+            this.validationErrors.push(attempt ?
+                t('route.attemptQuestionsMissing', { id: attemptId }) :
+                t('route.resultsMissing'));
+            this.displayValidationErrors();
+            this.goToLandingPage();
+            return;
+        }
+        
+        // Options in their original order: the shuffled order of the attempt is not stored
+        const questions = entries.map(entry => {
+            const question = prepareQuestionForDisplay(entry.question);
+            return Array.isArray(question.question_option) ?
+                { ...question, question_option: [...question.question_option].sort((a, b) => a.option.localeCompare(b.option)) } :
+                question;
+        });
+        const userAnswers = {};
+        attempt.answers.forEach((answer, index) => {
+            if (answer.userAnswer !== null) {
+                userAnswers[index.toString()] = answer.userAnswer;
+            }
+        });
+        const mode = attempt.mode || 'exam';
+        const profile = getAttemptProfile(attempt, this.customProfiles);
+        const results = applyAttemptGrade(gradeQuizLocalized(questions, userAnswers, profile), attempt);
+        results.mode = mode;
+        results.attemptId = attempt.id;
+        results.timing = attempt.timing || null;
+        results.pauses = attempt.pauses || null;
+        results.accommodations = attempt.accommodations || null;
+        
+        this.resetQuizState();
+        this.currentQuiz = this.getQuizNameFromSessionKey(attempt.quiz, mode);
+        this.sessionMode = mode;
+        this.sessionSeed = typeof attempt.seed === 'number' ? attempt.seed : null;
+        this.currentQuestions = questions;
+        this.examProfile = profile;
+        this.lastResults = {
+            results,
+            questions,
+            userAnswers,
+            profile,
+            attempt,
+            session: {
+                quiz: attempt.quiz,
+                quizTitle: attempt.quizTitle || attempt.quiz,
+                mode,
+                seed: this.sessionSeed,
+                startedAt: attempt.startedAt,
+                completedAt: attempt.date
+            }
+        };
+        this.updateShareButtons();
+        this.displayResults(results);
+    }
+
+    /**
+     * Get the quiz of a session from its storage key (see getSessionKey)
+     * @param {string} sessionKey - Key such as "A", "simulation:A" or "review"
+     * @param {string} mode - Session mode
+     * @returns {string} - Quiz identifier (or ALL_QUIZZES_KEY)
+     */
+    getQuizNameFromSessionKey(sessionKey, mode) {
+        if (mode === 'review') {
+            return ALL_QUIZZES_KEY;
+        }
+        return mode === 'exam' ? sessionKey : sessionKey.slice(mode.length + 1);
     }
 
     /**
@@ -0,0 +1,230 @@
+/**
+ * Attempt history for the ISTQB Quiz App
+ *
+ * Every completed attempt is stored in the `attempts` IndexedDB store and
+ * summarized for the progress dashboard.
+ */
+
+const ATTEMPTS_STORE = 'attempts';
+
+/**
+ * Build the record stored for a completed attempt
+ * @param {Array} questions - Questions of the attempt, in the order they were shown
+ * @param {Object} userAnswers - Object with questionId: selectedOption mapping
+ * @param {Object} results - Output of gradeQuiz()
+ * @param {Object} session - { quiz, quizTitle, mode, seed, startedAt, durationSeconds }
+ * @returns {Object} - Attempt record (without id, assigned by IndexedDB)
+ */
+function buildAttemptRecord(questions, userAnswers, results, session) {
+    const answers = questions.map((question, index) => {
+        const result = results.results[index];
+        const userAnswer = userAnswers[index.toString()];
+        return {
+            questionKey: getQuestionKey(question),
+            questionNumber: question.question_number || null,
+            learningObjective: question.learning_objective || null,
+            kLevel: question.k_level || null,
+            userAnswer: userAnswer === undefined ? null : userAnswer,
+            correctAnswer: result.correctAnswer,
+            isCorrect: Boolean(result.isCorrect),
+            points: result.points,
+            earnedPoints: result.earnedPoints
+        };
+    });
+
+    return {
+        quiz: session.quiz,
+        quizTitle: session.quizTitle,
+        mode: session.mode,
+        seed: session.seed,
+        date: new Date().toISOString(),
+        startedAt: session.startedAt,
+        durationSeconds: session.durationSeconds,
+        profile: results.profile,
+        scoring: results.scoring,
+        sampling: results.sampling ? results.sampling.blueprint : null,
+        score: results.score,
+        maxScore: results.maxScore,
+        correctCount: results.correctCount,
+        total: results.total,
+        percentage: results.percentage,
+        passThreshold: results.passThreshold,
+        passed: results.passed,
+        answers,
+        learningObjectiveStats: results.learningObjectiveStats,
+        timing: results.timing || null,
+        pauses: results.pauses || null,
+        accommodations: results.accommodations || null
+    };
+}
+
+/**
+ * Store a completed attempt
+ * @param {Object} attempt - Record built by buildAttemptRecord()
+ * @returns {Promise<number>} - Id of the stored attempt
+ */
+function saveAttempt(attempt) {
+    return dbPut(ATTEMPTS_STORE, attempt);
+}
+
+/**
+ * Load every stored attempt, oldest first
+ * @returns {Promise<Object[]>} - Attempt records
+ */
+async function loadAttempts() {
+    const attempts = await dbGetAll(ATTEMPTS_STORE);
+    return attempts.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Load a stored attempt
+ * @param {number} id - Id of the attempt
+ * @returns {Promise<Object|undefined>} - Attempt record, undefined when not stored
+ */
+function loadAttempt(id) {
+    return dbGet(ATTEMPTS_STORE, id);
+}
+
+/**
+ * Rebuild the exam profile an attempt was graded with
+ * Attempts keep only the fields of the profile that affect the grade.
+ * @param {Object} attempt - Attempt record
+ * @param {Object} customProfiles - Extra profiles declared in the manifest, keyed by id
+ * @returns {Object} - Complete exam profile (see resolveExamProfile)
+ */
+function getAttemptProfile(attempt, customProfiles = {}) {
+    const recorded = attempt.profile || {};
+    const scoring = attempt.scoring || {};
+    const reference = {
+        extends: recorded.id,
+        id: recorded.id,
+        name: recorded.name,
+        passPercentage: recorded.passPercentage,
+        ambiguousPolicy: recorded.ambiguousPolicy,
+        scoringStrategy: scoring.strategy,
+        weightByPoints: scoring.weightByPoints,
+        negativeMarking: scoring.negativeMarking === null ? undefined : scoring.negativeMarking
+    };
+    // Fields missing from older attempts come from the profile itself
+    Object.keys(reference).forEach(key => {
+        if (reference[key] === undefined) {
+            delete reference[key];
+        }
+    });
+    return resolveExamProfile(reference, customProfiles);
+}
+
+/**
+ * Put the grade recorded with an attempt on its results graded again
+ * The quiz files may have been corrected since the attempt (answer key,
+ * disputes, ambiguous questions): the results page of a stored attempt shows
+ * the score and the verdict of the dashboard, and today's grade only as a note.
+ * @param {Object} results - gradeQuiz() results of the attempt questions, changed in place
+ * @param {Object} attempt - Stored attempt
+ * @returns {Object} - The results, with `regrade` ({ score, maxScore, passed } of today's grade) when it differs
+ */
+function applyAttemptGrade(results, attempt) {
+    // Attempts stored before the grade was recorded can only be graded again
+    if (typeof attempt.score !== 'number') {
+        return results;
+    }
+    const regrade = { score: results.score, maxScore: results.maxScore, passed: results.passed };
+    let changed = regrade.score !== attempt.score || regrade.maxScore !== attempt.maxScore || regrade.passed !== attempt.passed;
+
+    results.results.forEach((result, index) => {
+        const answer = attempt.answers[index];
+        if (!answer || typeof answer.earnedPoints !== 'number') {
+            return;
+        }
+        if (answer.earnedPoints !== result.earnedPoints || answer.isCorrect !== result.isCorrect) {
+            changed = true;
+        }
+        result.isCorrect = answer.isCorrect;
+        result.earnedPoints = answer.earnedPoints;
+        result.recordedCorrectAnswer = answer.correctAnswer !== result.correctAnswer ? answer.correctAnswer : null;
+    });
+    ['score', 'maxScore', 'correctCount', 'total', 'percentage', 'passThreshold', 'passed', 'learningObjectiveStats'].forEach(key => {
+        if (attempt[key] !== undefined) {
+            results[key] = attempt[key];
+        }
+    });
+    results.regrade = changed ? regrade : null;
+    return results;
+}
+
+/**
+ * Delete the whole attempt history
+ * @returns {Promise<void>}
+ */
+function clearAttempts() {
+    return dbClear(ATTEMPTS_STORE);
+}
+
+/**
+ * Aggregate a list of attempts
+ * @param {Object[]} attempts - Attempt records
+ * @returns {Object} - { attempts, passed, passRate, averagePercentage, bestPercentage, averageSecondsPerQuestion }
+ */
+function aggregateAttempts(attempts) {
+    const count = attempts.length;
+    const passed = attempts.filter(attempt => attempt.passed).length;
+    const totalSeconds = attempts.reduce((sum, attempt) => sum + (attempt.durationSeconds || 0), 0);
+    const totalQuestions = attempts.reduce((sum, attempt) => sum + attempt.total, 0);
+
+    return {
+        attempts: count,
+        passed,
+        passRate: count > 0 ? Math.round((passed / count) * 100) : 0,
+        averagePercentage: count > 0 ?
+            Math.round(attempts.reduce((sum, attempt) => sum + attempt.percentage, 0) / count) : 0,
+        bestPercentage: count > 0 ? Math.max(...attempts.map(attempt => attempt.percentage)) : 0,
+        averageSecondsPerQuestion: totalQuestions > 0 ? Math.round(totalSeconds / totalQuestions) : 0
+    };
+}
+
+/**
+ * Summarize attempts overall and per quiz for the dashboard
+ * @param {Object[]} attempts - Attempt records, oldest first
+ * @returns {Object} - { overall, perQuiz: [{ quiz, quizTitle, lastDate, ...aggregate }] }
+ */
+function summarizeAttempts(attempts) {
+    const byQuiz = new Map();
+
+    attempts.forEach(attempt => {
+        if (!byQuiz.has(attempt.quiz)) {
+            byQuiz.set(attempt.quiz, []);
+        }
+        byQuiz.get(attempt.quiz).push(attempt);
+    });
+
+    const perQuiz = [...byQuiz.entries()].map(([quiz, quizAttempts]) => {
+        const last = quizAttempts[quizAttempts.length - 1];
+        return {
+            quiz,
+            quizTitle: last.quizTitle || quiz,
+            lastDate: last.date,
+            ...aggregateAttempts(quizAttempts)
+        };
+    });
+
+    return {
+        overall: aggregateAttempts(attempts),
+        perQuiz: perQuiz.sort((a, b) => b.lastDate.localeCompare(a.lastDate))
+    };
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ATTEMPTS_STORE,
+        buildAttemptRecord,
+        saveAttempt,
+        loadAttempts,
+        loadAttempt,
+        getAttemptProfile,
+        applyAttemptGrade,
+        clearAttempts,
+        aggregateAttempts,
+        summarizeAttempts
+    };
+}
@@ -0,0 +1,169 @@
+/**
+ * IndexedDB helpers for the ISTQB Quiz App
+ *
+ * All persistent data that does not fit localStorage (attempt history, ...)
+ * lives in a single database. To add a store, declare it in DB_STORES and bump
+ * DB_VERSION: missing stores and indexes are created on upgrade.
+ */
+
+const DB_NAME = 'istqb-quiz-app';
+const DB_VERSION = 4;
+
+const DB_STORES = {
+    attempts: {
+        keyPath: 'id',
+        autoIncrement: true,
+        indexes: { quiz: 'quiz', date: 'date' }
+    },
+    reviewCards: {
+        keyPath: 'key',
+        indexes: { dueAt: 'dueAt' }
+    },
+    importedQuizzes: {
+        keyPath: 'name'
+    },
+    disputes: {
+        keyPath: 'id',
+        autoIncrement: true,
+        indexes: { questionKey: 'questionKey' }
+    }
+};
+
+let databasePromise = null;
+
+/**
+ * Open (and upgrade if needed) the application database
+ * @returns {Promise<IDBDatabase>} - Open database connection
+ */
+function openDatabase() {
+    if (databasePromise) {
+        return databasePromise;
+    }
+
+    databasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error(t('database.unavailable')));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const transaction = request.transaction;
+
+            Object.entries(DB_STORES).forEach(([storeName, definition]) => {
+                const store = db.objectStoreNames.contains(storeName) ?
+                    transaction.objectStore(storeName) :
+                    db.createObjectStore(storeName, {
+                        keyPath: definition.keyPath,
+                        autoIncrement: Boolean(definition.autoIncrement)
+                    });
+
+                Object.entries(definition.indexes || {}).forEach(([indexName, keyPath]) => {
+                    if (!store.indexNames.contains(indexName)) {
+                        store.createIndex(indexName, keyPath);
+                    }
+                });
+            });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(t('database.blocked')));
+    });
+
+    // Allow a later retry if opening failed
+    databasePromise.catch(() => {
+        databasePromise = null;
+    });
+
+    return databasePromise;
+}
+
+/**
+ * Run a request against an object store and resolve with its result
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<any>} - Result of the request
+ */
+async function runStoreRequest(storeName, mode, operation) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        let result;
+
+        request.onsuccess = () => {
+            result = request.result;
+        };
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error(t('database.aborted')));
+    });
+}
+
+/**
+ * Insert or update a record
+ * @param {string} storeName - Object store name
+ * @param {Object} value - Record to store
+ * @returns {Promise<any>} - Key of the stored record
+ */
+function dbPut(storeName, value) {
+    return runStoreRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+/**
+ * Read a single record
+ * @param {string} storeName - Object store name
+ * @param {any} key - Record key
+ * @returns {Promise<Object|undefined>} - Stored record
+ */
+function dbGet(storeName, key) {
+    return runStoreRequest(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Read all records of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Object[]>} - Stored records in key order
+ */
+function dbGetAll(storeName) {
+    return runStoreRequest(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Delete a single record
+ * @param {string} storeName - Object store name
+ * @param {any} key - Record key
+ * @returns {Promise<void>}
+ */
+function dbDelete(storeName, key) {
+    return runStoreRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Delete every record of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<void>}
+ */
+function dbClear(storeName) {
+    return runStoreRequest(storeName, 'readwrite', store => store.clear());
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DB_NAME,
+        DB_VERSION,
+        DB_STORES,
+        openDatabase,
+        dbPut,
+        dbGet,
+        dbGetAll,
+        dbDelete,
+        dbClear
+    };
+}
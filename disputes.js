@@ -0,0 +1,112 @@
+/**
+ * Question disputes for the ISTQB Quiz App
+ *
+ * From the results page a user can report a question they believe is wrong or
+ * ambiguous ("Segnala domanda"). Reports stay in the `disputes` IndexedDB
+ * store until they are exported as JSON for the quiz maintainers.
+ */
+
+const DISPUTES_STORE = 'disputes';
+
+/**
+ * Build the record stored for a dispute
+ * @param {Object} question - Disputed question, as shown in the session
+ * @param {Object} result - Entry of gradeQuiz().results for the question
+ * @param {string|string[]|undefined} userAnswer - Answer given in the session
+ * @param {string} note - Reason given by the user
+ * @param {Object} session - { quiz, quizTitle }
+ * @returns {Object} - Dispute record (without id, assigned by IndexedDB)
+ */
+function buildDisputeRecord(question, result, userAnswer, note, session) {
+    return {
+        questionKey: getQuestionKey(question),
+        quiz: session.quiz,
+        quizTitle: session.quizTitle,
+        questionPdf: question.question_pdf || null,
+        questionNumber: question.question_number || null,
+        questionText: question.question_text,
+        learningObjective: question.learning_objective || null,
+        ambiguous: question.ambiguous === true,
+        correctAnswer: getCorrectAnswers(question).join(', '),
+        userAnswer: formatExportAnswer(userAnswer) || null,
+        isCorrect: Boolean(result.isCorrect),
+        note: note.trim(),
+        date: new Date().toISOString()
+    };
+}
+
+/**
+ * Store a dispute
+ * @param {Object} dispute - Record built by buildDisputeRecord()
+ * @returns {Promise<number>} - Id of the stored dispute
+ */
+function saveDispute(dispute) {
+    return dbPut(DISPUTES_STORE, dispute);
+}
+
+/**
+ * Load every stored dispute, oldest first
+ * @returns {Promise<Object[]>} - Dispute records
+ */
+async function loadDisputes() {
+    const disputes = await dbGetAll(DISPUTES_STORE);
+    return disputes.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Delete every stored dispute
+ * @returns {Promise<void>}
+ */
+function clearDisputes() {
+    return dbClear(DISPUTES_STORE);
+}
+
+/**
+ * Build the JSON file handed to the quiz maintainers
+ * Disputes of the same question are grouped so each question is reviewed once.
+ * @param {Object[]} disputes - Dispute records
+ * @returns {string} - Indented JSON
+ */
+function buildDisputesExport(disputes) {
+    const questions = new Map();
+
+    disputes.forEach(dispute => {
+        if (!questions.has(dispute.questionKey)) {
+            questions.set(dispute.questionKey, {
+                questionKey: dispute.questionKey,
+                questionPdf: dispute.questionPdf,
+                questionNumber: dispute.questionNumber,
+                questionText: dispute.questionText,
+                learningObjective: dispute.learningObjective,
+                ambiguous: dispute.ambiguous,
+                correctAnswer: dispute.correctAnswer,
+                reports: []
+            });
+        }
+        questions.get(dispute.questionKey).reports.push({
+            date: dispute.date,
+            quiz: dispute.quizTitle || dispute.quiz,
+            userAnswer: dispute.userAnswer,
+            isCorrect: dispute.isCorrect,
+            note: dispute.note
+        });
+    });
+
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        disputeCount: disputes.length,
+        questions: [...questions.values()]
+    }, null, 2);
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DISPUTES_STORE,
+        buildDisputeRecord,
+        saveDispute,
+        loadDisputes,
+        clearDisputes,
+        buildDisputesExport
+    };
+}
@@ -0,0 +1,116 @@
+/**
+ * Exam profiles for the ISTQB Quiz App
+ *
+ * A profile describes how a quiz session is run and graded: how many questions
+ * are drawn, how long the countdown lasts, which share of the available
+ * points is needed to pass, how answers are scored (see scoring-strategies.js),
+ * whether multi-answer questions accept more selections than required and
+ * how questions marked `ambiguous` are treated. Quizzes reference a profile
+ * by id (or declare one inline) through the `profile` field of their
+ * json_Q_A/index.json entry; additional profiles can be declared in the
+ * manifest's top-level `profiles`.
+ */
+
+const DEFAULT_EXAM_PROFILE_ID = 'istqb-fl';
+
+// Grading policies for questions with ambiguous: true (see gradeQuiz),
+// described by the "ambiguous.<policy>" messages of i18n.js
+const AMBIGUOUS_POLICIES = ['award', 'accept-any', 'exclude', 'grade'];
+
+const EXAM_PROFILES = {
+    'istqb-fl': {
+        id: 'istqb-fl',
+        name: 'ISTQB Foundation Level (CTFL v4.0)',
+        questionCount: 40,
+        durationMinutes: 60,
+        passPercentage: 65,
+        scoringStrategy: 'all-or-nothing',
+        weightByPoints: true,
+        negativeMarking: 0.25,
+        enforceSelectCount: true,
+        ambiguousPolicy: 'award',
+        excludeAmbiguous: false
+    },
+    'istqb-ctal-ta': {
+        id: 'istqb-ctal-ta',
+        name: 'ISTQB Advanced Level Test Analyst (CTAL-TA)',
+        questionCount: 40,
+        durationMinutes: 120,
+        passPercentage: 65
+    },
+    'istqb-ctal-tm': {
+        id: 'istqb-ctal-tm',
+        name: 'ISTQB Advanced Level Test Management (CTAL-TM)',
+        questionCount: 50,
+        durationMinutes: 180,
+        passPercentage: 65
+    },
+    'istqb-ctal-tta': {
+        id: 'istqb-ctal-tta',
+        name: 'ISTQB Advanced Level Technical Test Analyst (CTAL-TTA)',
+        questionCount: 45,
+        durationMinutes: 120,
+        passPercentage: 65
+    }
+};
+
+/**
+ * Resolve a profile reference into a complete profile object
+ * @param {string|Object} reference - Profile id or inline profile (may set `extends`)
+ * @param {Object} customProfiles - Extra profiles declared in the manifest, keyed by id
+ * @returns {Object} - Profile with id, name, questionCount, durationMinutes, passPercentage,
+ *                     scoringStrategy, weightByPoints, negativeMarking, enforceSelectCount,
+ *                     ambiguousPolicy and excludeAmbiguous
+ */
+function resolveExamProfile(reference, customProfiles = {}) {
+    const catalogue = { ...EXAM_PROFILES };
+    Object.entries(customProfiles || {}).forEach(([id, profile]) => {
+        if (profile && typeof profile === 'object') {
+            catalogue[id] = { ...profile, id };
+        }
+    });
+
+    let profile;
+    if (typeof reference === 'string') {
+        profile = catalogue[reference];
+        if (!profile) {
+            console.warn(`Unknown exam profile "${reference}", using ${DEFAULT_EXAM_PROFILE_ID}`);
+        }
+    } else if (reference && typeof reference === 'object') {
+        const base = catalogue[reference.extends] || catalogue[DEFAULT_EXAM_PROFILE_ID];
+        profile = { ...base, ...reference, id: reference.id || 'custom' };
+        delete profile.extends;
+    }
+
+    // Custom profiles may omit fields: fill them from the default profile
+    return {
+        ...EXAM_PROFILES[DEFAULT_EXAM_PROFILE_ID],
+        ...(profile || {})
+    };
+}
+
+/**
+ * Describe a profile in one line for the quiz list and results page
+ * @param {Object} profile - Resolved exam profile
+ * @returns {string} - e.g. "40 domande · 60 minuti · soglia 65%"
+ */
+function describeExamProfile(profile) {
+    const parts = [];
+    if (profile.questionCount) {
+        parts.push(t('profile.questions', { count: profile.questionCount }));
+    }
+    parts.push(t('profile.minutes', { count: profile.durationMinutes }));
+    parts.push(t('profile.threshold', { percentage: profile.passPercentage }));
+    return parts.join(' · ');
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_EXAM_PROFILE_ID,
+        AMBIGUOUS_POLICIES,
+        EXAM_PROFILES,
+        resolveExamProfile,
+        describeExamProfile
+    };
+}
@@ -0,0 +1,161 @@
+/**
+ * Exam sampling for the ISTQB Quiz App
+ *
+ * Builds a simulated exam paper from a pool of questions following a blueprint:
+ * the number of questions per syllabus chapter (taken from `learning_objective`,
+ * e.g. FL-4.2.1 belongs to chapter 4) and the target K-level mix (`k_level`).
+ */
+
+const DEFAULT_BLUEPRINT_ID = 'istqb-fl-v4';
+
+const EXAM_BLUEPRINTS = {
+    'istqb-fl-v4': {
+        id: 'istqb-fl-v4',
+        name: 'ISTQB CTFL v4.0',
+        version: '4.0',
+        profile: 'istqb-fl',
+        questionCount: 40,
+        // Questions per syllabus chapter (FL-1 ... FL-6)
+        chapters: { 1: 8, 2: 6, 3: 4, 4: 11, 5: 9, 6: 2 },
+        // Target K-level distribution across the whole paper
+        kLevels: { K1: 8, K2: 24, K3: 8 }
+    }
+};
+
+/**
+ * Get the syllabus chapter of a question
+ * @param {Object} question - Question object
+ * @returns {number|null} - Chapter number or null if the learning objective is unknown
+ */
+function getQuestionChapter(question) {
+    const learningObjective = normalizeLearningObjective(question.learning_objective);
+    return learningObjective ? parseInt(learningObjective.split('-')[1], 10) : null;
+}
+
+/**
+ * Count questions per chapter and per K-level
+ * @param {Array} questions - Questions to describe
+ * @returns {Object} - { chapters: { 1: n, ... }, kLevels: { K1: n, ... } }
+ */
+function describePaperDistribution(questions) {
+    const distribution = { chapters: {}, kLevels: {} };
+
+    questions.forEach(question => {
+        const chapter = getQuestionChapter(question);
+        if (chapter !== null) {
+            distribution.chapters[chapter] = (distribution.chapters[chapter] || 0) + 1;
+        }
+        if (question.k_level) {
+            distribution.kLevels[question.k_level] = (distribution.kLevels[question.k_level] || 0) + 1;
+        }
+    });
+
+    return distribution;
+}
+
+/**
+ * Build an exam paper matching a blueprint
+ * @param {Array} pool - Candidate questions (may come from several quizzes)
+ * @param {Object} blueprint - Blueprint from EXAM_BLUEPRINTS
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Object} - { questions, blueprint: { id, name, version }, distribution, warnings }
+ */
+function buildExamPaper(pool, blueprint = EXAM_BLUEPRINTS[DEFAULT_BLUEPRINT_ID], random = Math.random) {
+    const warnings = [];
+    const byChapter = {};
+    const seen = new Set();
+
+    // Group eligible questions by chapter, dropping duplicates of the same question
+    pool.forEach(question => {
+        const chapter = getQuestionChapter(question);
+        const key = getQuestionKey(question);
+        if (chapter === null || seen.has(key)) {
+            return;
+        }
+        seen.add(key);
+        if (!byChapter[chapter]) {
+            byChapter[chapter] = [];
+        }
+        byChapter[chapter].push(question);
+    });
+
+    const kLevelQuota = { ...blueprint.kLevels };
+    const selected = [];
+    const leftovers = [];
+
+    /**
+     * Pick `count` questions from candidates, favouring K-levels still under quota
+     */
+    const pickFrom = (candidates, count) => {
+        const remaining = shuffleArray(candidates, random);
+        const picked = [];
+        while (picked.length < count && remaining.length > 0) {
+            let bestIndex = 0;
+            let bestNeed = -Infinity;
+            remaining.forEach((question, index) => {
+                const need = kLevelQuota[question.k_level] !== undefined ? kLevelQuota[question.k_level] : 0;
+                if (need > bestNeed) {
+                    bestNeed = need;
+                    bestIndex = index;
+                }
+            });
+            const [question] = remaining.splice(bestIndex, 1);
+            if (kLevelQuota[question.k_level] !== undefined) {
+                kLevelQuota[question.k_level]--;
+            }
+            picked.push(question);
+        }
+        return { picked, remaining };
+    };
+
+    // Fill the scarcest chapters first so they are not starved of K-level quota
+    const chapterOrder = Object.keys(blueprint.chapters)
+        .sort((a, b) => (byChapter[a] || []).length - (byChapter[b] || []).length);
+
+    chapterOrder.forEach(chapter => {
+        const required = blueprint.chapters[chapter];
+        const candidates = byChapter[chapter] || [];
+        const { picked, remaining } = pickFrom(candidates, required);
+
+        if (picked.length < required) {
+            warnings.push(t('sampling.chapterShort', { chapter, available: picked.length, required }));
+        }
+        selected.push(...picked);
+        leftovers.push(...remaining);
+    });
+
+    // Fill any shortfall with questions from other chapters
+    const missing = blueprint.questionCount - selected.length;
+    if (missing > 0) {
+        const { picked } = pickFrom(leftovers, missing);
+        selected.push(...picked);
+        if (picked.length > 0) {
+            warnings.push(t('sampling.filled', { count: picked.length }));
+        }
+        if (selected.length < blueprint.questionCount) {
+            warnings.push(t('sampling.short', { count: selected.length, expected: blueprint.questionCount }));
+        }
+    }
+
+    return {
+        questions: shuffleArray(selected, random),
+        blueprint: {
+            id: blueprint.id,
+            name: blueprint.name,
+            version: blueprint.version
+        },
+        distribution: describePaperDistribution(selected),
+        warnings
+    };
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_BLUEPRINT_ID,
+        EXAM_BLUEPRINTS,
+        getQuestionChapter,
+        describePaperDistribution,
+        buildExamPaper
+    };
+}
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Generate json_Q_A/index.json, the manifest the app uses to discover quizzes.
+ *
+ * Usage: node generate-quiz-index.js [folder]
+ *
+ * Every *.json file in the folder (except the manifest itself) that parses as
+ * an array of questions gets an entry. Title, description, version and tags
+ * already present in the manifest are preserved, so they can be edited by hand;
+ * the version is bumped automatically when the file contents change. Any other
+ * hand-written field (e.g. an entry's `profile`, the top-level `profiles`) is
+ * kept as is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_NAME = 'index.json';
+const MANIFEST_SCHEMA_VERSION = 1;
+
+/**
+ * Build a default title from a filename
+ * @param {string} filename - Quiz filename
+ * @returns {string} - Title without extension and dashes
+ */
+function defaultTitle(filename) {
+    return filename.replace(/\.[^/.]+$/, '').replace(/-/g, ' ');
+}
+
+/**
+ * Compute a short checksum of the file contents
+ * @param {string} content - Raw file contents
+ * @returns {string} - First 12 hex chars of the SHA-1 digest
+ */
+function checksum(content) {
+    // Normalize line endings so Windows and Unix checkouts agree
+    const normalized = content.replace(/\r\n/g, '\n');
+    return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 12);
+}
+
+/**
+ * Increment the patch component of a semver-like version string
+ * @param {string} version - Current version (e.g. "1.0.2")
+ * @returns {string} - Bumped version (e.g. "1.0.3")
+ */
+function bumpVersion(version) {
+    const parts = String(version || '1.0.0').split('.').map(n => parseInt(n, 10) || 0);
+    while (parts.length < 3) {
+        parts.push(0);
+    }
+    parts[2]++;
+    return parts.join('.');
+}
+
+/**
+ * Read the existing manifest, if any
+ * @param {string} manifestPath - Path to index.json
+ * @returns {Object} - Previous manifest (empty when missing or unreadable)
+ */
+function readPreviousManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) {
+        return {};
+    }
+
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return manifest && typeof manifest === 'object' ? manifest : {};
+    } catch (error) {
+        console.warn(`${MANIFEST_NAME} esistente non leggibile, verrà rigenerato: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Build the manifest entry for a single quiz file
+ * @param {string} folder - Quiz folder
+ * @param {string} filename - Quiz filename
+ * @param {Object|undefined} previous - Entry from the previous manifest
+ * @returns {Object|null} - Manifest entry or null if the file is not a valid quiz
+ */
+function buildEntry(folder, filename, previous) {
+    const content = fs.readFileSync(path.join(folder, filename), 'utf8');
+
+    let questions;
+    try {
+        questions = JSON.parse(content);
+    } catch (error) {
+        console.warn(`${filename}: JSON non valido, escluso dal manifest (${error.message})`);
+        return null;
+    }
+
+    if (!Array.isArray(questions) || questions.length === 0) {
+        console.warn(`${filename}: il file non contiene un array di domande, escluso dal manifest`);
+        return null;
+    }
+
+    const sum = checksum(content);
+    let version = previous && previous.version ? previous.version : '1.0.0';
+    if (previous && previous.checksum && previous.checksum !== sum) {
+        version = bumpVersion(version);
+    }
+
+    return {
+        ...(previous || {}),
+        file: filename,
+        title: previous && previous.title ? previous.title : defaultTitle(filename),
+        description: previous && typeof previous.description === 'string' ? previous.description : '',
+        questionCount: questions.length,
+        version,
+        tags: previous && Array.isArray(previous.tags) ? previous.tags : [],
+        checksum: sum
+    };
+}
+
+function main() {
+    const folder = path.resolve(process.argv[2] || path.join(__dirname, 'json_Q_A'));
+    const manifestPath = path.join(folder, MANIFEST_NAME);
+    const previousManifest = readPreviousManifest(manifestPath);
+    const previous = {};
+    (previousManifest.quizzes || []).forEach(entry => {
+        if (entry && entry.file) {
+            previous[entry.file] = entry;
+        }
+    });
+
+    const files = fs.readdirSync(folder)
+        .filter(name => name.toLowerCase().endsWith('.json') && name !== MANIFEST_NAME)
+        .sort((a, b) => a.localeCompare(b));
+
+    const quizzes = files
+        .map(filename => buildEntry(folder, filename, previous[filename]))
+        .filter(Boolean);
+
+    const manifest = {
+        ...previousManifest,
+        schemaVersion: MANIFEST_SCHEMA_VERSION,
+        quizzes
+    };
+
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+    console.log(`${MANIFEST_NAME} aggiornato: ${quizzes.length} quiz su ${files.length} file`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    buildEntry,
+    bumpVersion,
+    checksum
+};
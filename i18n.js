@@ -0,0 +1,1003 @@
+/**
+ * Internationalisation for the ISTQB Quiz App
+ *
+ * The interface is available in Italian and English. Every text shown by the
+ * app comes from the MESSAGES catalogue through t(); static texts of
+ * index.html name their message with `data-i18n` (text) or `data-i18n-attr`
+ * ("attribute:key" pairs separated by ";"). The chosen language is kept in
+ * localStorage.
+ *
+ * Quiz files can carry the text of a question in other languages in its
+ * `translations` field (see quiz-schema.js): localizeQuestion() shows the
+ * translation of the current language and falls back to the original text
+ * for anything not translated. Manifest entries can translate their title and
+ * description the same way.
+ */
+
+const DEFAULT_LOCALE = 'it';
+const LOCALE_STORAGE_KEY = 'quiz_locale';
+
+// Supported languages: name shown in the language selector and BCP 47 tag for dates and numbers
+const SUPPORTED_LOCALES = {
+    it: { name: 'Italiano', tag: 'it-IT' },
+    en: { name: 'English', tag: 'en-GB' }
+};
+
+// Messages by language; "{name}" is replaced by the parameter of the same name,
+// functions receive the parameters (plurals, lists)
+const MESSAGES = {
+    it: {
+        // Application and shared texts
+        'app.title': 'Quiz ISTQB',
+        'locale.label': 'Lingua',
+        'common.cancel': 'Annulla',
+        'common.home': 'Torna alla Home',
+        'common.close': 'Chiudi',
+
+        // Accommodations (accommodations.js)
+        'accommodations.title': 'Adattamenti',
+        'accommodations.extraTime': 'Tempo aggiuntivo',
+        'accommodations.noExtraTime': 'Nessuno',
+        'accommodations.extraTimeOption': '+{percentage}%',
+        'accommodations.extraTimeHint': "ISTQB concede il 25% di tempo in più a chi sostiene l'esame in una lingua diversa dalla propria. Vale per i quiz avviati da ora in poi.",
+        'accommodations.fontScale': 'Dimensione del testo',
+        'accommodations.highContrast': 'Contrasto elevato',
+        'accommodations.reducedMotion': 'Riduci le animazioni',
+        'accommodations.dyslexiaFont': 'Carattere ad alta leggibilità (dislessia)',
+        'accommodations.resultsNote': 'Tentativo svolto con il {percentage}% di tempo aggiuntivo: {minutes} minuti invece di {duration}.',
+
+        // Update banner (offline-support.js)
+        'update.app': "Aggiornamento disponibile: è pronta una nuova versione dell'app.",
+        'update.quizzes': 'Aggiornamento disponibile: le domande dei quiz sono cambiate.',
+        'update.apply': 'Aggiorna',
+        'update.dismiss': 'Più tardi',
+
+        // Loading of the quiz files
+        'load.invalidManifest': "index.json: Manifest non valido, uso l'elenco della cartella",
+        'load.parseError': '{file}: Errore parsing JSON - {error}',
+        'load.fileError': '{file}: Errore caricamento file - {error}',
+        'load.invalidFiles': 'File non validi rilevati:',
+
+        // Landing page
+        'landing.noQuizzes': 'Nessun quiz disponibile.',
+        'landing.importedFrom': 'Importato da {file} il {date}',
+        'landing.importedTag': 'Importato',
+        'landing.questionCount': 'Numero di domande: {count}',
+        'landing.start': 'Inizia',
+        'landing.practice': 'Pratica',
+        'landing.simulate': "Simulazione d'esame",
+        'landing.remove': 'Rimuovi',
+        'landing.subtitle': 'Seleziona un quiz per iniziare',
+        'landing.editor': 'Editor quiz',
+        'landing.loading': 'Caricamento quiz...',
+        'landing.loadError': 'Errore nel caricamento dei quiz. Assicurati che la cartella json_Q_A/ contenga file JSON validi.',
+
+        // Custom quiz builder (quiz-builder.js)
+        'builder.noArea': 'Senza obiettivo FL',
+        'builder.available': 'Domande disponibili: {count}',
+        'builder.availableAll': 'Domande disponibili: {count} (verranno usate tutte le {count})',
+        'builder.noPreset': 'Nessun preset',
+        'builder.confirmDeletePreset': 'Eliminare il preset "{name}"?',
+        'builder.title': 'Quiz personalizzato',
+        'builder.intro': 'Scegli capitoli, livelli K e quiz di origine: le domande vengono estratte da tutti i quiz caricati.',
+        'builder.preset': 'Preset',
+        'builder.deletePreset': 'Elimina preset',
+        'builder.areas': 'Capitoli e aree',
+        'builder.kLevels': 'Livelli K',
+        'builder.sources': 'Quiz di origine',
+        'builder.count': 'Numero di domande',
+        'builder.excludeAmbiguous': 'Escludi le domande ambigue',
+        'builder.presetName': 'Nome del preset',
+        'builder.savePreset': 'Salva preset',
+        'builder.start': 'Genera quiz',
+
+        // Spaced repetition review (review-scheduler.js)
+        'review.due': '{count} domande da ripassare oggi su {total} in programma.',
+        'review.noneDue': 'Nessuna domanda da ripassare oggi. Prossimo ripasso: {date}.',
+        'review.start': 'Inizia ripasso',
+        'simulation.intro': "Genera una prova da 40 domande con la distribuzione per capitolo e livello K dell'esame ISTQB Foundation Level, pescando da tutti i quiz caricati.",
+        'simulation.start': 'Simulazione da tutti i quiz',
+
+        // Quiz import and conversion (quiz-import.js, quiz-formats.js)
+        'import.error': 'Errore importazione file - {error}',
+        'import.done': 'Importati {count} quiz: {titles}',
+        'import.checkPreview': "Controlla l'anteprima prima di aggiungere i quiz convertiti.",
+        'import.none': 'Nessun quiz importato: controlla gli errori segnalati.',
+        'import.previewFormat': 'Formato {format} · {count} domande convertite',
+        'import.noWarnings': 'Nessun avviso di conversione.',
+        'import.cancelled': 'Importazione annullata.',
+        'import.confirmRemove': 'Rimuovere il quiz importato "{title}"?',
+        'import.unknownFormat': 'formato non riconosciuto',
+        'import.problem.noText': 'testo della domanda mancante',
+        'import.problem.fewOptions': 'servono almeno 2 opzioni',
+        'import.problem.tooManyOptions': 'troppe opzioni (massimo {max})',
+        'import.problem.noCorrect': 'nessuna risposta corretta indicata',
+        'import.csv.noRows': 'CSV: servono una riga di intestazione e almeno una domanda',
+        'import.csv.unknownHeader': 'CSV: intestazione non riconosciuta, servono le colonne "question", "A", "B", ... e "answer"',
+        'import.csv.unknownAnswer': 'CSV riga {line}: risposta "{answers}" senza opzione corrispondente, ignorata',
+        'import.csv.invalidPoints': 'CSV riga {line}: punti "{points}" non validi, uso 1',
+        'import.csv.skipped': 'CSV riga {line}: {problem}, domanda saltata',
+        'import.gift.question': 'GIFT domanda {number}',
+        'import.gift.noAnswers': '{label}: nessun blocco di risposte, saltata',
+        'import.true': 'Vero',
+        'import.false': 'Falso',
+        'import.gift.numeric': '{label}: domanda numerica non supportata, saltata',
+        'import.gift.matching': '{label}: domanda di abbinamento non supportata, saltata',
+        'import.gift.shortAnswer': '{label}: domanda a risposta breve non supportata, saltata',
+        'import.gift.partialWeights': '{label}: punteggi parziali convertiti in risposta multipla',
+        'import.skipped': '{label}: {problem}, saltata',
+        'import.moodle.noParser': 'Moodle XML: lettura XML non disponibile in questo ambiente',
+        'import.moodle.invalid': 'Moodle XML: file XML non valido',
+        'import.moodle.question': 'Moodle XML domanda {number}',
+        'import.moodle.unsupportedType': '{label}: tipo "{type}" non supportato, saltata',
+        'import.moodle.images': '{label}: immagini incorporate ignorate',
+        'import.moodle.singleAsMulti': '{label}: più risposte con punteggio positivo in una domanda a risposta singola, importata come risposta multipla',
+        'import.aiken.unknownAnswer': 'Aiken riga {line}: risposta "{answers}" senza opzione corrispondente',
+        'import.aiken.skipped': 'Aiken riga {line}: {problem}, domanda saltata',
+        'import.aiken.noAnswerLine': 'Aiken: ultima domanda senza riga "ANSWER:", saltata',
+        'import.jsonError': 'Errore parsing JSON - {error}',
+        'import.noQuestions': 'nessuna domanda trovata',
+        'import.dropHint': 'Trascina qui i file dei quiz da importare (JSON, CSV, Moodle GIFT, Moodle XML, Aiken), oppure',
+        'import.choose': 'Scegli file',
+        'import.preview': 'Anteprima della conversione',
+        'import.confirm': 'Aggiungi quiz',
+
+        // Session modes
+        'session.allQuizzes': 'tutti i quiz',
+        'session.review': 'Ripasso',
+        'session.practiceTitle': 'Pratica - {quiz}',
+        'session.customNamed': 'Quiz personalizzato - {name}',
+        'session.custom': 'Quiz personalizzato',
+        'session.simulationTitle': "Simulazione d'esame - {quiz}",
+
+        // Saved sessions
+        'resume.prompt': 'È stato trovato un quiz salvato. Vuoi riprenderlo?',
+        'resume.changed': 'È stato trovato un quiz salvato, ma le domande del quiz sono cambiate da allora e non può essere ripreso.',
+        'resume.resume': 'Riprendi',
+        'resume.restart': 'Ricomincia',
+        'resume.edited': "È stato trovato un quiz salvato. Alcune domande sono state modificate nel file del quiz dopo l'inizio della sessione: riprendendola vedrai la versione aggiornata.",
+
+        // Session open in another tab (session-storage.js)
+        'sessionLock.elsewhere': "Questa sessione è aperta in un'altra scheda. Continua lì, oppure continuala qui: l'altra scheda salverà i progressi e si fermerà.",
+        'sessionLock.takenOver': "Questa sessione è stata ripresa in un'altra scheda. I progressi sono stati salvati.",
+        'sessionLock.takeOver': 'Continua qui',
+
+        // Shared papers (session-seed.js)
+        'share.copied': 'Link copiato (prova n. {seed}): chi lo apre riceve le stesse domande nello stesso ordine.',
+        'share.copyPrompt': 'Copia il link della prova:',
+        'share.quizMissing': 'Link condiviso: il quiz "{quiz}" non è disponibile',
+        'share.confirmReplace': 'Hai già un tentativo in corso per questo quiz. Vuoi abbandonarlo e aprire la prova condivisa?',
+        'share.button': 'Condividi prova',
+        'share.paperMismatch': 'Attenzione: queste domande non sono le stesse della prova condivisa, perché i quiz caricati in questo browser sono diversi (quiz importati o aggiornati).',
+
+        // Quiz page
+        'quiz.timeRemaining': 'Tempo rimanente: {time}',
+        'quiz.imageAlt': 'Immagine per la domanda {number}',
+        'quiz.selectLimitHit': ({ required }) => `Hai già selezionato ${required} rispost${required === 1 ? 'a' : 'e'}: deseleziona un'opzione per sceglierne un'altra.`,
+        'quiz.selectHint': ({ required, selected }) => `Seleziona ${required} rispost${required === 1 ? 'a' : 'e'} · ${selected} selezionat${selected === 1 ? 'a' : 'e'}`,
+        'quiz.progress': 'Domanda {current}/{total}',
+        'quiz.practiceScore': 'Corrette: {correct}/{checked}',
+        'quiz.unflag': 'Rimuovi segno',
+        'quiz.flag': 'Segna per revisione',
+        'quiz.ambiguous': 'Domanda ambigua',
+        'quiz.ambiguousTitle': 'La formulazione o la risposta di questa domanda sono contestate',
+        'quiz.image': 'Immagine della domanda',
+        'quiz.previous': 'Indietro',
+        'quiz.submit': 'Invia Quiz',
+        'quiz.next': 'Avanti',
+        'quiz.questions': 'Domande del quiz',
+        'quiz.practicePoints': 'Punti: {score}/{max}',
+        'pacing.behind': ({ minutes }) => `Sei ${minutes} minut${minutes === 1 ? 'o' : 'i'} in ritardo`,
+        'pacing.ahead': ({ minutes }) => `Sei ${minutes} minut${minutes === 1 ? 'o' : 'i'} in anticipo`,
+        'pacing.onTrack': 'In linea con i tempi',
+        'pause.pause': 'Pausa',
+        'pause.resume': 'Riprendi',
+        'pause.message': 'Sessione in pausa: il tempo è fermo e la domanda è nascosta.',
+        'pause.strict': 'Simulazione rigorosa: il tempo scorre anche cambiando scheda',
+        'practice.correct': 'Risposta corretta!',
+        'practice.incorrect': ({ answer, multi }) => `Risposta errata. Rispost${multi ? 'e corrette' : 'a corretta'}: ${answer}`,
+        'practice.partial': ({ answer, multi }) => `Risposta parzialmente corretta. Rispost${multi ? 'e corrette' : 'a corretta'}: ${answer}`,
+        'practice.excluded': ({ answer, multi }) => `Domanda esclusa dal punteggio. Rispost${multi ? 'e corrette' : 'a corretta'}: ${answer}`,
+
+        // Question navigator
+        'navigator.answered': 'con risposta',
+        'navigator.unanswered': 'senza risposta',
+        'navigator.incomplete': 'risposta incompleta',
+        'navigator.cell': 'Domanda {number}: {status}',
+        'navigator.cellFlagged': 'Domanda {number}: {status}, segnata per revisione',
+        'navigator.legendAnswered': 'Con risposta',
+        'navigator.legendIncomplete': 'Risposta incompleta',
+        'navigator.legendUnanswered': 'Senza risposta',
+        'navigator.legendFlagged': 'Segnata per revisione',
+
+        // Summary before submitting
+        'submit.summary': 'Hai risposto a {answered} domande su {total}. Sei sicuro di voler inviare il quiz?',
+        'submit.unanswered': 'Senza risposta',
+        'submit.incomplete': 'Risposte incomplete',
+        'submit.flagged': 'Segnate per revisione',
+        'submit.goTo': 'Vai alla domanda {number}',
+        'submit.title': "Riepilogo prima dell'invio",
+        'submit.back': 'Torna al quiz',
+        'submit.confirm': 'Invia definitivamente',
+
+        // Question reports (disputes.js)
+        'dispute.noteRequired': 'Descrivi il problema prima di inviare la segnalazione.',
+        'dispute.saveFailed': 'Impossibile salvare la segnalazione.',
+        'dispute.saved': 'Segnalazione salvata. Puoi esportarla dalla dashboard.',
+        'dispute.open': 'Segnala domanda',
+        'dispute.noteLabel': 'Cosa non va in questa domanda?',
+        'dispute.send': 'Invia segnalazione',
+
+        // Results page
+        'results.optionLabel': 'Opzione {option}:',
+        'results.explanations': 'Spiegazioni:',
+        'results.explanation': 'Spiegazione:',
+        'results.noAnswer': 'Nessuna risposta',
+        'results.score': 'Punteggio: {score}/{max}',
+        'results.passRule': 'Soglia di superamento: {threshold}/{max} ({percentage}%) - {profile}',
+        'results.passed': 'PASSA',
+        'results.failed': 'RESPINGE',
+        'results.shortPaper': 'Questo quiz contiene {total} domande, il profilo ne prevede {expected}.',
+        'results.penalty': '({percentage}% dei punti della domanda per ogni opzione errata)',
+        'results.strategy': 'Punteggio "{name}": {description}{penalty}.',
+        'results.weighted': 'Le domande hanno punteggi diversi: {correct}/{total} risposte corrette.',
+        'results.unweighted': 'Ogni domanda vale 1 punto, indipendentemente dal campo points.',
+        'results.excluded': '{count} domande ambigue sono escluse dal punteggio.',
+        'results.note': 'Nota:',
+        'results.thresholdNote': 'La soglia è il {percentage}% dei punti disponibili.',
+        'results.allOptions': 'Tutte le opzioni:',
+        'results.multiAnswer': 'Risposta multipla',
+        'results.singleAnswer': 'Risposta singola',
+        'results.ambiguousQuestion': 'Domanda ambigua:',
+        'results.questionHeading': 'Domanda {number}',
+        'results.ambiguousBadge': 'Ambigua',
+        'results.correctAnswer': 'Risposta corretta:',
+        'results.correctAnswers': 'Risposte corrette:',
+        'results.userAnswer': 'La tua risposta:',
+        'results.userAnswers': 'Le tue risposte:',
+        'results.earnedPoints': '{earned}/{points} punti',
+        'results.points': '{points} punti',
+        'results.chapterCount': 'Cap. {chapter}: {count}',
+        'results.simulation': "Simulazione d'esame",
+        'results.blueprint': 'secondo il blueprint {name} ({id}).',
+        'results.chapterDistribution': 'Distribuzione per capitolo: {chapters}',
+        'results.kLevelDistribution': 'Livelli K: {kLevels}',
+        'results.noObjectives': 'Nessun obiettivo di apprendimento disponibile per questo quiz.',
+        'results.title': 'Risultati Quiz',
+        'results.objectivesTitle': 'Riepilogo per Obiettivi di Apprendimento',
+        'results.detailsTitle': 'Dettaglio Risposte',
+        'results.retry': 'Riprova Quiz',
+        'results.print': 'Stampa report',
+        'results.exportCsv': 'Esporta CSV',
+        'results.exportJson': 'Esporta JSON',
+        'results.regraded': 'Il quiz è stato modificato dopo questo tentativo: il punteggio mostrato è quello registrato, con le risposte corrette di oggi sarebbe {score}/{max} ({status}).',
+        'results.recordedCorrectAnswer': 'Risposta corretta al momento del tentativo:',
+        'objectives.summary': 'Riepilogo:',
+        'objectives.macroAreas': 'Aree macro coperte: {count}',
+        'objectives.total': 'Obiettivi di apprendimento totali: {count}',
+        'objectives.withErrors': 'Obiettivi con errori: {count}',
+        'objectives.errors': 'Errori totali: {errors}/{total}',
+
+        // Time per question (question-timing.js)
+        'timing.title': 'Tempo e cambi di risposta',
+        'timing.total': 'Tempo sulle domande: {total} · media {average} per domanda',
+        'timing.slowest': 'Domande che hanno richiesto più tempo:',
+        'timing.slowestItem': ({ number, time, visits }) => `Domanda ${number}: ${time} (${visits} ${visits === 1 ? 'visita' : 'visite'})`,
+        'timing.changes': ({ changed, improved, worsened, unchanged }) => `Hai cambiato risposta a ${changed} domand${changed === 1 ? 'a' : 'e'}: ${improved} volt${improved === 1 ? 'a' : 'e'} il punteggio è migliorato, ${worsened} è peggiorato, ${unchanged} è rimasto uguale.`,
+        'timing.noChanges': 'Non hai cambiato nessuna risposta.',
+        'timing.question': ({ time, visits }) => `Tempo: ${time} · ${visits} ${visits === 1 ? 'visita' : 'visite'}`,
+        'timing.changed.improved': 'prima risposta {answer}: cambiarla ha aiutato',
+        'timing.changed.worsened': 'prima risposta {answer}: cambiarla ha peggiorato il punteggio',
+        'timing.changed.unchanged': 'prima risposta {answer}: cambiarla non ha modificato il punteggio',
+        'timing.pauses': ({ count, time }) => `In pausa ${count} volt${count === 1 ? 'a' : 'e'}, per ${time} in totale`,
+
+        // Ambiguous questions policies (exam-profiles.js)
+        'ambiguous.award': 'punto assegnato a tutti',
+        'ambiguous.accept-any': 'accettate le risposte {answers}',
+        'ambiguous.exclude': 'esclusa dal punteggio',
+        'ambiguous.grade': 'corretta normalmente',
+
+        // Scoring strategies (scoring-strategies.js)
+        'scoring.all-or-nothing.name': 'Tutto o niente',
+        'scoring.all-or-nothing.description': 'punti pieni solo se le opzioni scelte coincidono con le risposte corrette',
+        'scoring.partial.name': 'Credito parziale',
+        'scoring.partial.description': 'ogni risposta corretta scelta vale una parte dei punti, ogni opzione errata ne annulla una',
+        'scoring.negative.name': 'Penalità per le risposte errate',
+        'scoring.negative.description': 'credito parziale per le risposte corrette, ogni opzione errata toglie una parte dei punti',
+
+        // Exam profiles (exam-profiles.js)
+        'profile.questions': '{count} domande',
+        'profile.minutes': '{count} minuti',
+        'profile.threshold': 'soglia {percentage}%',
+
+        // Exam simulation sampling (exam-sampling.js)
+        'sampling.chapterShort': 'Capitolo {chapter}: disponibili {available} domande su {required} richieste',
+        'sampling.filled': '{count} domande aggiunte da altri capitoli per completare la prova',
+        'sampling.short': 'La prova contiene {count} domande invece di {expected}',
+
+        // Syllabus and solution sources (source-links.js)
+        'sources.page': 'p. {pages}',
+        'sources.pages': 'pp. {pages}',
+        'sources.question': 'Domanda',
+        'sources.solution': 'Soluzione',
+        'sources.label': 'Fonte:',
+        'sources.title': 'Fonte',
+        'sources.openTab': 'Apri in una nuova scheda',
+        'sources.close': 'Chiudi la fonte',
+        'sources.hintBefore': 'Se il documento non compare, copia il PDF nella cartella',
+        'sources.hintAfter': "dell'applicazione.",
+
+        // Progress dashboard
+        'dashboard.allQuizzes': 'Tutti i quiz',
+        'dashboard.attempts': 'Tentativi',
+        'dashboard.passedCount': 'Superati ({count})',
+        'dashboard.averageScore': 'Punteggio medio',
+        'dashboard.averageTime': 'Tempo medio per domanda',
+        'dashboard.quiz': 'Quiz',
+        'dashboard.passed': 'Superati',
+        'dashboard.average': 'Media',
+        'dashboard.best': 'Migliore',
+        'dashboard.timePerQuestion': 'Tempo/domanda',
+        'dashboard.noAttempts': 'Nessun tentativo per questo quiz.',
+        'dashboard.trendLabel': 'Andamento della percentuale di punteggio nei tentativi',
+        'dashboard.confirmClear': 'Vuoi cancellare tutto lo storico dei tentativi?',
+        'dashboard.title': 'I miei progressi',
+        'dashboard.empty': 'Nessun tentativo registrato. Completa un quiz per vedere i tuoi progressi.',
+        'dashboard.trend': 'Andamento del punteggio',
+        'dashboard.filter': 'Filtra per quiz',
+        'dashboard.perQuiz': 'Risultati per quiz',
+        'dashboard.recent': 'Ultimi tentativi',
+        'dashboard.clear': 'Cancella storico',
+        'disputes.summary': ({ count, questions }) => `${count} segnalazion${count === 1 ? 'e' : 'i'} su ${questions} domand${questions === 1 ? 'a' : 'e'}.`,
+        'disputes.confirmClear': 'Vuoi cancellare tutte le segnalazioni? Esportale prima se non le hai ancora inviate.',
+        'disputes.title': 'Domande segnalate',
+        'disputes.export': 'Esporta segnalazioni',
+        'disputes.clear': 'Cancella segnalazioni',
+
+        // Quiz editor (quiz-editor.js)
+        'editor.confirmDiscard': 'Ci sono modifiche non salvate. Vuoi abbandonarle?',
+        'editor.heading': 'Domanda {index} di {total}',
+        'editor.headingNumbered': 'Domanda {index} di {total} (n. {number})',
+        'editor.optionCorrect': 'Opzione {option} corretta',
+        'editor.optionText': "Testo dell'opzione {option}",
+        'editor.explanationPlaceholder': 'Spiegazione',
+        'editor.optionExplanation': "Spiegazione dell'opzione {option}",
+        'editor.newQuestion': 'Nuova domanda',
+        'editor.valid': 'La domanda è valida.',
+        'editor.error': 'Errore: {message}',
+        'editor.warning': 'Avviso: {message}',
+        'editor.unsaved': 'Modifiche non salvate',
+        'editor.confirmDelete': 'Eliminare la domanda {number}?',
+        'editor.saveInvalid': 'Impossibile salvare: correggi gli errori ({count})',
+        'editor.saveError': 'Errore nel salvataggio: {error}',
+        'editor.saved': 'Modifiche salvate',
+        'editor.savedForSession': 'Modifiche in uso fino alla chiusura della pagina: scarica il JSON e sostituisci json_Q_A/{file}',
+        'editor.downloadedInvalid': "File scaricato con {count} domande non valide, che l'app scarterà",
+        'editor.title': 'Editor dei quiz',
+        'editor.questionText': 'Testo della domanda',
+        'editor.image': 'Immagine (percorso in img/)',
+        'editor.options': 'Opzioni: spunta le risposte corrette (più di una per le domande a risposta multipla)',
+        'editor.addOption': 'Aggiungi opzione',
+        'editor.removeOption': 'Rimuovi ultima opzione',
+        'editor.generalExplanation': 'Spiegazione della risposta corretta',
+        'editor.learningObjective': 'Obiettivo di apprendimento',
+        'editor.kLevel': 'Livello K',
+        'editor.deleteQuestion': 'Elimina domanda',
+        'editor.save': 'Salva modifiche',
+        'editor.download': 'Scarica JSON',
+
+        // Routes (router.js)
+        'route.quizMissing': 'Link: il quiz "{quiz}" non è disponibile',
+        'route.attemptQuestionsMissing': 'Tentativo n. {id}: alcune domande non sono più disponibili',
+        'route.resultsMissing': 'Link: risultati non trovati',
+
+        // Browser storage (database.js)
+        'database.unavailable': 'IndexedDB non disponibile in questo browser',
+        'database.blocked': "Database bloccato da un'altra scheda aperta",
+        'database.aborted': 'Transazione annullata',
+
+        // Saved sessions storage (session-storage.js)
+        'storage.full': 'Lo spazio di archiviazione del browser è pieno: i progressi della sessione non vengono salvati. Libera spazio (ad esempio cancellando i dati di altri siti) per non perderli ricaricando la pagina.',
+        'storage.failed': 'Il browser non permette di salvare i dati (ad esempio in navigazione privata): i progressi della sessione andranno persi ricaricando la pagina.'
+    },
+
+    en: {
+        // Application and shared texts
+        'app.title': 'ISTQB Quiz',
+        'locale.label': 'Language',
+        'common.cancel': 'Cancel',
+        'common.home': 'Back to Home',
+        'common.close': 'Close',
+
+        // Accommodations (accommodations.js)
+        'accommodations.title': 'Accommodations',
+        'accommodations.extraTime': 'Extra time',
+        'accommodations.noExtraTime': 'None',
+        'accommodations.extraTimeOption': '+{percentage}%',
+        'accommodations.extraTimeHint': 'ISTQB grants 25% extra time to candidates taking the exam in a language other than their own. It applies to the quizzes started from now on.',
+        'accommodations.fontScale': 'Text size',
+        'accommodations.highContrast': 'High contrast',
+        'accommodations.reducedMotion': 'Reduce motion',
+        'accommodations.dyslexiaFont': 'Dyslexia-friendly font',
+        'accommodations.resultsNote': 'Attempt taken with {percentage}% extra time: {minutes} minutes instead of {duration}.',
+
+        // Update banner (offline-support.js)
+        'update.app': 'Update available: a new version of the app is ready.',
+        'update.quizzes': 'Update available: the quiz questions have changed.',
+        'update.apply': 'Update',
+        'update.dismiss': 'Later',
+
+        // Loading of the quiz files
+        'load.invalidManifest': 'index.json: invalid manifest, using the folder listing',
+        'load.parseError': '{file}: JSON parsing error - {error}',
+        'load.fileError': '{file}: error loading the file - {error}',
+        'load.invalidFiles': 'Invalid files found:',
+
+        // Landing page
+        'landing.noQuizzes': 'No quiz available.',
+        'landing.importedFrom': 'Imported from {file} on {date}',
+        'landing.importedTag': 'Imported',
+        'landing.questionCount': 'Number of questions: {count}',
+        'landing.start': 'Start',
+        'landing.practice': 'Practice',
+        'landing.simulate': 'Exam simulation',
+        'landing.remove': 'Remove',
+        'landing.subtitle': 'Select a quiz to start',
+        'landing.editor': 'Quiz editor',
+        'landing.loading': 'Loading quizzes...',
+        'landing.loadError': 'Error loading the quizzes. Make sure the json_Q_A/ folder contains valid JSON files.',
+
+        // Custom quiz builder (quiz-builder.js)
+        'builder.noArea': 'No FL objective',
+        'builder.available': 'Available questions: {count}',
+        'builder.availableAll': 'Available questions: {count} (all {count} will be used)',
+        'builder.noPreset': 'No preset',
+        'builder.confirmDeletePreset': 'Delete the preset "{name}"?',
+        'builder.title': 'Custom quiz',
+        'builder.intro': 'Choose chapters, K-levels and source quizzes: the questions are drawn from all the loaded quizzes.',
+        'builder.preset': 'Preset',
+        'builder.deletePreset': 'Delete preset',
+        'builder.areas': 'Chapters and areas',
+        'builder.kLevels': 'K-levels',
+        'builder.sources': 'Source quizzes',
+        'builder.count': 'Number of questions',
+        'builder.excludeAmbiguous': 'Exclude ambiguous questions',
+        'builder.presetName': 'Preset name',
+        'builder.savePreset': 'Save preset',
+        'builder.start': 'Generate quiz',
+
+        // Spaced repetition review (review-scheduler.js)
+        'review.due': '{count} questions to review today out of {total} scheduled.',
+        'review.noneDue': 'No questions to review today. Next review: {date}.',
+        'review.start': 'Start review',
+        'simulation.intro': 'Generate a 40-question paper with the chapter and K-level distribution of the ISTQB Foundation Level exam, drawing from all the loaded quizzes.',
+        'simulation.start': 'Simulation from all quizzes',
+
+        // Quiz import and conversion (quiz-import.js, quiz-formats.js)
+        'import.error': 'error importing the file - {error}',
+        'import.done': ({ count, titles }) => `Imported ${count} ${count === 1 ? 'quiz' : 'quizzes'}: ${titles}`,
+        'import.checkPreview': 'Check the preview before adding the converted quizzes.',
+        'import.none': 'No quiz imported: check the reported errors.',
+        'import.previewFormat': 'Format {format} · {count} questions converted',
+        'import.noWarnings': 'No conversion warnings.',
+        'import.cancelled': 'Import cancelled.',
+        'import.confirmRemove': 'Remove the imported quiz "{title}"?',
+        'import.unknownFormat': 'format not recognised',
+        'import.problem.noText': 'missing question text',
+        'import.problem.fewOptions': 'at least 2 options are needed',
+        'import.problem.tooManyOptions': 'too many options (at most {max})',
+        'import.problem.noCorrect': 'no correct answer given',
+        'import.csv.noRows': 'CSV: a header row and at least one question are needed',
+        'import.csv.unknownHeader': 'CSV: header not recognized, the columns "question", "A", "B", ... and "answer" are needed',
+        'import.csv.unknownAnswer': 'CSV line {line}: answer "{answers}" without a matching option, ignored',
+        'import.csv.invalidPoints': 'CSV line {line}: invalid points "{points}", using 1',
+        'import.csv.skipped': 'CSV line {line}: {problem}, question skipped',
+        'import.gift.question': 'GIFT question {number}',
+        'import.gift.noAnswers': '{label}: no answer block, skipped',
+        'import.true': 'True',
+        'import.false': 'False',
+        'import.gift.numeric': '{label}: numerical question not supported, skipped',
+        'import.gift.matching': '{label}: matching question not supported, skipped',
+        'import.gift.shortAnswer': '{label}: short answer question not supported, skipped',
+        'import.gift.partialWeights': '{label}: partial weights converted to a multiple answer question',
+        'import.skipped': '{label}: {problem}, skipped',
+        'import.moodle.noParser': 'Moodle XML: XML parsing not available in this environment',
+        'import.moodle.invalid': 'Moodle XML: invalid XML file',
+        'import.moodle.question': 'Moodle XML question {number}',
+        'import.moodle.unsupportedType': '{label}: type "{type}" not supported, skipped',
+        'import.moodle.images': '{label}: embedded images ignored',
+        'import.moodle.singleAsMulti': '{label}: several answers with a positive grade in a single answer question, imported as a multiple answer question',
+        'import.aiken.unknownAnswer': 'Aiken line {line}: answer "{answers}" without a matching option',
+        'import.aiken.skipped': 'Aiken line {line}: {problem}, question skipped',
+        'import.aiken.noAnswerLine': 'Aiken: last question without an "ANSWER:" line, skipped',
+        'import.jsonError': 'JSON parsing error - {error}',
+        'import.noQuestions': 'no questions found',
+        'import.dropHint': 'Drop the quiz files to import here (JSON, CSV, Moodle GIFT, Moodle XML, Aiken), or',
+        'import.choose': 'Choose files',
+        'import.preview': 'Conversion preview',
+        'import.confirm': 'Add quizzes',
+
+        // Session modes
+        'session.allQuizzes': 'all quizzes',
+        'session.review': 'Review',
+        'session.practiceTitle': 'Practice - {quiz}',
+        'session.customNamed': 'Custom quiz - {name}',
+        'session.custom': 'Custom quiz',
+        'session.simulationTitle': 'Exam simulation - {quiz}',
+
+        // Saved sessions
+        'resume.prompt': 'A saved quiz was found. Do you want to resume it?',
+        'resume.changed': 'A saved quiz was found, but the questions of the quiz have changed since then and it cannot be resumed.',
+        'resume.resume': 'Resume',
+        'resume.restart': 'Start over',
+        'resume.edited': 'A saved quiz was found. Some questions were edited in the quiz file after the session started: if you resume it you will see the updated version.',
+
+        // Session open in another tab (session-storage.js)
+        'sessionLock.elsewhere': 'This session is open in another tab. Carry on there, or continue it here: the other tab will save its progress and stop.',
+        'sessionLock.takenOver': 'This session was continued in another tab. Your progress has been saved.',
+        'sessionLock.takeOver': 'Continue here',
+
+        // Shared papers (session-seed.js)
+        'share.copied': 'Link copied (paper no. {seed}): whoever opens it gets the same questions in the same order.',
+        'share.copyPrompt': 'Copy the link of the paper:',
+        'share.quizMissing': 'Shared link: the quiz "{quiz}" is not available',
+        'share.confirmReplace': 'You already have an attempt in progress for this quiz. Do you want to abandon it and open the shared paper?',
+        'share.button': 'Share paper',
+        'share.paperMismatch': 'Warning: these questions are not the ones of the shared paper, because the quizzes loaded in this browser are different (imported or updated quizzes).',
+
+        // Quiz page
+        'quiz.timeRemaining': 'Time remaining: {time}',
+        'quiz.imageAlt': 'Image for question {number}',
+        'quiz.selectLimitHit': ({ required }) => `You have already selected ${required} answer${required === 1 ? '' : 's'}: clear an option to choose another one.`,
+        'quiz.selectHint': ({ required, selected }) => `Select ${required} answer${required === 1 ? '' : 's'} · ${selected} selected`,
+        'quiz.progress': 'Question {current}/{total}',
+        'quiz.practiceScore': 'Correct: {correct}/{checked}',
+        'quiz.unflag': 'Remove mark',
+        'quiz.flag': 'Mark for review',
+        'quiz.ambiguous': 'Ambiguous question',
+        'quiz.ambiguousTitle': 'The wording or the answer of this question is disputed',
+        'quiz.image': 'Question image',
+        'quiz.previous': 'Previous',
+        'quiz.submit': 'Submit Quiz',
+        'quiz.next': 'Next',
+        'quiz.questions': 'Quiz questions',
+        'quiz.practicePoints': 'Points: {score}/{max}',
+        'pacing.behind': ({ minutes }) => `You are ${minutes} minute${minutes === 1 ? '' : 's'} behind`,
+        'pacing.ahead': ({ minutes }) => `You are ${minutes} minute${minutes === 1 ? '' : 's'} ahead`,
+        'pacing.onTrack': 'On pace',
+        'pause.pause': 'Pause',
+        'pause.resume': 'Resume',
+        'pause.message': 'Session paused: the time is stopped and the question is hidden.',
+        'pause.strict': 'Strict simulation: the time runs even if you switch tab',
+        'practice.correct': 'Correct answer!',
+        'practice.incorrect': ({ answer, multi }) => `Wrong answer. Correct answer${multi ? 's' : ''}: ${answer}`,
+        'practice.partial': ({ answer, multi }) => `Partially correct answer. Correct answer${multi ? 's' : ''}: ${answer}`,
+        'practice.excluded': ({ answer, multi }) => `Question left out of the score. Correct answer${multi ? 's' : ''}: ${answer}`,
+
+        // Question navigator
+        'navigator.answered': 'answered',
+        'navigator.unanswered': 'not answered',
+        'navigator.incomplete': 'incomplete answer',
+        'navigator.cell': 'Question {number}: {status}',
+        'navigator.cellFlagged': 'Question {number}: {status}, marked for review',
+        'navigator.legendAnswered': 'Answered',
+        'navigator.legendIncomplete': 'Incomplete answer',
+        'navigator.legendUnanswered': 'Not answered',
+        'navigator.legendFlagged': 'Marked for review',
+
+        // Summary before submitting
+        'submit.summary': 'You answered {answered} questions out of {total}. Are you sure you want to submit the quiz?',
+        'submit.unanswered': 'Not answered',
+        'submit.incomplete': 'Incomplete answers',
+        'submit.flagged': 'Marked for review',
+        'submit.goTo': 'Go to question {number}',
+        'submit.title': 'Summary before submitting',
+        'submit.back': 'Back to the quiz',
+        'submit.confirm': 'Submit for good',
+
+        // Question reports (disputes.js)
+        'dispute.noteRequired': 'Describe the problem before sending the report.',
+        'dispute.saveFailed': 'Unable to save the report.',
+        'dispute.saved': 'Report saved. You can export it from the dashboard.',
+        'dispute.open': 'Report question',
+        'dispute.noteLabel': 'What is wrong with this question?',
+        'dispute.send': 'Send report',
+
+        // Results page
+        'results.optionLabel': 'Option {option}:',
+        'results.explanations': 'Explanations:',
+        'results.explanation': 'Explanation:',
+        'results.noAnswer': 'No answer',
+        'results.score': 'Score: {score}/{max}',
+        'results.passRule': 'Pass mark: {threshold}/{max} ({percentage}%) - {profile}',
+        'results.passed': 'PASS',
+        'results.failed': 'FAIL',
+        'results.shortPaper': 'This quiz has {total} questions, the profile expects {expected}.',
+        'results.penalty': "({percentage}% of the question's points for each wrong option)",
+        'results.strategy': '"{name}" scoring: {description}{penalty}.',
+        'results.weighted': 'Questions have different points: {correct}/{total} correct answers.',
+        'results.unweighted': 'Every question is worth 1 point, whatever its points field.',
+        'results.excluded': '{count} ambiguous questions are left out of the score.',
+        'results.note': 'Note:',
+        'results.thresholdNote': 'The pass mark is {percentage}% of the available points.',
+        'results.allOptions': 'All options:',
+        'results.multiAnswer': 'Multiple answer',
+        'results.singleAnswer': 'Single answer',
+        'results.ambiguousQuestion': 'Ambiguous question:',
+        'results.questionHeading': 'Question {number}',
+        'results.ambiguousBadge': 'Ambiguous',
+        'results.correctAnswer': 'Correct answer:',
+        'results.correctAnswers': 'Correct answers:',
+        'results.userAnswer': 'Your answer:',
+        'results.userAnswers': 'Your answers:',
+        'results.earnedPoints': '{earned}/{points} points',
+        'results.points': '{points} points',
+        'results.chapterCount': 'Ch. {chapter}: {count}',
+        'results.simulation': 'Exam simulation',
+        'results.blueprint': 'following the {name} blueprint ({id}).',
+        'results.chapterDistribution': 'Distribution by chapter: {chapters}',
+        'results.kLevelDistribution': 'K-levels: {kLevels}',
+        'results.noObjectives': 'No learning objectives available for this quiz.',
+        'results.title': 'Quiz Results',
+        'results.objectivesTitle': 'Summary by Learning Objective',
+        'results.detailsTitle': 'Answer Details',
+        'results.retry': 'Retry Quiz',
+        'results.print': 'Print report',
+        'results.exportCsv': 'Export CSV',
+        'results.exportJson': 'Export JSON',
+        'results.regraded': "The quiz was changed after this attempt: the score shown is the recorded one, with today's correct answers it would be {score}/{max} ({status}).",
+        'results.recordedCorrectAnswer': 'Correct answer at the time of the attempt:',
+        'objectives.summary': 'Summary:',
+        'objectives.macroAreas': 'Macro areas covered: {count}',
+        'objectives.total': 'Total learning objectives: {count}',
+        'objectives.withErrors': 'Objectives with errors: {count}',
+        'objectives.errors': 'Total errors: {errors}/{total}',
+
+        // Time per question (question-timing.js)
+        'timing.title': 'Time and answer changes',
+        'timing.total': 'Time on the questions: {total} · average {average} per question',
+        'timing.slowest': 'Questions that took longest:',
+        'timing.slowestItem': ({ number, time, visits }) => `Question ${number}: ${time} (${visits} ${visits === 1 ? 'visit' : 'visits'})`,
+        'timing.changes': ({ changed, improved, worsened, unchanged }) => `You changed your answer to ${changed} question${changed === 1 ? '' : 's'}: the score improved ${improved} time${improved === 1 ? '' : 's'}, got worse ${worsened}, stayed the same ${unchanged}.`,
+        'timing.noChanges': 'You did not change any answer.',
+        'timing.question': ({ time, visits }) => `Time: ${time} · ${visits} ${visits === 1 ? 'visit' : 'visits'}`,
+        'timing.changed.improved': 'first answer {answer}: changing it helped',
+        'timing.changed.worsened': 'first answer {answer}: changing it lowered the score',
+        'timing.changed.unchanged': 'first answer {answer}: changing it did not affect the score',
+        'timing.pauses': ({ count, time }) => `Paused ${count} time${count === 1 ? '' : 's'}, for ${time} in total`,
+
+        // Ambiguous questions policies (exam-profiles.js)
+        'ambiguous.award': 'point awarded to everyone',
+        'ambiguous.accept-any': 'answers {answers} accepted',
+        'ambiguous.exclude': 'left out of the score',
+        'ambiguous.grade': 'graded normally',
+
+        // Scoring strategies (scoring-strategies.js)
+        'scoring.all-or-nothing.name': 'All or nothing',
+        'scoring.all-or-nothing.description': 'full points only when the selected options match the correct answers',
+        'scoring.partial.name': 'Partial credit',
+        'scoring.partial.description': 'each correct answer selected earns a share of the points, each wrong option cancels one',
+        'scoring.negative.name': 'Negative marking',
+        'scoring.negative.description': 'partial credit for the correct answers, each wrong option takes away a share of the points',
+
+        // Exam profiles (exam-profiles.js)
+        'profile.questions': '{count} questions',
+        'profile.minutes': '{count} minutes',
+        'profile.threshold': 'pass mark {percentage}%',
+
+        // Exam simulation sampling (exam-sampling.js)
+        'sampling.chapterShort': 'Chapter {chapter}: {available} questions available out of {required} required',
+        'sampling.filled': '{count} questions added from other chapters to complete the paper',
+        'sampling.short': 'The paper has {count} questions instead of {expected}',
+
+        // Syllabus and solution sources (source-links.js)
+        'sources.page': 'p. {pages}',
+        'sources.pages': 'pp. {pages}',
+        'sources.question': 'Question',
+        'sources.solution': 'Solution',
+        'sources.label': 'Source:',
+        'sources.title': 'Source',
+        'sources.openTab': 'Open in a new tab',
+        'sources.close': 'Close the source',
+        'sources.hintBefore': 'If the document does not appear, copy the PDF into the folder',
+        'sources.hintAfter': 'of the application.',
+
+        // Progress dashboard
+        'dashboard.allQuizzes': 'All quizzes',
+        'dashboard.attempts': 'Attempts',
+        'dashboard.passedCount': 'Passed ({count})',
+        'dashboard.averageScore': 'Average score',
+        'dashboard.averageTime': 'Average time per question',
+        'dashboard.quiz': 'Quiz',
+        'dashboard.passed': 'Passed',
+        'dashboard.average': 'Average',
+        'dashboard.best': 'Best',
+        'dashboard.timePerQuestion': 'Time/question',
+        'dashboard.noAttempts': 'No attempts for this quiz.',
+        'dashboard.trendLabel': 'Score percentage across attempts',
+        'dashboard.confirmClear': 'Do you want to delete the whole attempt history?',
+        'dashboard.title': 'My progress',
+        'dashboard.empty': 'No attempts recorded yet. Complete a quiz to see your progress.',
+        'dashboard.trend': 'Score trend',
+        'dashboard.filter': 'Filter by quiz',
+        'dashboard.perQuiz': 'Results by quiz',
+        'dashboard.recent': 'Latest attempts',
+        'dashboard.clear': 'Delete history',
+        'disputes.summary': ({ count, questions }) => `${count} report${count === 1 ? '' : 's'} on ${questions} question${questions === 1 ? '' : 's'}.`,
+        'disputes.confirmClear': 'Do you want to delete all the reports? Export them first if you have not sent them yet.',
+        'disputes.title': 'Reported questions',
+        'disputes.export': 'Export reports',
+        'disputes.clear': 'Delete reports',
+
+        // Quiz editor (quiz-editor.js)
+        'editor.confirmDiscard': 'There are unsaved changes. Do you want to discard them?',
+        'editor.heading': 'Question {index} of {total}',
+        'editor.headingNumbered': 'Question {index} of {total} (no. {number})',
+        'editor.optionCorrect': 'Option {option} correct',
+        'editor.optionText': 'Text of option {option}',
+        'editor.explanationPlaceholder': 'Explanation',
+        'editor.optionExplanation': 'Explanation of option {option}',
+        'editor.newQuestion': 'New question',
+        'editor.valid': 'The question is valid.',
+        'editor.error': 'Error: {message}',
+        'editor.warning': 'Warning: {message}',
+        'editor.unsaved': 'Unsaved changes',
+        'editor.confirmDelete': 'Delete question {number}?',
+        'editor.saveInvalid': 'Unable to save: fix the errors ({count})',
+        'editor.saveError': 'Error while saving: {error}',
+        'editor.saved': 'Changes saved',
+        'editor.savedForSession': 'Changes in use until the page is closed: download the JSON and replace json_Q_A/{file}',
+        'editor.downloadedInvalid': 'File downloaded with {count} invalid questions, which the app will discard',
+        'editor.title': 'Quiz editor',
+        'editor.questionText': 'Question text',
+        'editor.image': 'Image (path in img/)',
+        'editor.options': 'Options: tick the correct answers (more than one for multiple answer questions)',
+        'editor.addOption': 'Add option',
+        'editor.removeOption': 'Remove last option',
+        'editor.generalExplanation': 'Explanation of the correct answer',
+        'editor.learningObjective': 'Learning objective',
+        'editor.kLevel': 'K-level',
+        'editor.deleteQuestion': 'Delete question',
+        'editor.save': 'Save changes',
+        'editor.download': 'Download JSON',
+
+        // Routes (router.js)
+        'route.quizMissing': 'Link: the quiz "{quiz}" is not available',
+        'route.attemptQuestionsMissing': 'Attempt no. {id}: some questions are no longer available',
+        'route.resultsMissing': 'Link: results not found',
+
+        // Browser storage (database.js)
+        'database.unavailable': 'IndexedDB not available in this browser',
+        'database.blocked': 'Database blocked by another open tab',
+        'database.aborted': 'Transaction aborted',
+
+        // Saved sessions storage (session-storage.js)
+        'storage.full': 'The browser storage is full: the progress of the session is not being saved. Free some space (e.g. by clearing the data of other sites) so as not to lose it when the page is reloaded.',
+        'storage.failed': 'The browser does not allow saving data (e.g. in private browsing): the progress of the session will be lost when the page is reloaded.'
+    }
+};
+
+let currentLocale = readStoredLocale();
+
+/**
+ * Read the language chosen in a previous visit
+ * @returns {string} - Supported locale, DEFAULT_LOCALE when none was stored
+ */
+function readStoredLocale() {
+    try {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(LOCALE_STORAGE_KEY) : null;
+        return SUPPORTED_LOCALES[stored] ? stored : DEFAULT_LOCALE;
+    } catch (error) {
+        // Storage disabled (e.g. private mode with cookies blocked)
+        return DEFAULT_LOCALE;
+    }
+}
+
+/**
+ * Get the current language
+ * @returns {string} - Locale code ('it' or 'en')
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Get the BCP 47 tag of the current language, for toLocaleString() and Intl
+ * @returns {string} - e.g. "it-IT"
+ */
+function getLocaleTag() {
+    return SUPPORTED_LOCALES[currentLocale].tag;
+}
+
+/**
+ * Change the language and remember it for the next visits
+ * @param {string} locale - Locale code
+ * @returns {boolean} - True if the language is supported
+ */
+function setLocale(locale) {
+    if (!SUPPORTED_LOCALES[locale]) {
+        return false;
+    }
+    currentLocale = locale;
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        console.warn('Unable to save the language:', error);
+    }
+    return true;
+}
+
+/**
+ * Translate a message of the catalogue
+ * Messages missing in the current language fall back to DEFAULT_LOCALE.
+ * @param {string} key - Message key (e.g. "quiz.progress")
+ * @param {Object} params - Values of the placeholders
+ * @returns {string} - Translated text, the key itself when the message does not exist
+ */
+function t(key, params = {}) {
+    let message = MESSAGES[currentLocale][key];
+    if (message === undefined) {
+        message = MESSAGES[DEFAULT_LOCALE][key];
+    }
+    if (message === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+    if (typeof message === 'function') {
+        return message(params);
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+        params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+    ));
+}
+
+/**
+ * Translate the static texts of a part of the page
+ * @param {Document|HTMLElement} root - Element whose descendants are translated
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key) {
+                element.setAttribute(attribute, t(key));
+            }
+        });
+    });
+}
+
+/**
+ * Read the option texts of a translation by lowercase letter
+ * @param {Array|Object} options - Options in either format of question_option
+ * @returns {Object} - { a: "...", b: "..." }
+ */
+function getTranslatedOptionTexts(options) {
+    const texts = {};
+    if (Array.isArray(options)) {
+        options.forEach(option => {
+            if (option && typeof option.option === 'string' && typeof option.option_text === 'string') {
+                texts[option.option.toLowerCase()] = option.option_text;
+            }
+        });
+    } else if (options && typeof options === 'object') {
+        Object.entries(options).forEach(([key, text]) => {
+            if (typeof text === 'string') {
+                texts[key.toLowerCase()] = text;
+            }
+        });
+    }
+    return texts;
+}
+
+/**
+ * Merge translated explanations into the original ones
+ * The result keeps the shape and the keys of the original: the keys of
+ * answer_option_text tell whether a question has more than one correct answer.
+ * @param {string|Object} original - answer_option_text or no_answer_option_text
+ * @param {string|Object} translated - Same field of the translation
+ * @returns {string|Object} - Explanations, original ones where not translated
+ */
+function mergeTranslatedExplanations(original, translated) {
+    if (translated === undefined || translated === null || !original) {
+        return original;
+    }
+    if (typeof original === 'string') {
+        return typeof translated === 'string' && translated.trim() !== '' ? translated : original;
+    }
+    if (typeof original !== 'object' || typeof translated !== 'object') {
+        return original;
+    }
+    const merged = { ...original };
+    Object.keys(original).forEach(key => {
+        const text = translated[key] !== undefined ? translated[key] : translated[key.toLowerCase()];
+        if (typeof text === 'string') {
+            merged[key] = text;
+        }
+    });
+    return merged;
+}
+
+/**
+ * Show a question in a language
+ * Works on the questions of the quiz files as well as on the ones prepared for
+ * display (shuffled options keep their letter in `option`).
+ * @param {Object} question - Question object
+ * @param {string} locale - Locale code, the current language by default
+ * @returns {Object} - Copy of the question with the translated texts, the question itself without a translation
+ */
+function localizeQuestion(question, locale = currentLocale) {
+    const translation = question && question.translations && question.translations[locale];
+    if (!translation || typeof translation !== 'object') {
+        return question;
+    }
+
+    const localized = { ...question };
+    if (typeof translation.question_text === 'string' && translation.question_text.trim() !== '') {
+        localized.question_text = translation.question_text;
+    }
+
+    const optionTexts = getTranslatedOptionTexts(translation.question_option);
+    const translateOptions = options => {
+        if (Array.isArray(options)) {
+            return options.map(option => {
+                const text = option && typeof option.option === 'string' ? optionTexts[option.option.toLowerCase()] : undefined;
+                return text !== undefined ? { ...option, option_text: text } : option;
+            });
+        }
+        if (options && typeof options === 'object') {
+            const translated = {};
+            Object.entries(options).forEach(([key, text]) => {
+                translated[key] = optionTexts[key.toLowerCase()] !== undefined ? optionTexts[key.toLowerCase()] : text;
+            });
+            return translated;
+        }
+        return options;
+    };
+    localized.question_option = translateOptions(question.question_option);
+    if (question.original_options) {
+        localized.original_options = translateOptions(question.original_options);
+    }
+
+    localized.answer_option_text = mergeTranslatedExplanations(question.answer_option_text, translation.answer_option_text);
+    localized.no_answer_option_text = mergeTranslatedExplanations(question.no_answer_option_text, translation.no_answer_option_text);
+    return localized;
+}
+
+/**
+ * Show the title and description of a manifest entry in the current language
+ * @param {Object} meta - Manifest entry, may have translations: { en: { title, description } }
+ * @returns {Object} - Copy of the entry with the translated texts
+ */
+function localizeQuizMeta(meta) {
+    const translation = meta && meta.translations && meta.translations[currentLocale];
+    if (!translation || typeof translation !== 'object') {
+        return meta;
+    }
+    const localized = { ...meta };
+    ['title', 'description'].forEach(field => {
+        if (typeof translation[field] === 'string' && translation[field].trim() !== '') {
+            localized[field] = translation[field];
+        }
+    });
+    return localized;
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_LOCALE,
+        LOCALE_STORAGE_KEY,
+        SUPPORTED_LOCALES,
+        MESSAGES,
+        getLocale,
+        getLocaleTag,
+        setLocale,
+        t,
+        applyTranslations,
+        localizeQuestion,
+        localizeQuizMeta
+    };
+}
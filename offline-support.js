@@ -0,0 +1,94 @@
+/**
+ * Offline support for the ISTQB Quiz App
+ *
+ * Registers the service worker (sw.js) that caches the app and the quiz bank,
+ * and reports the two kinds of update it can find: a new version of the app
+ * (a new worker waiting to take over) and a new quiz bank (already cached,
+ * shown after a reload). Service workers need http(s): opened from file://
+ * the app works as before, online only.
+ */
+
+const SERVICE_WORKER_URL = 'sw.js';
+
+// Message (see i18n.js) of the "aggiornamento disponibile" banner, by kind of update
+const UPDATE_MESSAGES = {
+    app: 'update.app',
+    quizzes: 'update.quizzes'
+};
+
+/**
+ * Check whether the browser can run the service worker for this page
+ * @returns {boolean} - True on http(s) pages of browsers with service workers
+ */
+function canUseServiceWorker() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+        typeof window !== 'undefined' && window.isSecureContext === true;
+}
+
+/**
+ * Register the service worker and report the updates it finds
+ * @param {Function} onUpdate - Called with { kind: 'app' | 'quizzes', message, apply },
+ *                              apply() reloads the page on the updated version
+ * @returns {Promise<ServiceWorkerRegistration|null>} - Registration, null when unavailable
+ */
+async function registerServiceWorker(onUpdate) {
+    if (!canUseServiceWorker()) {
+        return null;
+    }
+
+    let registration;
+    try {
+        registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    } catch (error) {
+        console.warn('Unable to register the service worker:', error);
+        return null;
+    }
+
+    // The first worker takes control without a reload, only later ones are updates
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+
+    const reportWaitingWorker = worker => onUpdate({
+        kind: 'app',
+        message: t(UPDATE_MESSAGES.app),
+        apply: () => worker.postMessage({ type: 'skip-waiting' })
+    });
+
+    if (registration.waiting && hadController) {
+        reportWaitingWorker(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                reportWaitingWorker(worker);
+            }
+        });
+    });
+
+    // The new worker is active: reload once to run the new version
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (hadController && !reloading) {
+            reloading = true;
+            location.reload();
+        }
+    });
+
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'quiz-bank-updated') {
+            onUpdate({ kind: 'quizzes', message: t(UPDATE_MESSAGES.quizzes), apply: () => location.reload() });
+        }
+    });
+
+    return registration;
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SERVICE_WORKER_URL,
+        UPDATE_MESSAGES,
+        canUseServiceWorker,
+        registerServiceWorker
+    };
+}
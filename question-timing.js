@@ -0,0 +1,261 @@
+/**
+ * Per-question time tracking for the ISTQB Quiz App
+ *
+ * While a session is open the app records, for each question, the time spent
+ * on it, how many times it was opened and the answers given: the first one
+ * and how many times it was changed afterwards. The results page shows the
+ * questions that took longest and whether changing an answer helped; during a
+ * timed session the pacing indicator compares the time used with the time the
+ * answered questions were expected to take.
+ *
+ * Tracking data is keyed by the index of the question in the session, like
+ * userAnswers, and saved with the session state.
+ */
+
+// Minimum gap between the time used and the expected time before the pacing indicator reports it
+const PACING_TOLERANCE_SECONDS = 60;
+
+// Number of questions listed as the ones that took longest
+const SLOWEST_QUESTIONS_COUNT = 5;
+
+/**
+ * Create the tracking data of a new session
+ * @returns {Object} - { questions: { index: entry }, currentIndex, enteredAt }
+ */
+function createQuestionTiming() {
+    return { questions: {}, currentIndex: null, enteredAt: null };
+}
+
+/**
+ * Create the tracking entry of a question not seen yet
+ * @returns {Object} - { timeMs, visits, firstAnswer, lastAnswer, changes }
+ */
+function createTimingEntry() {
+    return { timeMs: 0, visits: 0, firstAnswer: null, lastAnswer: null, changes: 0 };
+}
+
+/**
+ * Get the tracking entry of a question, creating it when missing
+ * @param {Object} timing - Tracking data
+ * @param {number} index - Index of the question in the session
+ * @returns {Object} - Entry (see createTimingEntry)
+ */
+function getQuestionTimingEntry(timing, index) {
+    if (!timing.questions[index]) {
+        timing.questions[index] = createTimingEntry();
+    }
+    return timing.questions[index];
+}
+
+/**
+ * Close the visit of the question on screen, adding its time
+ * @param {Object} timing - Tracking data
+ * @param {number} now - Current time in milliseconds
+ */
+function leaveTimedQuestion(timing, now = Date.now()) {
+    if (timing.currentIndex !== null && timing.enteredAt !== null) {
+        getQuestionTimingEntry(timing, timing.currentIndex).timeMs += Math.max(0, now - timing.enteredAt);
+    }
+    timing.currentIndex = null;
+    timing.enteredAt = null;
+}
+
+/**
+ * Start a visit of a question; showing again the question on screen is not a new visit
+ * @param {Object} timing - Tracking data
+ * @param {number} index - Index of the question in the session
+ * @param {boolean} paused - True while the session is paused: the time starts with resumeTimedQuestion()
+ * @param {number} now - Current time in milliseconds
+ */
+function enterTimedQuestion(timing, index, paused = false, now = Date.now()) {
+    // Also while paused (enteredAt is null): the time is counted again by resumeTimedQuestion()
+    if (timing.currentIndex === index) {
+        return;
+    }
+    leaveTimedQuestion(timing, now);
+    getQuestionTimingEntry(timing, index).visits++;
+    timing.currentIndex = index;
+    timing.enteredAt = paused ? null : now;
+}
+
+/**
+ * Stop counting the time of the question on screen while the session is paused
+ * @param {Object} timing - Tracking data
+ * @param {number} now - Current time in milliseconds
+ */
+function pauseTimedQuestion(timing, now = Date.now()) {
+    if (timing.currentIndex !== null && timing.enteredAt !== null) {
+        getQuestionTimingEntry(timing, timing.currentIndex).timeMs += Math.max(0, now - timing.enteredAt);
+        timing.enteredAt = null;
+    }
+}
+
+/**
+ * Count again the time of the question on screen after a pause, in the same visit
+ * @param {Object} timing - Tracking data
+ * @param {number} now - Current time in milliseconds
+ */
+function resumeTimedQuestion(timing, now = Date.now()) {
+    if (timing.currentIndex !== null && timing.enteredAt === null) {
+        timing.enteredAt = now;
+    }
+}
+
+/**
+ * Compare two answers whatever the order of the selected options
+ * @param {string|Array|null} answer - Answer as stored in userAnswers
+ * @returns {string} - Comparable form, e.g. "a,c"
+ */
+function getTimedAnswerKey(answer) {
+    if (Array.isArray(answer)) {
+        return answer.map(value => String(value).toLowerCase()).sort().join(',');
+    }
+    return answer === null || answer === undefined ? '' : String(answer).toLowerCase();
+}
+
+/**
+ * Record a complete answer to a question
+ * Multi-answer questions are recorded only once enough options are selected,
+ * so ticking the options one by one is not a change of answer.
+ * @param {Object} timing - Tracking data
+ * @param {number} index - Index of the question in the session
+ * @param {string|Array} answer - Answer as stored in userAnswers
+ */
+function recordTimedAnswer(timing, index, answer) {
+    const entry = getQuestionTimingEntry(timing, index);
+    const value = Array.isArray(answer) ? [...answer] : answer;
+    if (entry.firstAnswer === null) {
+        entry.firstAnswer = value;
+    } else if (getTimedAnswerKey(value) !== getTimedAnswerKey(entry.lastAnswer)) {
+        entry.changes++;
+    }
+    entry.lastAnswer = value;
+}
+
+/**
+ * Get the tracking data to save with the session state
+ * The time of the question on screen is counted up to now and its visit goes on.
+ * @param {Object} timing - Tracking data
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - { questions }
+ */
+function serializeQuestionTiming(timing, now = Date.now()) {
+    if (timing.currentIndex !== null && timing.enteredAt !== null) {
+        getQuestionTimingEntry(timing, timing.currentIndex).timeMs += Math.max(0, now - timing.enteredAt);
+        timing.enteredAt = now;
+    }
+    return { questions: timing.questions };
+}
+
+/**
+ * Rebuild the tracking data of a saved session
+ * @param {Object|undefined} saved - Output of serializeQuestionTiming(), missing in older saves
+ * @returns {Object} - Tracking data with no question on screen
+ */
+function restoreQuestionTiming(saved) {
+    const timing = createQuestionTiming();
+    if (saved && saved.questions && typeof saved.questions === 'object') {
+        Object.entries(saved.questions).forEach(([index, entry]) => {
+            if (entry && typeof entry === 'object') {
+                timing.questions[index] = { ...createTimingEntry(), ...entry };
+            }
+        });
+    }
+    return timing;
+}
+
+/**
+ * Summarize the tracking data of a submitted session for the results page
+ * @param {Object} timing - Tracking data (the visit on screen is closed first)
+ * @param {Object} results - Output of gradeQuiz()
+ * @param {Function} gradeFirstAnswer - (index, answer) => points the first answer would have earned
+ * @returns {Object} - { totalSeconds, averageSeconds, questions: [{ seconds, visits, changes, firstAnswer, outcome }],
+ *                       slowest: [index], changed, improved, worsened, unchanged }
+ *                     outcome is 'improved', 'worsened' or 'unchanged' for changed answers, null otherwise
+ */
+function analyzeQuestionTiming(timing, results, gradeFirstAnswer) {
+    leaveTimedQuestion(timing);
+
+    const questions = results.results.map((result, index) => {
+        const entry = timing.questions[index] || createTimingEntry();
+        let outcome = null;
+        if (entry.changes > 0) {
+            const firstPoints = gradeFirstAnswer(index, entry.firstAnswer);
+            if (result.earnedPoints > firstPoints) {
+                outcome = 'improved';
+            } else if (result.earnedPoints < firstPoints) {
+                outcome = 'worsened';
+            } else {
+                outcome = 'unchanged';
+            }
+        }
+        return {
+            seconds: Math.round(entry.timeMs / 1000),
+            visits: entry.visits,
+            changes: entry.changes,
+            firstAnswer: entry.changes > 0 ? entry.firstAnswer : null,
+            outcome
+        };
+    });
+
+    const totalSeconds = questions.reduce((sum, question) => sum + question.seconds, 0);
+    const slowest = questions
+        .map((question, index) => ({ index, seconds: question.seconds }))
+        .filter(question => question.seconds > 0)
+        .sort((a, b) => b.seconds - a.seconds || a.index - b.index)
+        .slice(0, SLOWEST_QUESTIONS_COUNT)
+        .map(question => question.index);
+    const countOutcome = outcome => questions.filter(question => question.outcome === outcome).length;
+
+    return {
+        totalSeconds,
+        averageSeconds: questions.length > 0 ? Math.round(totalSeconds / questions.length) : 0,
+        questions,
+        slowest,
+        changed: questions.filter(question => question.outcome !== null).length,
+        improved: countOutcome('improved'),
+        worsened: countOutcome('worsened'),
+        unchanged: countOutcome('unchanged')
+    };
+}
+
+/**
+ * Compare the time used in a timed session with the time the answered questions should have taken
+ * @param {number} elapsedSeconds - Time used so far
+ * @param {number} answeredCount - Questions answered so far
+ * @param {number} totalQuestions - Questions of the session
+ * @param {number} durationSeconds - Time allowed for the whole session
+ * @returns {Object} - { status: 'behind' | 'ahead' | 'on-track', minutes } minutes of delay or advance
+ */
+function getPacingStatus(elapsedSeconds, answeredCount, totalQuestions, durationSeconds) {
+    if (totalQuestions <= 0 || durationSeconds <= 0) {
+        return { status: 'on-track', minutes: 0 };
+    }
+    const expectedSeconds = answeredCount * (durationSeconds / totalQuestions);
+    const difference = elapsedSeconds - expectedSeconds;
+    if (Math.abs(difference) < PACING_TOLERANCE_SECONDS) {
+        return { status: 'on-track', minutes: 0 };
+    }
+    return {
+        status: difference > 0 ? 'behind' : 'ahead',
+        minutes: Math.floor(Math.abs(difference) / 60)
+    };
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PACING_TOLERANCE_SECONDS,
+        SLOWEST_QUESTIONS_COUNT,
+        createQuestionTiming,
+        enterTimedQuestion,
+        leaveTimedQuestion,
+        pauseTimedQuestion,
+        resumeTimedQuestion,
+        recordTimedAnswer,
+        serializeQuestionTiming,
+        restoreQuestionTiming,
+        analyzeQuestionTiming,
+        getPacingStatus
+    };
+}
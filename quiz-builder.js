@@ -0,0 +1,148 @@
+/**
+ * Custom quiz builder for the ISTQB Quiz App
+ *
+ * Generates an ad-hoc quiz from every loaded quiz, keeping only the questions
+ * that match the chosen syllabus sub-areas (FL-1.1, FL-4.2, ...), K-levels and
+ * source quizzes, optionally leaving out the ambiguous ones. Criteria can be
+ * saved in localStorage as named presets.
+ */
+
+const BUILDER_PRESETS_KEY = 'quiz_builder_presets';
+
+// Area value used for questions without a syllabus learning objective
+const NO_SUB_AREA = 'other';
+
+/**
+ * Get the syllabus sub-area of a question
+ * @param {Object} question - Question object
+ * @returns {string|null} - Sub-area such as "FL-4.2", or null if the learning objective is unknown
+ */
+function getQuestionSubArea(question) {
+    const learningObjective = normalizeLearningObjective(question.learning_objective);
+    return learningObjective ? learningObjective.split('.').slice(0, 2).join('.') : null;
+}
+
+/**
+ * Check whether a question matches the builder criteria
+ * @param {Object} question - Question object
+ * @param {string} source - Quiz the question comes from
+ * @param {Object} criteria - { areas, kLevels, sources, excludeAmbiguous }, a missing list means "any"
+ * @returns {boolean} - True if the question can be drawn
+ */
+function matchesBuilderCriteria(question, source, criteria) {
+    if (criteria.excludeAmbiguous && question.ambiguous === true) {
+        return false;
+    }
+    if (criteria.sources && !criteria.sources.includes(source)) {
+        return false;
+    }
+    if (criteria.kLevels && !criteria.kLevels.includes(question.k_level)) {
+        return false;
+    }
+    if (criteria.areas && !criteria.areas.includes(getQuestionSubArea(question) || NO_SUB_AREA)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Select the questions matching the builder criteria
+ * @param {Map} quizzes - Map quizName -> questions (QuizApp.quizzes)
+ * @param {Object} criteria - { areas, kLevels, sources, excludeAmbiguous }
+ * @returns {Array} - Matching questions, without duplicates of the same question
+ */
+function filterQuestionPool(quizzes, criteria) {
+    const seen = new Set();
+    const matching = [];
+
+    quizzes.forEach((questions, source) => {
+        questions.forEach(question => {
+            const key = getQuestionKey(question);
+            if (seen.has(key) || !matchesBuilderCriteria(question, source, criteria)) {
+                return;
+            }
+            seen.add(key);
+            matching.push(question);
+        });
+    });
+
+    return matching;
+}
+
+/**
+ * Build a custom quiz
+ * @param {Map} quizzes - Map quizName -> questions (QuizApp.quizzes)
+ * @param {Object} criteria - { areas, kLevels, sources, questionCount }
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Object} - { questions, available }
+ */
+function buildCustomQuiz(quizzes, criteria, random = Math.random) {
+    const pool = filterQuestionPool(quizzes, criteria);
+    const questions = shuffleArray(pool, random);
+
+    return {
+        questions: criteria.questionCount ? questions.slice(0, criteria.questionCount) : questions,
+        available: pool.length
+    };
+}
+
+/**
+ * Load the saved builder presets
+ * @returns {Object} - Map-like object presetName -> criteria
+ */
+function loadBuilderPresets() {
+    try {
+        const saved = localStorage.getItem(BUILDER_PRESETS_KEY);
+        return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+        console.warn('Unable to load builder presets:', error);
+        return {};
+    }
+}
+
+/**
+ * Save (or overwrite) a named builder preset
+ * @param {string} name - Preset name
+ * @param {Object} criteria - { areas, kLevels, sources, questionCount }
+ * @returns {string} - 'saved', 'full' or 'failed', as saveQuizState()
+ */
+function saveBuilderPreset(name, criteria) {
+    try {
+        const presets = loadBuilderPresets();
+        presets[name] = { ...criteria, name };
+        localStorage.setItem(BUILDER_PRESETS_KEY, JSON.stringify(presets));
+        return 'saved';
+    } catch (error) {
+        console.warn('Unable to save builder preset:', error);
+        return isStorageQuotaError(error) ? 'full' : 'failed';
+    }
+}
+
+/**
+ * Delete a named builder preset
+ * @param {string} name - Preset name
+ */
+function deleteBuilderPreset(name) {
+    try {
+        const presets = loadBuilderPresets();
+        delete presets[name];
+        localStorage.setItem(BUILDER_PRESETS_KEY, JSON.stringify(presets));
+    } catch (error) {
+        console.warn('Unable to delete builder preset:', error);
+    }
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BUILDER_PRESETS_KEY,
+        NO_SUB_AREA,
+        getQuestionSubArea,
+        matchesBuilderCriteria,
+        filterQuestionPool,
+        buildCustomQuiz,
+        loadBuilderPresets,
+        saveBuilderPreset,
+        deleteBuilderPreset
+    };
+}
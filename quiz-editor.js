@@ -0,0 +1,223 @@
+/**
+ * Quiz editor helpers for the ISTQB Quiz App
+ *
+ * The editor page works on a "draft" of one question at a time: a flat form
+ * model with one entry per option (text, explanation, correct flag). Drafts
+ * are converted back to the quiz JSON format keeping the option style of the
+ * file (object or array) and the field order of the bundled quizzes, so a
+ * saved file only differs where something was edited.
+ */
+
+// Field order of the quiz files, the same as the schema properties
+const QUESTION_FIELD_ORDER = Object.keys(QUIZ_SCHEMA.definitions.question.properties);
+
+/**
+ * Rebuild a question with its fields in the order of the quiz files
+ * Fields unknown to the schema are kept, after the known ones.
+ * @param {Object} question - Question object
+ * @returns {Object} - Same fields, canonical order
+ */
+function orderQuestionFields(question) {
+    const ordered = {};
+    QUESTION_FIELD_ORDER.forEach(field => {
+        if (field in question) {
+            ordered[field] = question[field];
+        }
+    });
+    Object.keys(question).forEach(field => {
+        if (!(field in ordered)) {
+            ordered[field] = question[field];
+        }
+    });
+    return ordered;
+}
+
+/**
+ * Find the explanation of an option, whatever the case of its key
+ * @param {Object} explanations - answer_option_text or no_answer_option_text object
+ * @param {string} key - Option key
+ * @returns {string|undefined} - Explanation text
+ */
+function findOptionExplanation(explanations, key) {
+    if (!explanations || typeof explanations !== 'object') {
+        return undefined;
+    }
+    const match = Object.keys(explanations).find(name => name.toLowerCase() === key.toLowerCase());
+    return match === undefined ? undefined : explanations[match];
+}
+
+/**
+ * Build an explanations object keeping the key order of the previous one
+ * @param {Array} entries - [key, text] pairs, in option order
+ * @param {Object|string|undefined} previous - Explanations of the original question
+ * @returns {Object} - Explanations, known keys first in their previous order, new keys after
+ */
+function buildExplanations(entries, previous) {
+    const previousKeys = previous && typeof previous === 'object' ? Object.keys(previous) : [];
+    const rank = key => {
+        const index = previousKeys.indexOf(key);
+        return index === -1 ? previousKeys.length : index;
+    };
+    return Object.fromEntries([...entries].sort((a, b) => rank(a[0]) - rank(b[0])));
+}
+
+/**
+ * Build the editor draft of a question
+ * @param {Object} question - Question object
+ * @returns {Object} - { question_text, question_image, learning_objective, k_level, ambiguous,
+ *                       options: [{ key, text, explanation, correct }], explanation }
+ *                     explanation is the single answer_option_text string, null when explanations are per option
+ */
+function questionToDraft(question) {
+    const options = Array.isArray(question.question_option) ?
+        question.question_option.map(option => ({ key: option.option, text: option.option_text })) :
+        Object.entries(question.question_option || {}).map(([key, text]) => ({ key, text }));
+    const correctAnswers = getCorrectAnswers(question).map(answer => answer.toLowerCase());
+    const generalExplanation = typeof question.answer_option_text === 'string' ? question.answer_option_text : null;
+
+    return {
+        question_text: question.question_text || '',
+        question_image: question.question_image || '',
+        learning_objective: question.learning_objective || '',
+        k_level: question.k_level || '',
+        ambiguous: question.ambiguous === true,
+        explanation: generalExplanation,
+        options: options.map(option => {
+            const correct = correctAnswers.includes(String(option.key).toLowerCase());
+            // With a single explanation string only the wrong options have their own text
+            const explanation = findOptionExplanation(correct && generalExplanation === null ?
+                question.answer_option_text : question.no_answer_option_text, option.key);
+            return {
+                key: option.key,
+                text: option.text || '',
+                explanation: typeof explanation === 'string' ? explanation : '',
+                correct
+            };
+        })
+    };
+}
+
+/**
+ * Convert an editor draft back to a question
+ * Fields the editor does not show (pdf, page, number, points, ...) come from the original.
+ * @param {Object} draft - Draft built by questionToDraft()
+ * @param {Object} original - Question the draft was built from
+ * @returns {Object} - Question object with the fields in canonical order
+ */
+function draftToQuestion(draft, original) {
+    const question = { ...original };
+    const correctOptions = draft.options.filter(option => option.correct);
+    const wrongOptions = draft.options.filter(option => !option.correct);
+
+    question.question_text = draft.question_text;
+    if (draft.question_image || 'question_image' in original) {
+        question.question_image = draft.question_image;
+    }
+
+    question.question_option = Array.isArray(original.question_option) ?
+        draft.options.map(option => ({ option: option.key, option_text: option.text })) :
+        Object.fromEntries(draft.options.map(option => [option.key, option.text]));
+    question.answer_option = correctOptions.map(option => option.key).join(',');
+
+    if (draft.explanation !== null) {
+        question.answer_option_text = draft.explanation;
+    } else if ('answer_option_text' in original || correctOptions.some(option => option.explanation)) {
+        question.answer_option_text = buildExplanations(
+            correctOptions.map(option => [option.key, option.explanation]),
+            original.answer_option_text
+        );
+    }
+    if ('no_answer_option_text' in original || wrongOptions.some(option => option.explanation)) {
+        question.no_answer_option_text = buildExplanations(
+            wrongOptions
+                .filter(option => draft.explanation === null || option.explanation)
+                .map(option => [option.key, option.explanation]),
+            original.no_answer_option_text
+        );
+    }
+
+    if (draft.ambiguous || 'ambiguous' in original) {
+        question.ambiguous = draft.ambiguous;
+    }
+    ['learning_objective', 'k_level'].forEach(field => {
+        if (draft[field].trim()) {
+            question[field] = draft[field].trim();
+        } else {
+            delete question[field];
+        }
+    });
+
+    return orderQuestionFields(question);
+}
+
+/**
+ * Get the key of an option added after the existing ones
+ * @param {Array} options - Draft options
+ * @returns {string} - Next letter, in the case used by the other keys ("a" for an empty list)
+ */
+function getNextOptionKey(options) {
+    if (options.length === 0) {
+        return 'a';
+    }
+    const lastKey = String(options[options.length - 1].key);
+    return String.fromCharCode(lastKey.charCodeAt(0) + 1);
+}
+
+/**
+ * Create a blank question shaped like the other questions of the quiz
+ * @param {Array} questions - Questions of the quiz being edited
+ * @returns {Object} - New question (not valid until its text and options are filled in)
+ */
+function createEmptyQuestion(questions) {
+    const model = questions[questions.length - 1] || {};
+    const keys = Array.isArray(model.question_option) ? ['A', 'B', 'C', 'D'] : ['a', 'b', 'c', 'd'];
+    const numbers = questions.map(question => parseInt(question.question_number, 10)).filter(Number.isFinite);
+    const nextNumber = numbers.length > 0 ? Math.max(...numbers) + 1 : questions.length + 1;
+
+    const question = {
+        question_number: typeof model.question_number === 'number' ? nextNumber : String(nextNumber),
+        question_text: '',
+        question_image: '',
+        question_option: Array.isArray(model.question_option) ?
+            keys.map(key => ({ option: key, option_text: '' })) :
+            Object.fromEntries(keys.map(key => [key, ''])),
+        answer_option: keys[0],
+        answer_option_text: typeof model.answer_option_text === 'string' ? '' : { [keys[0]]: '' },
+        no_answer_option_text: Object.fromEntries(keys.slice(1).map(key => [key, ''])),
+        ambiguous: false,
+        points: 1
+    };
+    ['question_pdf', 'answer_pdf'].forEach(field => {
+        if (field in model) {
+            question[field] = model[field];
+        }
+    });
+    return orderQuestionFields(question);
+}
+
+/**
+ * Serialize the questions in the layout of the quiz files
+ * @param {Array} questions - Questions of the quiz
+ * @param {boolean} finalNewline - Whether the file ends with a newline
+ * @returns {string} - JSON indented by 2 spaces, page lists such as [8, 12] kept on one line
+ */
+function serializeQuizFile(questions, finalNewline = true) {
+    const json = JSON.stringify(questions, null, 2)
+        .replace(/\[\s+(-?\d+(?:,\s+-?\d+)*)\s+\]/g, (match, numbers) => `[${numbers.split(/,\s+/).join(', ')}]`);
+    return finalNewline ? `${json}\n` : json;
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUESTION_FIELD_ORDER,
+        orderQuestionFields,
+        findOptionExplanation,
+        buildExplanations,
+        questionToDraft,
+        draftToQuestion,
+        getNextOptionKey,
+        createEmptyQuestion,
+        serializeQuizFile
+    };
+}
@@ -0,0 +1,705 @@
+/**
+ * Import adapters for common quiz formats
+ *
+ * Every importer converts the contents of a file into the app's question
+ * format (object options keyed by letter, `answer_option` and the
+ * `answer_option_text` object, with one key per correct answer so multi-answer
+ * questions are recognised by isMultiAnswerQuestion()). Importers are kept in
+ * the QUIZ_IMPORTERS registry: registerQuizImporter() adds a new format.
+ *
+ * convert(text) returns { questions, warnings }: questions that cannot be
+ * converted are skipped with a warning instead of failing the whole file.
+ */
+
+const QUIZ_IMPORTERS = [];
+
+const OPTION_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Add an importer to the registry
+ * @param {Object} importer - { id, name, extensions: ['.csv'], detect(text)?, convert(text) }
+ */
+function registerQuizImporter(importer) {
+    const index = QUIZ_IMPORTERS.findIndex(existing => existing.id === importer.id);
+    if (index >= 0) {
+        QUIZ_IMPORTERS[index] = importer;
+    } else {
+        QUIZ_IMPORTERS.push(importer);
+    }
+}
+
+/**
+ * Find the importer for a file, by extension first and then by content
+ * @param {string} filename - File name
+ * @param {string} text - File contents
+ * @returns {Object|null} - Importer or null when the format is unknown
+ */
+function findQuizImporter(filename, text) {
+    const extension = (filename.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+    const candidates = QUIZ_IMPORTERS.filter(importer => importer.extensions.includes(extension));
+
+    // Several formats share an extension (e.g. .txt for GIFT and Aiken): let the content decide
+    const detected = candidates.find(importer => !importer.detect || importer.detect(text));
+    if (detected) {
+        return detected;
+    }
+    return QUIZ_IMPORTERS.find(importer => importer.detect && importer.detect(text)) || null;
+}
+
+/**
+ * Convert a file with the matching importer
+ * @param {string} filename - File name
+ * @param {string} text - File contents
+ * @returns {Object} - { format: { id, name } | null, questions, warnings }
+ */
+function convertQuizFile(filename, text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const importer = findQuizImporter(filename, content);
+
+    if (!importer) {
+        return { format: null, questions: [], warnings: [t('import.unknownFormat')] };
+    }
+
+    const result = importer.convert(content);
+    return {
+        format: { id: importer.id, name: importer.name },
+        questions: result.questions,
+        warnings: result.warnings
+    };
+}
+
+/**
+ * Build a question in the app's format
+ * @param {Object} source - { number, text, options: [{ text, correct, feedback }], generalFeedback, extra }
+ * @returns {Object} - Question object
+ */
+function buildImportedQuestion(source) {
+    const questionOption = {};
+    const answerOptionText = {};
+    const noAnswerOptionText = {};
+    const correctKeys = [];
+
+    source.options.forEach((option, index) => {
+        const key = OPTION_LETTERS[index];
+        questionOption[key] = option.text;
+        if (option.correct) {
+            correctKeys.push(key);
+            answerOptionText[key] = option.feedback || source.generalFeedback || '';
+        } else if (option.feedback) {
+            noAnswerOptionText[key] = option.feedback;
+        }
+    });
+
+    const question = {
+        question_number: String(source.number),
+        question_text: source.text,
+        question_option: questionOption,
+        answer_option: correctKeys.join(','),
+        answer_option_text: answerOptionText
+    };
+    if (Object.keys(noAnswerOptionText).length > 0) {
+        question.no_answer_option_text = noAnswerOptionText;
+    }
+
+    return { ...question, ...(source.extra || {}) };
+}
+
+/**
+ * Check the options of a parsed question before building it
+ * @param {Object} source - Parsed question (see buildImportedQuestion)
+ * @returns {string|null} - Reason the question cannot be imported, or null
+ */
+function getImportProblem(source) {
+    if (!source.text) {
+        return t('import.problem.noText');
+    }
+    if (source.options.length < 2) {
+        return t('import.problem.fewOptions');
+    }
+    if (source.options.length > OPTION_LETTERS.length) {
+        return t('import.problem.tooManyOptions', { max: OPTION_LETTERS.length });
+    }
+    if (!source.options.some(option => option.correct)) {
+        return t('import.problem.noCorrect');
+    }
+    return null;
+}
+
+/**
+ * Convert HTML to plain text
+ * @param {string} html - HTML fragment
+ * @returns {string} - Text content
+ */
+function htmlToText(html) {
+    if (typeof DOMParser !== 'undefined') {
+        return (new DOMParser().parseFromString(html, 'text/html').body.textContent || '').trim();
+    }
+    return html.replace(/<[^>]*>/g, '').trim();
+}
+
+/* ---------- CSV ---------- */
+
+// Accepted column names (lowercase) for each field
+const CSV_COLUMNS = {
+    number: ['number', 'question_number', 'numero', 'n'],
+    text: ['question', 'question_text', 'domanda', 'testo'],
+    answer: ['answer', 'answer_option', 'correct', 'risposta', 'risposta corretta', 'risposte corrette'],
+    explanation: ['explanation', 'answer_option_text', 'feedback', 'spiegazione'],
+    learning_objective: ['learning_objective', 'obiettivo', 'lo'],
+    k_level: ['k_level', 'livello k', 'k'],
+    points: ['points', 'punti']
+};
+
+/**
+ * Parse CSV text (RFC 4180 quoting)
+ * @param {string} text - CSV contents
+ * @param {string} delimiter - Field separator
+ * @returns {string[][]} - Rows of fields
+ */
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Guess the CSV delimiter from the header line (Excel in Italian uses ";")
+ * @param {string} text - CSV contents
+ * @returns {string} - ",", ";" or tab
+ */
+function detectCsvDelimiter(text) {
+    const header = text.split(/\r?\n/)[0];
+    return [',', ';', '\t']
+        .map(delimiter => ({ delimiter, count: header.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Convert a CSV file with one question per row
+ * Options are the columns named A, B, C... (or option_a, opzione a...).
+ * @param {string} text - CSV contents
+ * @returns {Object} - { questions, warnings }
+ */
+function convertCsv(text) {
+    const warnings = [];
+    const questions = [];
+    const rows = parseCsv(text, detectCsvDelimiter(text));
+
+    if (rows.length < 2) {
+        return { questions, warnings: [t('import.csv.noRows')] };
+    }
+
+    const header = rows[0].map(name => name.trim().toLowerCase());
+    const columnOf = field => header.findIndex(name => CSV_COLUMNS[field].includes(name));
+    const optionColumns = header
+        .map((name, index) => ({ match: name.match(/^(?:option[_ ]?|opzione[_ ]?)?([a-z])$/), index }))
+        .filter(({ match }) => match && !Object.values(CSV_COLUMNS).some(names => names.includes(match[0])))
+        .map(({ match, index }) => ({ letter: match[1], index }));
+
+    if (columnOf('text') < 0 || optionColumns.length === 0 || columnOf('answer') < 0) {
+        return { questions, warnings: [t('import.csv.unknownHeader')] };
+    }
+
+    rows.slice(1).forEach((fields, rowIndex) => {
+        const line = rowIndex + 2;
+        const value = field => {
+            const index = columnOf(field);
+            return index >= 0 && fields[index] !== undefined ? fields[index].trim() : '';
+        };
+
+        const options = optionColumns
+            .map(({ letter, index }) => ({ letter, text: (fields[index] || '').trim() }))
+            .filter(option => option.text !== '');
+
+        // Answers as letters ("A", "a,c", "B;D") or as the exact text of an option
+        const answerValue = value('answer');
+        let answerLetters = answerValue.toLowerCase().split(/[\s,;/]+/).filter(Boolean);
+        if (!answerLetters.every(letter => /^[a-z]$/.test(letter))) {
+            const byText = options.find(option => option.text === answerValue);
+            answerLetters = byText ? [byText.letter] : [];
+        }
+        const unknown = answerLetters.filter(letter => !options.some(option => option.letter === letter));
+        if (unknown.length > 0) {
+            warnings.push(t('import.csv.unknownAnswer', { line, answers: unknown.join(', ') }));
+        }
+
+        const extra = {};
+        if (value('learning_objective')) {
+            extra.learning_objective = value('learning_objective');
+        }
+        if (value('k_level')) {
+            extra.k_level = value('k_level').toUpperCase();
+        }
+        if (value('points')) {
+            const points = Number(value('points').replace(',', '.'));
+            if (Number.isFinite(points) && points > 0) {
+                extra.points = points;
+            } else {
+                warnings.push(t('import.csv.invalidPoints', { line, points: value('points') }));
+            }
+        }
+
+        const source = {
+            number: value('number') || questions.length + 1,
+            text: value('text'),
+            options: options.map(option => ({ text: option.text, correct: answerLetters.includes(option.letter) })),
+            generalFeedback: value('explanation'),
+            extra
+        };
+        const problem = getImportProblem(source);
+        if (problem) {
+            warnings.push(t('import.csv.skipped', { line, problem }));
+            return;
+        }
+        questions.push(buildImportedQuestion(source));
+    });
+
+    return { questions, warnings };
+}
+
+/* ---------- GIFT ---------- */
+
+/**
+ * Remove GIFT escapes (\~ \= \# \{ \} \:) and text-format markers
+ * @param {string} text - Raw GIFT text
+ * @returns {string} - Plain text
+ */
+function unescapeGift(text) {
+    let value = text.trim();
+    const format = value.match(/^\[(html|moodle|markdown|plain)\]/i);
+    if (format) {
+        value = value.slice(format[0].length);
+    }
+    value = value.replace(/\\n/g, '\n').replace(/\\([~=#{}:])/g, '$1').trim();
+    return format && format[1].toLowerCase() === 'html' ? htmlToText(value) : value;
+}
+
+/**
+ * Find the first unescaped occurrence of a character
+ * @param {string} text - Text to search
+ * @param {string} char - Character to find
+ * @param {number} from - Start index
+ * @returns {number} - Index or -1
+ */
+function indexOfUnescaped(text, char, from = 0) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === char) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Split the answer block of a GIFT question into answers
+ * @param {string} block - Text between the braces
+ * @returns {Object} - { answers: [{ marker, weight, text, feedback }], generalFeedback }
+ */
+function parseGiftAnswers(block) {
+    let body = block;
+    let generalFeedback = '';
+
+    const generalIndex = body.indexOf('####');
+    if (generalIndex >= 0) {
+        generalFeedback = unescapeGift(body.slice(generalIndex + 4));
+        body = body.slice(0, generalIndex);
+    }
+
+    const answers = [];
+    let current = null;
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char === '\\') {
+            if (current) {
+                current.raw += char + (body[i + 1] || '');
+            }
+            i++;
+        } else if (char === '=' || char === '~') {
+            current = { marker: char, raw: '' };
+            answers.push(current);
+        } else if (current) {
+            current.raw += char;
+        }
+    }
+
+    return {
+        answers: answers.map(answer => {
+            let raw = answer.raw;
+            let weight = answer.marker === '=' ? 100 : 0;
+            const weightMatch = raw.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+            if (weightMatch) {
+                weight = parseFloat(weightMatch[1]);
+                raw = raw.slice(weightMatch[0].length);
+            }
+            const feedbackIndex = indexOfUnescaped(raw, '#');
+            return {
+                marker: answer.marker,
+                weight,
+                text: unescapeGift(feedbackIndex >= 0 ? raw.slice(0, feedbackIndex) : raw),
+                feedback: feedbackIndex >= 0 ? unescapeGift(raw.slice(feedbackIndex + 1)) : ''
+            };
+        }),
+        generalFeedback
+    };
+}
+
+/**
+ * Convert a Moodle GIFT file
+ * Supports multiple choice (also with partial-credit weights, imported as
+ * multi-answer) and true/false; other question types are skipped.
+ * @param {string} text - GIFT contents
+ * @returns {Object} - { questions, warnings }
+ */
+function convertGift(text) {
+    const warnings = [];
+    const questions = [];
+    let category = '';
+
+    const withoutComments = text.replace(/\r\n?/g, '\n')
+        .split('\n')
+        .filter(line => !/^\s*\/\//.test(line))
+        .join('\n');
+
+    withoutComments.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean).forEach(block => {
+        let body = block;
+        const categoryMatch = body.match(/^\$CATEGORY:\s*(.+)$/m);
+        if (categoryMatch) {
+            category = categoryMatch[1].split('/').pop().trim();
+            body = body.replace(categoryMatch[0], '').trim();
+            if (!body) {
+                return;
+            }
+        }
+
+        let title = '';
+        const titleMatch = body.match(/^::(.*?)::/s);
+        if (titleMatch) {
+            title = titleMatch[1].trim();
+            body = body.slice(titleMatch[0].length);
+        }
+        const label = title ? `GIFT "${title}"` : t('import.gift.question', { number: questions.length + 1 });
+
+        const open = indexOfUnescaped(body, '{');
+        const close = open >= 0 ? indexOfUnescaped(body, '}', open) : -1;
+        if (open < 0 || close < 0) {
+            warnings.push(t('import.gift.noAnswers', { label }));
+            return;
+        }
+
+        const before = body.slice(0, open).trim();
+        const after = body.slice(close + 1).trim();
+        const questionText = unescapeGift(after ? `${before} _____ ${after}` : before);
+        const answerBlock = body.slice(open + 1, close).trim();
+
+        let options;
+        let generalFeedback = '';
+        const trueFalse = answerBlock.match(/^(T|TRUE|F|FALSE)\b(.*)$/is);
+        if (trueFalse) {
+            // {T#feedback for a wrong answer#feedback for a right answer}
+            const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+            const [wrongFeedback = '', rightFeedback = ''] = trueFalse[2].split('#').slice(1).map(unescapeGift);
+            options = [
+                { text: t('import.true'), correct: isTrue, feedback: isTrue ? rightFeedback : wrongFeedback },
+                { text: t('import.false'), correct: !isTrue, feedback: isTrue ? wrongFeedback : rightFeedback }
+            ];
+        } else if (answerBlock.startsWith('#')) {
+            warnings.push(t('import.gift.numeric', { label }));
+            return;
+        } else {
+            const parsed = parseGiftAnswers(answerBlock);
+            generalFeedback = parsed.generalFeedback;
+            if (parsed.answers.some(answer => answer.text.includes('->'))) {
+                warnings.push(t('import.gift.matching', { label }));
+                return;
+            }
+            if (!parsed.answers.some(answer => answer.marker === '~')) {
+                warnings.push(t('import.gift.shortAnswer', { label }));
+                return;
+            }
+            options = parsed.answers.map(answer => ({
+                text: answer.text,
+                correct: answer.weight > 0,
+                feedback: answer.feedback
+            }));
+            if (parsed.answers.some(answer => answer.weight > 0 && answer.weight < 100)) {
+                warnings.push(t('import.gift.partialWeights', { label }));
+            }
+        }
+
+        const source = {
+            number: questions.length + 1,
+            text: questionText,
+            options,
+            generalFeedback,
+            extra: category ? { learning_objective: category } : {}
+        };
+        const problem = getImportProblem(source);
+        if (problem) {
+            warnings.push(t('import.skipped', { label, problem }));
+            return;
+        }
+        questions.push(buildImportedQuestion(source));
+    });
+
+    return { questions, warnings };
+}
+
+/* ---------- Moodle XML ---------- */
+
+/**
+ * Read the <text> child of an element, converting HTML when needed
+ * @param {Element|null} element - Element such as <questiontext> or <feedback>
+ * @returns {string} - Plain text
+ */
+function readMoodleText(element) {
+    if (!element) {
+        return '';
+    }
+    const textEl = [...element.children].find(child => child.tagName === 'text');
+    const value = textEl ? textEl.textContent : '';
+    const format = element.getAttribute('format');
+    return format === 'html' || format === 'moodle_auto_format' ? htmlToText(value) : value.trim();
+}
+
+/**
+ * Convert a Moodle XML export
+ * Supports multichoice and truefalse questions; other types are skipped.
+ * @param {string} text - XML contents
+ * @returns {Object} - { questions, warnings }
+ */
+function convertMoodleXml(text) {
+    const warnings = [];
+    const questions = [];
+
+    if (typeof DOMParser === 'undefined') {
+        return { questions, warnings: [t('import.moodle.noParser')] };
+    }
+
+    const documentEl = new DOMParser().parseFromString(text, 'application/xml');
+    if (documentEl.getElementsByTagName('parsererror').length > 0) {
+        return { questions, warnings: [t('import.moodle.invalid')] };
+    }
+
+    let category = '';
+    [...documentEl.getElementsByTagName('question')].forEach(questionEl => {
+        const type = questionEl.getAttribute('type');
+        const child = name => [...questionEl.children].find(element => element.tagName === name) || null;
+
+        if (type === 'category') {
+            const path = readMoodleText(child('category'));
+            category = path.split('/').pop().trim();
+            return;
+        }
+
+        const name = readMoodleText(child('name'));
+        const label = name ? `Moodle XML "${name}"` : t('import.moodle.question', { number: questions.length + 1 });
+        if (type !== 'multichoice' && type !== 'truefalse') {
+            warnings.push(t('import.moodle.unsupportedType', { label, type }));
+            return;
+        }
+
+        const questionTextEl = child('questiontext');
+        if (questionTextEl && questionTextEl.getElementsByTagName('file').length > 0) {
+            warnings.push(t('import.moodle.images', { label }));
+        }
+
+        const answers = [...questionEl.children].filter(element => element.tagName === 'answer');
+        const options = answers.map(answerEl => {
+            let optionText = readMoodleText(answerEl);
+            if (type === 'truefalse') {
+                optionText = optionText.toLowerCase() === 'true' ? t('import.true') : t('import.false');
+            }
+            return {
+                text: optionText,
+                correct: parseFloat(answerEl.getAttribute('fraction') || '0') > 0,
+                feedback: readMoodleText([...answerEl.children].find(element => element.tagName === 'feedback') || null)
+            };
+        });
+
+        const single = child('single');
+        if (single && single.textContent.trim() === 'true' && options.filter(option => option.correct).length > 1) {
+            warnings.push(t('import.moodle.singleAsMulti', { label }));
+        }
+
+        const source = {
+            number: questions.length + 1,
+            text: readMoodleText(questionTextEl),
+            options,
+            generalFeedback: readMoodleText(child('generalfeedback')),
+            extra: category ? { learning_objective: category } : {}
+        };
+        const problem = getImportProblem(source);
+        if (problem) {
+            warnings.push(t('import.skipped', { label, problem }));
+            return;
+        }
+        questions.push(buildImportedQuestion(source));
+    });
+
+    return { questions, warnings };
+}
+
+/* ---------- Aiken ---------- */
+
+/**
+ * Convert an Aiken file (question, "A. option" lines, "ANSWER: X")
+ * "ANSWER: A, C" is accepted as an extension for multi-answer questions.
+ * @param {string} text - Aiken contents
+ * @returns {Object} - { questions, warnings }
+ */
+function convertAiken(text) {
+    const warnings = [];
+    const questions = [];
+    let current = { textLines: [], options: [] };
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach((rawLine, lineIndex) => {
+        const line = rawLine.trim();
+        if (!line) {
+            return;
+        }
+
+        const optionMatch = line.match(/^([A-Za-z])[.)]\s+(.*)$/);
+        const answerMatch = line.match(/^ANSWER:\s*(.+)$/i);
+
+        if (answerMatch) {
+            const letters = answerMatch[1].toUpperCase().split(/[\s,;]+/).filter(Boolean);
+            const unknown = letters.filter(letter => !current.options.some(option => option.letter === letter));
+            if (unknown.length > 0) {
+                warnings.push(t('import.aiken.unknownAnswer', { line: lineIndex + 1, answers: unknown.join(', ') }));
+            }
+
+            const source = {
+                number: questions.length + 1,
+                text: current.textLines.join('\n'),
+                options: current.options.map(option => ({ text: option.text, correct: letters.includes(option.letter) }))
+            };
+            const problem = getImportProblem(source);
+            if (problem) {
+                warnings.push(t('import.aiken.skipped', { line: lineIndex + 1, problem }));
+            } else {
+                questions.push(buildImportedQuestion(source));
+            }
+            current = { textLines: [], options: [] };
+        } else if (optionMatch && current.textLines.length > 0) {
+            current.options.push({ letter: optionMatch[1].toUpperCase(), text: optionMatch[2].trim() });
+        } else if (current.options.length > 0) {
+            // Continuation of the previous option
+            current.options[current.options.length - 1].text += ` ${line}`;
+        } else {
+            current.textLines.push(line);
+        }
+    });
+
+    if (current.textLines.length > 0 || current.options.length > 0) {
+        warnings.push(t('import.aiken.noAnswerLine'));
+    }
+
+    return { questions, warnings };
+}
+
+/* ---------- JSON (the app's own format) ---------- */
+
+/**
+ * Parse a file already in the app's format
+ * @param {string} text - JSON contents
+ * @returns {Object} - { questions, warnings }
+ */
+function convertJson(text) {
+    const parseResult = safeJsonParse(text);
+    if (!parseResult.success) {
+        return { questions: [], warnings: [t('import.jsonError', { error: parseResult.error })] };
+    }
+    return { questions: parseResult.data, warnings: [] };
+}
+
+registerQuizImporter({
+    id: 'json',
+    name: 'JSON',
+    extensions: ['.json'],
+    convert: convertJson
+});
+
+registerQuizImporter({
+    id: 'csv',
+    name: 'CSV',
+    extensions: ['.csv', '.tsv'],
+    convert: convertCsv
+});
+
+registerQuizImporter({
+    id: 'moodle-xml',
+    name: 'Moodle XML',
+    extensions: ['.xml'],
+    detect: text => /<quiz[\s>]/.test(text),
+    convert: convertMoodleXml
+});
+
+registerQuizImporter({
+    id: 'aiken',
+    name: 'Aiken',
+    extensions: ['.txt'],
+    detect: text => /^\s*ANSWER:\s*[A-Za-z]/m.test(text) && !/\{[^}]*[=~][^}]*\}/.test(text),
+    convert: convertAiken
+});
+
+registerQuizImporter({
+    id: 'gift',
+    name: 'Moodle GIFT',
+    extensions: ['.gift', '.txt'],
+    detect: text => /\{[^}]*([=~]|\bT(RUE)?\b|\bF(ALSE)?\b)[^}]*\}/i.test(text),
+    convert: convertGift
+});
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUIZ_IMPORTERS,
+        registerQuizImporter,
+        findQuizImporter,
+        convertQuizFile,
+        buildImportedQuestion,
+        parseCsv,
+        convertCsv,
+        convertGift,
+        convertMoodleXml,
+        convertAiken
+    };
+}
@@ -0,0 +1,106 @@
+/**
+ * Import of local quiz files for the ISTQB Quiz App
+ *
+ * Files dropped on the landing page (or chosen with the file picker) are
+ * converted to the app's format when needed (see quiz-formats.js), validated
+ * like the bundled ones and stored in the `importedQuizzes` IndexedDB store,
+ * so they are listed again on the next visit without a web server.
+ */
+
+const IMPORTED_QUIZZES_STORE = 'importedQuizzes';
+
+// Prefix of the quiz identifier of imported quizzes, keeps them apart from the bundled ones
+const IMPORTED_QUIZ_PREFIX = 'import:';
+
+/**
+ * Read a File (or Blob) as text
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<string>} - File contents
+ */
+function readFileAsText(file) {
+    if (typeof file.text === 'function') {
+        return file.text();
+    }
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Convert and validate a local quiz file
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<Object>} - { record, format, conversionWarnings, errors, warnings },
+ *                              record is null when nothing can be imported
+ */
+async function parseQuizFile(file) {
+    const text = await readFileAsText(file);
+    const conversion = convertQuizFile(file.name, text);
+    const conversionWarnings = conversion.warnings.map(warning => `${file.name}: ${warning}`);
+    const result = { record: null, format: conversion.format, conversionWarnings, errors: [], warnings: [] };
+
+    if (!conversion.format || conversion.questions.length === 0) {
+        result.errors = conversionWarnings.length > 0 ? conversionWarnings : [`${file.name}: ${t('import.noQuestions')}`];
+        result.conversionWarnings = [];
+        return result;
+    }
+
+    const validation = validateQuizData(conversion.questions, file.name);
+    result.errors = validation.errors;
+    result.warnings = validation.warnings;
+    if (!validation.isValid) {
+        return result;
+    }
+
+    result.record = {
+        name: IMPORTED_QUIZ_PREFIX + getQuizTitle(file.name),
+        file: file.name,
+        title: getQuizTitle(file.name),
+        format: conversion.format.id,
+        importedAt: new Date().toISOString(),
+        questions: validation.validQuestions
+    };
+    return result;
+}
+
+/**
+ * Store an imported quiz, replacing a previous import of the same file
+ * @param {Object} record - Record built by parseQuizFile()
+ * @returns {Promise<string>} - Quiz identifier
+ */
+function saveImportedQuiz(record) {
+    return dbPut(IMPORTED_QUIZZES_STORE, record);
+}
+
+/**
+ * Load every imported quiz
+ * @returns {Promise<Object[]>} - Imported quiz records
+ */
+function loadImportedQuizzes() {
+    return dbGetAll(IMPORTED_QUIZZES_STORE);
+}
+
+/**
+ * Remove an imported quiz
+ * @param {string} name - Quiz identifier
+ * @returns {Promise<void>}
+ */
+function deleteImportedQuiz(name) {
+    return dbDelete(IMPORTED_QUIZZES_STORE, name);
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        IMPORTED_QUIZZES_STORE,
+        IMPORTED_QUIZ_PREFIX,
+        readFileAsText,
+        parseQuizFile,
+        saveImportedQuiz,
+        loadImportedQuizzes,
+        deleteImportedQuiz
+    };
+}
@@ -0,0 +1,639 @@
+/**
+ * JSON Schema and validator for quiz files
+ *
+ * QUIZ_SCHEMA is the formal description of a quiz file (an array of questions,
+ * with options either as an array of { option, option_text } or as an object
+ * keyed by letter). The same module validates quiz data in the browser
+ * (validateQuizData in utils.js) and in the validate-quizzes.js CLI, and adds
+ * the cross-field checks a schema cannot express, such as correct answers that
+ * must be among the options. Every issue carries the JSON path of the value,
+ * a code with its parameters and the Italian message; formatValidationIssue()
+ * prints it in English too (the CLI runs without i18n.js, so the validation
+ * messages live here).
+ */
+
+const QUIZ_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'quiz.schema.json',
+    title: 'Quiz ISTQB',
+    description: 'Array di domande di un file in json_Q_A/',
+    type: 'array',
+    minItems: 1,
+    items: { $ref: '#/definitions/question' },
+    definitions: {
+        page: {
+            oneOf: [
+                { type: 'integer', minimum: 0 },
+                { type: 'array', items: { type: 'integer', minimum: 0 } }
+            ]
+        },
+        optionArray: {
+            description: 'Formato array: [{ "option": "A", "option_text": "..." }]',
+            type: 'array',
+            minItems: 2,
+            items: {
+                type: 'object',
+                required: ['option', 'option_text'],
+                properties: {
+                    option: { type: 'string', pattern: '^[A-Z]$' },
+                    option_text: { type: 'string', minLength: 1 }
+                },
+                additionalProperties: false
+            }
+        },
+        optionObject: {
+            description: 'Formato oggetto: { "a": "...", "b": "..." }',
+            type: 'object',
+            minProperties: 2,
+            propertyNames: { pattern: '^[a-z]$' },
+            additionalProperties: { type: 'string', minLength: 1 }
+        },
+        translatedOptions: {
+            description: 'Testo tradotto delle opzioni, nello stesso formato di question_option (anche solo alcune)',
+            oneOf: [
+                {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['option', 'option_text'],
+                        properties: {
+                            option: { type: 'string', pattern: '^[A-Z]$' },
+                            option_text: { type: 'string', minLength: 1 }
+                        },
+                        additionalProperties: false
+                    }
+                },
+                {
+                    type: 'object',
+                    propertyNames: { pattern: '^[a-z]$' },
+                    additionalProperties: { type: 'string', minLength: 1 }
+                }
+            ]
+        },
+        translation: {
+            description: "Testi della domanda in un'altra lingua: quelli mancanti restano nella lingua originale",
+            type: 'object',
+            properties: {
+                question_text: { type: 'string', minLength: 1 },
+                question_option: { $ref: '#/definitions/translatedOptions' },
+                answer_option_text: { $ref: '#/definitions/explanations' },
+                no_answer_option_text: { $ref: '#/definitions/explanations' }
+            },
+            additionalProperties: false
+        },
+        explanations: {
+            description: 'Spiegazione unica oppure una spiegazione per opzione',
+            oneOf: [
+                { type: 'string' },
+                {
+                    type: 'object',
+                    propertyNames: { pattern: '^[A-Za-z]$' },
+                    additionalProperties: { type: 'string' }
+                }
+            ]
+        },
+        question: {
+            type: 'object',
+            required: ['question_text', 'question_option', 'answer_option'],
+            properties: {
+                question_pdf: { type: 'string' },
+                question_page: { $ref: '#/definitions/page' },
+                question_number: { type: ['string', 'integer'] },
+                question_text: { type: 'string', minLength: 1 },
+                question_image: { type: 'string' },
+                question_option: {
+                    oneOf: [
+                        { $ref: '#/definitions/optionArray' },
+                        { $ref: '#/definitions/optionObject' }
+                    ]
+                },
+                answer_pdf: { type: 'string' },
+                answer_page: { $ref: '#/definitions/page' },
+                answer_option: {
+                    description: 'Lettera della risposta corretta, o più lettere separate da virgola',
+                    type: 'string',
+                    pattern: '^[A-Za-z](\\s*,\\s*[A-Za-z])*$'
+                },
+                select_count: {
+                    description: 'Numero di opzioni da selezionare, se diverso dal numero di risposte corrette',
+                    type: 'integer',
+                    minimum: 1
+                },
+                answer_option_text: { $ref: '#/definitions/explanations' },
+                no_answer_option_text: { $ref: '#/definitions/explanations' },
+                ambiguous: { type: 'boolean' },
+                accepted_answers: {
+                    description: 'Altre risposte accettate per una domanda ambigua, lettere separate da virgola',
+                    type: 'string',
+                    pattern: '^[A-Za-z](\\s*,\\s*[A-Za-z])*$'
+                },
+                learning_objective: { type: 'string', minLength: 1 },
+                k_level: { type: 'string', minLength: 1 },
+                points: { type: 'number', exclusiveMinimum: 0 },
+                translations: {
+                    description: 'Traduzioni della domanda per codice lingua (es. "en")',
+                    type: 'object',
+                    propertyNames: { pattern: '^[a-z]{2}$' },
+                    additionalProperties: { $ref: '#/definitions/translation' }
+                }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+// Names of the JSON types in the messages, by language
+const SCHEMA_TYPE_NAMES = {
+    it: {
+        string: 'stringa',
+        integer: 'intero',
+        number: 'numero',
+        boolean: 'booleano',
+        array: 'array',
+        object: 'oggetto',
+        null: 'null'
+    },
+    en: {
+        string: 'string',
+        integer: 'integer',
+        number: 'number',
+        boolean: 'boolean',
+        array: 'array',
+        object: 'object',
+        null: 'null'
+    }
+};
+
+/**
+ * Name a list of JSON types in a message
+ * @param {string[]} types - JSON types
+ * @param {Object} names - SCHEMA_TYPE_NAMES of the language
+ * @param {string} separator - e.g. " o "
+ * @returns {string} - e.g. "stringa o intero"
+ */
+function typeList(types, names, separator) {
+    return types.map(type => names[type]).join(separator);
+}
+
+// Validation messages by language and issue code; they receive the issue params
+const VALIDATION_MESSAGES = {
+    it: {
+        'one-of': ({ expected, found }) => `formato non valido: atteso ${expected.map(types => typeList(types, SCHEMA_TYPE_NAMES.it, '/')).join(' o ')}, trovato ${SCHEMA_TYPE_NAMES.it[found]}`,
+        'type': ({ expected, found }) => `deve essere ${typeList(expected, SCHEMA_TYPE_NAMES.it, ' o ')}, trovato ${SCHEMA_TYPE_NAMES.it[found]}`,
+        'enum': ({ value, allowed }) => `valore non ammesso ${JSON.stringify(value)} (ammessi: ${allowed.map(v => JSON.stringify(v)).join(', ')})`,
+        'empty': () => 'non può essere vuoto',
+        'pattern': ({ value, pattern }) => `valore ${JSON.stringify(value)} non nel formato previsto (${pattern})`,
+        'minimum': ({ minimum }) => `deve essere maggiore o uguale a ${minimum}`,
+        'exclusive-minimum': ({ minimum }) => `deve essere maggiore di ${minimum}`,
+        'min-items': ({ count }) => `deve contenere almeno ${count} elementi`,
+        'required': ({ key }) => `manca il campo obbligatorio "${key}"`,
+        'property-name': ({ pattern }) => `chiave non valida (${pattern})`,
+        'unknown-field': ({ key }) => `campo sconosciuto "${key}"`,
+        'duplicate-options': ({ options }) => `opzioni duplicate: ${options.join(', ')}`,
+        'unknown-answer': ({ answers, options }) => `risposta "${answers.join(', ')}" non presente tra le opzioni (${options.join(', ')})`,
+        'unknown-explained-answer': ({ key, options }) => `risposta corretta "${key}" non presente tra le opzioni (${options.join(', ')})`,
+        'explained-answers-mismatch': ({ explained, answers }) => `le risposte spiegate (${explained.join(', ')}) non corrispondono ad answer_option (${answers.join(', ')})`,
+        'missing-explanations': () => 'più risposte corrette richiedono answer_option_text con una spiegazione per ciascuna',
+        'select-count-over-options': ({ count, options }) => `select_count è ${count} ma le opzioni sono solo ${options}`,
+        'select-count-under-answers': ({ count, answers }) => `select_count è ${count} ma le risposte corrette sono ${answers}: il punteggio pieno non è raggiungibile`,
+        'select-count-over-answers': ({ count, answers }) => `select_count è ${count} ma le risposte corrette sono solo ${answers}`,
+        'unknown-option': ({ key, options }) => `opzione "${key}" non presente tra le opzioni (${options.join(', ')})`,
+        'option-is-answer': ({ key }) => `l'opzione "${key}" è indicata come risposta corretta`,
+        'translation-type': ({ expected, found }) => `la traduzione deve essere ${SCHEMA_TYPE_NAMES.it[expected]} come il testo originale, trovato ${SCHEMA_TYPE_NAMES.it[found]}`,
+        'translation-without-original': ({ field }) => `la domanda non ha ${field} da tradurre`,
+        'translation-unknown-key': ({ key, keys }) => `la spiegazione "${key}" non è nel testo originale (${keys.join(', ')})`,
+        'accepted-not-ambiguous': () => 'le risposte accettate sono usate solo per le domande con ambiguous: true',
+        'missing-objective': () => 'manca learning_objective: la domanda non compare nelle statistiche per obiettivo',
+        'objective-format': ({ objective }) => `"${objective}" non è nel formato FL-x.y.z`,
+        'not-array': () => 'il file deve contenere un array di domande',
+        'empty-array': () => "l'array delle domande è vuoto"
+    },
+    en: {
+        'one-of': ({ expected, found }) => `invalid format: expected ${expected.map(types => typeList(types, SCHEMA_TYPE_NAMES.en, '/')).join(' or ')}, found ${SCHEMA_TYPE_NAMES.en[found]}`,
+        'type': ({ expected, found }) => `must be ${typeList(expected, SCHEMA_TYPE_NAMES.en, ' or ')}, found ${SCHEMA_TYPE_NAMES.en[found]}`,
+        'enum': ({ value, allowed }) => `value ${JSON.stringify(value)} not allowed (allowed: ${allowed.map(v => JSON.stringify(v)).join(', ')})`,
+        'empty': () => 'must not be empty',
+        'pattern': ({ value, pattern }) => `value ${JSON.stringify(value)} not in the expected format (${pattern})`,
+        'minimum': ({ minimum }) => `must be greater than or equal to ${minimum}`,
+        'exclusive-minimum': ({ minimum }) => `must be greater than ${minimum}`,
+        'min-items': ({ count }) => `must contain at least ${count} items`,
+        'required': ({ key }) => `missing required field "${key}"`,
+        'property-name': ({ pattern }) => `invalid key (${pattern})`,
+        'unknown-field': ({ key }) => `unknown field "${key}"`,
+        'duplicate-options': ({ options }) => `duplicate options: ${options.join(', ')}`,
+        'unknown-answer': ({ answers, options }) => `answer "${answers.join(', ')}" is not among the options (${options.join(', ')})`,
+        'unknown-explained-answer': ({ key, options }) => `correct answer "${key}" is not among the options (${options.join(', ')})`,
+        'explained-answers-mismatch': ({ explained, answers }) => `the explained answers (${explained.join(', ')}) do not match answer_option (${answers.join(', ')})`,
+        'missing-explanations': () => 'more than one correct answer requires answer_option_text with an explanation for each',
+        'select-count-over-options': ({ count, options }) => `select_count is ${count} but there are only ${options} options`,
+        'select-count-under-answers': ({ count, answers }) => `select_count is ${count} but there are ${answers} correct answers: full marks cannot be reached`,
+        'select-count-over-answers': ({ count, answers }) => `select_count is ${count} but there are only ${answers} correct answers`,
+        'unknown-option': ({ key, options }) => `option "${key}" is not among the options (${options.join(', ')})`,
+        'option-is-answer': ({ key }) => `option "${key}" is marked as a correct answer`,
+        'translation-type': ({ expected, found }) => `the translation must be ${SCHEMA_TYPE_NAMES.en[expected]} like the original text, found ${SCHEMA_TYPE_NAMES.en[found]}`,
+        'translation-without-original': ({ field }) => `the question has no ${field} to translate`,
+        'translation-unknown-key': ({ key, keys }) => `explanation "${key}" is not in the original text (${keys.join(', ')})`,
+        'accepted-not-ambiguous': () => 'the accepted answers are only used for questions with ambiguous: true',
+        'missing-objective': () => 'missing learning_objective: the question is left out of the statistics by objective',
+        'objective-format': ({ objective }) => `"${objective}" is not in the FL-x.y.z format`,
+        'not-array': () => 'the file must contain an array of questions',
+        'empty-array': () => 'the array of questions is empty'
+    }
+};
+
+/**
+ * Create a validation issue
+ * @param {string} path - JSON path of the value
+ * @param {string} code - Issue code, key of VALIDATION_MESSAGES
+ * @param {Object} params - Parameters of the message
+ * @param {string} severity - 'error' or 'warning'
+ * @returns {Object} - { path, code, params, message, severity } with the Italian message
+ */
+function createIssue(path, code, params = {}, severity = 'error') {
+    return { path, code, params, message: VALIDATION_MESSAGES.it[code](params), severity };
+}
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getSchemaType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * Resolve a local $ref ("#/definitions/...") to its target sub-schema
+ * @param {Object} schema - Schema that may contain $ref
+ * @param {Object} root - Root schema
+ * @returns {Object} - Referenced schema, or the schema itself
+ */
+function resolveSchemaRef(schema, root) {
+    if (!schema.$ref) {
+        return schema;
+    }
+    return schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Append a property or index to a JSON path
+ * @param {string} path - Parent path (e.g. "$[3]")
+ * @param {string|number} key - Property name or array index
+ * @returns {string} - Child path (e.g. "$[3].question_option")
+ */
+function joinJsonPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validate a value against a (subset of) JSON Schema draft-07
+ * Supported keywords: $ref, type, enum, pattern, minLength, minimum, exclusiveMinimum,
+ * minItems, items, required, properties, additionalProperties, propertyNames,
+ * minProperties, oneOf. Unknown properties are reported as warnings.
+ * @param {any} value - Value to validate
+ * @param {Object} schema - Schema (or sub-schema)
+ * @param {string} path - JSON path of the value
+ * @param {Object} root - Root schema used to resolve $ref
+ * @returns {Array} - Issues [{ path, code, params, message, severity }]
+ */
+function validateAgainstSchema(value, schema, path = '$', root = QUIZ_SCHEMA) {
+    if (schema.$ref) {
+        return validateAgainstSchema(value, resolveSchemaRef(schema, root), path, root);
+    }
+
+    const issues = [];
+    const error = (code, params) => issues.push(createIssue(path, code, params));
+    const type = getSchemaType(value);
+
+    if (schema.oneOf) {
+        const results = schema.oneOf.map(branch => validateAgainstSchema(value, branch, path, root));
+        const matching = results.filter(branchIssues => !branchIssues.some(issue => issue.severity === 'error'));
+        if (matching.length > 0) {
+            return matching[0];
+        }
+        // Report the errors of the branch with the same type as the value, if there is exactly one
+        const branchTypes = schema.oneOf.map(branch => [].concat(resolveSchemaRef(branch, root).type || []));
+        const sameType = branchTypes
+            .map((types, index) => ({ types, index }))
+            .filter(({ types }) => types.some(t => t === type || (t === 'number' && type === 'integer')));
+        if (sameType.length === 1) {
+            return results[sameType[0].index];
+        }
+        error('one-of', { expected: branchTypes, found: type });
+        return issues;
+    }
+
+    if (schema.type) {
+        const allowed = [].concat(schema.type);
+        const typeMatches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+        if (!typeMatches) {
+            error('type', { expected: allowed, found: type });
+            return issues;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        error('enum', { value, allowed: schema.enum });
+    }
+
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            error('empty');
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            error('pattern', { value, pattern: schema.pattern });
+        }
+    }
+
+    if (type === 'integer' || type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            error('minimum', { minimum: schema.minimum });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            error('exclusive-minimum', { minimum: schema.exclusiveMinimum });
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            error('min-items', { count: schema.minItems });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                issues.push(...validateAgainstSchema(item, schema.items, joinJsonPath(path, index), root));
+            });
+        }
+    }
+
+    if (type === 'object') {
+        const keys = Object.keys(value);
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                error('required', { key });
+            }
+        });
+
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            error('min-items', { count: schema.minProperties });
+        }
+
+        keys.forEach(key => {
+            const childPath = joinJsonPath(path, key);
+            if (schema.propertyNames && schema.propertyNames.pattern &&
+                !new RegExp(schema.propertyNames.pattern).test(key)) {
+                issues.push(createIssue(childPath, 'property-name', { pattern: schema.propertyNames.pattern }));
+            }
+            if (properties[key]) {
+                issues.push(...validateAgainstSchema(value[key], properties[key], childPath, root));
+            } else if (schema.additionalProperties === false) {
+                issues.push(createIssue(childPath, 'unknown-field', { key }, 'warning'));
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                issues.push(...validateAgainstSchema(value[key], schema.additionalProperties, childPath, root));
+            }
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Cross-field checks that JSON Schema cannot express
+ * @param {Object} question - Question object (already an object)
+ * @param {string} path - JSON path of the question
+ * @returns {Array} - Issues [{ path, code, params, message, severity }]
+ */
+function checkQuestionConsistency(question, path) {
+    const issues = [];
+    const add = (key, code, params, severity = 'error') => {
+        issues.push(createIssue(key ? joinJsonPath(path, key) : path, code, params, severity));
+    };
+
+    // Option letters, compared case-insensitively
+    let optionKeys = [];
+    if (Array.isArray(question.question_option)) {
+        optionKeys = question.question_option
+            .filter(option => option && typeof option.option === 'string')
+            .map(option => option.option.toLowerCase());
+        const duplicates = optionKeys.filter((key, index) => optionKeys.indexOf(key) !== index);
+        if (duplicates.length > 0) {
+            add('question_option', 'duplicate-options', { options: [...new Set(duplicates)] });
+        }
+    } else if (question.question_option && typeof question.question_option === 'object') {
+        optionKeys = Object.keys(question.question_option).map(key => key.toLowerCase());
+    }
+    const listOptions = () => [...new Set(optionKeys)];
+
+    let answerKeys = [];
+    if (typeof question.answer_option === 'string') {
+        answerKeys = question.answer_option.split(',').map(key => key.trim().toLowerCase()).filter(Boolean);
+        const unknown = answerKeys.filter(key => !optionKeys.includes(key));
+        if (optionKeys.length > 0 && unknown.length > 0) {
+            add('answer_option', 'unknown-answer', { answers: unknown, options: listOptions() });
+        }
+    }
+
+    const answerTexts = question.answer_option_text;
+    if (answerTexts && typeof answerTexts === 'object' && !Array.isArray(answerTexts)) {
+        const explainedKeys = Object.keys(answerTexts).map(key => key.toLowerCase());
+        Object.keys(answerTexts).forEach(key => {
+            if (optionKeys.length > 0 && !optionKeys.includes(key.toLowerCase())) {
+                issues.push(createIssue(
+                    joinJsonPath(joinJsonPath(path, 'answer_option_text'), key),
+                    'unknown-explained-answer',
+                    { key, options: listOptions() }
+                ));
+            }
+        });
+        // Multi-answer questions list every correct key in both fields
+        const sameAnswers = explainedKeys.length === answerKeys.length &&
+            explainedKeys.every(key => answerKeys.includes(key));
+        if (answerKeys.length > 0 && !sameAnswers) {
+            add('answer_option_text', 'explained-answers-mismatch', { explained: explainedKeys, answers: answerKeys });
+        }
+    } else if (answerKeys.length > 1) {
+        add('answer_option', 'missing-explanations');
+    }
+
+    if (Number.isInteger(question.select_count)) {
+        if (optionKeys.length > 0 && question.select_count > optionKeys.length) {
+            add('select_count', 'select-count-over-options', { count: question.select_count, options: optionKeys.length });
+        } else if (answerKeys.length > 0 && question.select_count < answerKeys.length) {
+            add('select_count', 'select-count-under-answers', { count: question.select_count, answers: answerKeys.length });
+        } else if (answerKeys.length > 0 && question.select_count > answerKeys.length) {
+            add('select_count', 'select-count-over-answers', { count: question.select_count, answers: answerKeys.length }, 'warning');
+        }
+    }
+
+    const wrongTexts = question.no_answer_option_text;
+    if (wrongTexts && typeof wrongTexts === 'object' && !Array.isArray(wrongTexts)) {
+        Object.keys(wrongTexts).forEach(key => {
+            const keyPath = joinJsonPath(joinJsonPath(path, 'no_answer_option_text'), key);
+            if (optionKeys.length > 0 && !optionKeys.includes(key.toLowerCase())) {
+                issues.push(createIssue(keyPath, 'unknown-option', { key, options: listOptions() }));
+            } else if (answerKeys.includes(key.toLowerCase())) {
+                issues.push(createIssue(keyPath, 'option-is-answer', { key }, 'warning'));
+            }
+        });
+    }
+
+    if (typeof question.accepted_answers === 'string') {
+        const unknown = question.accepted_answers.split(',')
+            .map(key => key.trim().toLowerCase())
+            .filter(key => key && !optionKeys.includes(key));
+        if (optionKeys.length > 0 && unknown.length > 0) {
+            add('accepted_answers', 'unknown-answer', { answers: unknown, options: listOptions() });
+        }
+        if (question.ambiguous !== true) {
+            add('accepted_answers', 'accepted-not-ambiguous', {}, 'warning');
+        }
+    }
+
+    // Translations can only name the options of the question, and translate the
+    // explanations in their original shape: answer_option_text also tells the
+    // correct answers of multi-answer questions
+    const translations = question.translations;
+    if (translations && typeof translations === 'object' && !Array.isArray(translations) && optionKeys.length > 0) {
+        Object.entries(translations).forEach(([locale, translation]) => {
+            if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+                return;
+            }
+            const translationPath = joinJsonPath(joinJsonPath(path, 'translations'), locale);
+            const checkKeys = (field, keys) => keys.forEach(({ key, keyPath }) => {
+                if (!optionKeys.includes(key.toLowerCase())) {
+                    issues.push(createIssue(keyPath || joinJsonPath(joinJsonPath(translationPath, field), key), 'unknown-option', { key, options: listOptions() }));
+                }
+            });
+
+            const options = translation.question_option;
+            if (Array.isArray(options)) {
+                checkKeys('question_option', options
+                    .map((option, index) => ({ option, index }))
+                    .filter(({ option }) => option && typeof option.option === 'string')
+                    .map(({ option, index }) => ({
+                        key: option.option,
+                        keyPath: joinJsonPath(joinJsonPath(joinJsonPath(translationPath, 'question_option'), index), 'option')
+                    })));
+            } else if (options && typeof options === 'object') {
+                checkKeys('question_option', Object.keys(options).map(key => ({ key })));
+            }
+            ['answer_option_text', 'no_answer_option_text'].forEach(field => {
+                const texts = translation[field];
+                const original = question[field];
+                // Other values are reported by the schema
+                if (typeof texts !== 'string' && (!texts || typeof texts !== 'object' || Array.isArray(texts))) {
+                    return;
+                }
+                const fieldPath = joinJsonPath(translationPath, field);
+                if (original === undefined || original === null) {
+                    issues.push(createIssue(fieldPath, 'translation-without-original', { field }));
+                    return;
+                }
+                const expected = typeof original === 'string' ? 'string' : 'object';
+                const found = typeof texts === 'string' ? 'string' : 'object';
+                if (expected !== found) {
+                    issues.push(createIssue(fieldPath, 'translation-type', { expected, found }));
+                } else if (found === 'object') {
+                    const originalKeys = Object.keys(original).map(key => key.toLowerCase());
+                    Object.keys(texts).forEach(key => {
+                        if (!originalKeys.includes(key.toLowerCase())) {
+                            issues.push(createIssue(joinJsonPath(fieldPath, key), 'translation-unknown-key', { key, keys: originalKeys }));
+                        }
+                    });
+                }
+            });
+        });
+    }
+
+    if (!('learning_objective' in question)) {
+        add(null, 'missing-objective', {}, 'warning');
+    } else if (typeof question.learning_objective === 'string' &&
+        /^FL/i.test(question.learning_objective.trim()) &&
+        !/^FL-\d+\.\d+\.\d+$/.test(question.learning_objective)) {
+        add('learning_objective', 'objective-format', { objective: question.learning_objective }, 'warning');
+    }
+
+    return issues;
+}
+
+/**
+ * Validate a single question: schema plus cross-field checks
+ * @param {any} question - Question to validate
+ * @param {string} path - JSON path of the question (e.g. "$[3]")
+ * @returns {Array} - Issues [{ path, code, params, message, severity }]
+ */
+function validateQuizQuestion(question, path = '$') {
+    const issues = validateAgainstSchema(question, QUIZ_SCHEMA.definitions.question, path);
+    if (question && typeof question === 'object' && !Array.isArray(question)) {
+        issues.push(...checkQuestionConsistency(question, path));
+    }
+    return issues;
+}
+
+/**
+ * Validate a whole quiz file
+ * @param {any} data - Parsed file contents
+ * @returns {Object} - { isValid, issues, questions: [{ isValid, issues }] }
+ */
+function validateQuizDocument(data) {
+    const topLevel = [];
+    if (!Array.isArray(data)) {
+        topLevel.push(createIssue('$', 'not-array'));
+    } else if (data.length === 0) {
+        topLevel.push(createIssue('$', 'empty-array'));
+    }
+    if (topLevel.length > 0) {
+        return { isValid: false, issues: topLevel, questions: [] };
+    }
+
+    const questions = data.map((question, index) => {
+        const issues = validateQuizQuestion(question, `$[${index}]`);
+        return {
+            isValid: !issues.some(issue => issue.severity === 'error'),
+            issues
+        };
+    });
+
+    return {
+        isValid: questions.some(question => question.isValid),
+        issues: questions.flatMap(question => question.issues),
+        questions
+    };
+}
+
+/**
+ * Format an issue as a single line
+ * @param {Object} issue - { path, code, params, message, severity }
+ * @param {string} locale - Language of the message ('it' or 'en')
+ * @returns {string} - e.g. "$[3].answer_option: risposta ..."
+ */
+function formatValidationIssue(issue, locale = 'it') {
+    const messages = VALIDATION_MESSAGES[locale] || VALIDATION_MESSAGES.it;
+    const message = issue.code && messages[issue.code] ? messages[issue.code](issue.params || {}) : issue.message;
+    return `${issue.path}: ${message}`;
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUIZ_SCHEMA,
+        VALIDATION_MESSAGES,
+        validateAgainstSchema,
+        checkQuestionConsistency,
+        validateQuizQuestion,
+        validateQuizDocument,
+        formatValidationIssue
+    };
+}
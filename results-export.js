@@ -0,0 +1,147 @@
+/**
+ * Export of quiz results for the ISTQB Quiz App
+ *
+ * A graded attempt can be downloaded as a CSV with one row per question or as
+ * a JSON dump of the gradeQuiz() output, so trainers can collect the attempts
+ * of a team. The printable report uses the results page itself (see print.css).
+ */
+
+// Header of the per-question CSV, in column order
+const RESULTS_CSV_COLUMNS = [
+    'numero_domanda',
+    'learning_objective',
+    'k_level',
+    'risposta_utente',
+    'risposta_corretta',
+    'esito',
+    'punti'
+];
+
+/**
+ * Format an answer (single letter or list of letters) for the export
+ * @param {string|string[]|undefined} answer - Answer as stored in userAnswers
+ * @returns {string} - Uppercase letters separated by ", ", empty if unanswered
+ */
+function formatExportAnswer(answer) {
+    const letters = Array.isArray(answer) ? answer : (answer ? [answer] : []);
+    return letters.map(letter => letter.toUpperCase()).join(', ');
+}
+
+/**
+ * Build the per-question rows of the CSV export
+ * @param {Array} questions - Questions of the attempt, in the order they were shown
+ * @param {Object} userAnswers - Object with questionId: selectedOption mapping
+ * @param {Object} results - Output of gradeQuiz()
+ * @returns {Array} - Rows (arrays of values) following RESULTS_CSV_COLUMNS
+ */
+function buildResultsCsvRows(questions, userAnswers, results) {
+    return questions.map((question, index) => {
+        const result = results.results[index];
+        const userAnswer = formatExportAnswer(userAnswers[index.toString()]);
+        let outcome = result.isCorrect ? 'corretta' : 'errata';
+        if (result.excluded) {
+            outcome = 'esclusa';
+        } else if (!result.isCorrect && result.earnedPoints > 0) {
+            outcome = 'parziale';
+        } else if (!userAnswer && !result.isCorrect) {
+            // Ambiguous questions awarded to everyone count even without an answer
+            outcome = 'non risposta';
+        }
+
+        return [
+            question.question_number || index + 1,
+            question.learning_objective || '',
+            question.k_level || '',
+            userAnswer,
+            getCorrectAnswers(question).map(letter => letter.toUpperCase()).join(', '),
+            outcome,
+            result.earnedPoints
+        ];
+    });
+}
+
+/**
+ * Quote a CSV value when needed (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the CSV export of an attempt
+ * @param {Array} questions - Questions of the attempt, in the order they were shown
+ * @param {Object} userAnswers - Object with questionId: selectedOption mapping
+ * @param {Object} results - Output of gradeQuiz()
+ * @returns {string} - CSV text with header, CRLF line endings
+ */
+function buildResultsCsv(questions, userAnswers, results) {
+    return [RESULTS_CSV_COLUMNS, ...buildResultsCsvRows(questions, userAnswers, results)]
+        .map(row => row.map(escapeCsvValue).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the JSON export of an attempt
+ * @param {Object} results - Output of gradeQuiz()
+ * @param {Object} session - { quiz, quizTitle, mode, startedAt }
+ * @returns {string} - Indented JSON with the session data and the raw results
+ */
+function buildResultsJson(results, session) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        ...session,
+        results
+    }, null, 2);
+}
+
+/**
+ * Build the name of an export file from the session title
+ * @param {string} title - Session title (e.g. "Simulazione d'esame - Quiz A")
+ * @param {string} extension - File extension without the dot
+ * @param {Date} date - Date of the export
+ * @returns {string} - File name such as "risultati-quiz-a-2024-05-12.csv"
+ */
+function getExportFilename(title, extension, date = new Date()) {
+    const slug = title.toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    const day = date.toISOString().slice(0, 10);
+    return `risultati-${slug || 'quiz'}-${day}.${extension}`;
+}
+
+/**
+ * Let the browser download a text file
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the file
+ */
+function downloadTextFile(filename, content, mimeType) {
+    // The BOM makes Excel read the CSV as UTF-8 (accented letters)
+    const parts = mimeType.startsWith('text/csv') ? ['\uFEFF', content] : [content];
+    const url = URL.createObjectURL(new Blob(parts, { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RESULTS_CSV_COLUMNS,
+        formatExportAnswer,
+        buildResultsCsvRows,
+        escapeCsvValue,
+        buildResultsCsv,
+        buildResultsJson,
+        getExportFilename,
+        downloadTextFile
+    };
+}
@@ -0,0 +1,132 @@
+/**
+ * Spaced-repetition review for the ISTQB Quiz App
+ *
+ * Questions answered wrong become review cards in a Leitner system: a wrong
+ * answer puts the card back in box 1 (due immediately), a right answer moves it
+ * up one box and pushes the due date further away. Cards are keyed by
+ * getQuestionKey() so the same question is tracked across quizzes and shuffles.
+ */
+
+const REVIEW_CARDS_STORE = 'reviewCards';
+
+// Days to wait before a card in a given box is due again
+const LEITNER_INTERVALS_DAYS = { 1: 0, 2: 1, 3: 3, 4: 7, 5: 14, 6: 30 };
+const LEITNER_MAX_BOX = 6;
+
+// Maximum number of cards in a single review session
+const REVIEW_SESSION_LIMIT = 40;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Update a card after it has been answered
+ * @param {Object|undefined} card - Existing card, undefined for a new one
+ * @param {string} key - Question key
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @param {Date} now - Time of the answer
+ * @returns {Object} - Updated card
+ */
+function updateReviewCard(card, key, isCorrect, now = new Date()) {
+    const current = card || { key, box: 1, reviews: 0, lapses: 0 };
+    const box = isCorrect ? Math.min(current.box + 1, LEITNER_MAX_BOX) : 1;
+
+    return {
+        ...current,
+        box,
+        reviews: current.reviews + 1,
+        lapses: current.lapses + (isCorrect ? 0 : 1),
+        lastReviewedAt: now.toISOString(),
+        dueAt: new Date(now.getTime() + LEITNER_INTERVALS_DAYS[box] * DAY_MS).toISOString()
+    };
+}
+
+/**
+ * Apply the outcome of an attempt to a set of cards
+ * Wrong answers create or reset cards; right answers only promote existing cards.
+ * @param {Object} cards - Map-like object key -> card (modified in place)
+ * @param {Array} outcomes - [{ key, isCorrect }]
+ * @param {Date} now - Time of the attempt
+ * @returns {Object[]} - Cards that changed
+ */
+function applyOutcomesToReviewCards(cards, outcomes, now = new Date()) {
+    const changed = [];
+
+    outcomes.forEach(({ key, isCorrect }) => {
+        if (!cards[key] && isCorrect) {
+            return;
+        }
+        cards[key] = updateReviewCard(cards[key], key, isCorrect, now);
+        changed.push(cards[key]);
+    });
+
+    return changed;
+}
+
+/**
+ * Get the cards due for review, oldest due date first
+ * @param {Object[]} cards - Review cards
+ * @param {Date} now - Reference time
+ * @returns {Object[]} - Due cards
+ */
+function getDueReviewCards(cards, now = new Date()) {
+    return cards
+        .filter(card => new Date(card.dueAt).getTime() <= now.getTime())
+        .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+}
+
+/**
+ * Load all review cards, building them from the attempt history the first time
+ * @returns {Promise<Object[]>} - Review cards
+ */
+async function loadReviewCards() {
+    const cards = await dbGetAll(REVIEW_CARDS_STORE);
+    if (cards.length > 0) {
+        return cards;
+    }
+
+    // First use: replay past attempts so earlier mistakes are scheduled too
+    const attempts = await loadAttempts();
+    const rebuilt = {};
+    attempts.forEach(attempt => {
+        const outcomes = attempt.answers.map(answer => ({ key: answer.questionKey, isCorrect: answer.isCorrect }));
+        applyOutcomesToReviewCards(rebuilt, outcomes, new Date(attempt.date));
+    });
+
+    const rebuiltCards = Object.values(rebuilt);
+    for (const card of rebuiltCards) {
+        await dbPut(REVIEW_CARDS_STORE, card);
+    }
+    return rebuiltCards;
+}
+
+/**
+ * Record the outcome of an attempt in the review cards
+ * @param {Array} outcomes - [{ key, isCorrect }]
+ * @returns {Promise<void>}
+ */
+async function recordReviewOutcomes(outcomes) {
+    const cards = {};
+    (await dbGetAll(REVIEW_CARDS_STORE)).forEach(card => {
+        cards[card.key] = card;
+    });
+
+    const changed = applyOutcomesToReviewCards(cards, outcomes);
+    for (const card of changed) {
+        await dbPut(REVIEW_CARDS_STORE, card);
+    }
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REVIEW_CARDS_STORE,
+        LEITNER_INTERVALS_DAYS,
+        LEITNER_MAX_BOX,
+        REVIEW_SESSION_LIMIT,
+        updateReviewCard,
+        applyOutcomesToReviewCards,
+        getDueReviewCards,
+        loadReviewCards,
+        recordReviewOutcomes
+    };
+}
@@ -0,0 +1,133 @@
+/**
+ * Hash routes for the ISTQB Quiz App
+ *
+ * Each page of the app has a URL fragment, so the browser's Back/Forward
+ * buttons move between pages, a refresh lands back where the user was and a
+ * question or a result can be bookmarked:
+ *
+ *   #/                          landing page
+ *   #/quiz/<quiz>/q/12          question 12 of an exam session
+ *   #/practice/<quiz>/q/3       practice and simulation sessions (also #/simulation/...)
+ *   #/review, #/custom/q/5      review and custom sessions (no quiz in the path)
+ *   #/results/<attemptId>       results of a stored attempt
+ *   #/dashboard, #/editor/<quiz>
+ *
+ * Fragments that do not start with "#/" (such as the shared links of
+ * session-seed.js) are not routes.
+ */
+
+// First path segment of the session routes, by session mode
+const ROUTE_MODE_SEGMENTS = {
+    exam: 'quiz',
+    practice: 'practice',
+    simulation: 'simulation',
+    review: 'review',
+    custom: 'custom'
+};
+
+// Modes whose route names the quiz (review and custom sessions draw from every quiz)
+const ROUTE_QUIZ_MODES = ['exam', 'practice', 'simulation'];
+
+/**
+ * Build the URL fragment of a route
+ * @param {Object} route - { page: 'landing' | 'quiz' | 'results' | 'dashboard' | 'editor', quiz, mode, question, attemptId }
+ *                         question is 1-based, attemptId may be null for results not stored
+ * @returns {string} - Fragment such as "#/quiz/ITASTQB-QTEST-FL-2023-A-QA/q/12"
+ */
+function buildRoute(route) {
+    const segments = [];
+
+    if (route.page === 'quiz') {
+        const mode = route.mode || 'exam';
+        segments.push(ROUTE_MODE_SEGMENTS[mode]);
+        if (ROUTE_QUIZ_MODES.includes(mode)) {
+            segments.push(encodeURIComponent(route.quiz));
+        }
+        if (Number.isInteger(route.question) && route.question > 0) {
+            segments.push('q', String(route.question));
+        }
+    } else if (route.page === 'results') {
+        segments.push('results');
+        if (route.attemptId !== null && route.attemptId !== undefined) {
+            segments.push(String(route.attemptId));
+        }
+    } else if (route.page === 'dashboard') {
+        segments.push('dashboard');
+    } else if (route.page === 'editor') {
+        segments.push('editor');
+        if (route.quiz) {
+            segments.push(encodeURIComponent(route.quiz));
+        }
+    }
+
+    return `#/${segments.join('/')}`;
+}
+
+/**
+ * Read the route of a URL fragment
+ * @param {string} hash - location.hash
+ * @returns {Object|null} - Route (see buildRoute), null when the fragment is not a known route;
+ *                          an empty fragment is the landing page
+ */
+function parseRoute(hash) {
+    const text = String(hash || '').replace(/^#/, '');
+    if (text === '' || text === '/') {
+        return { page: 'landing' };
+    }
+    if (!text.startsWith('/')) {
+        return null;
+    }
+
+    let segments;
+    try {
+        segments = text.slice(1).split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        // Malformed percent-encoding
+        return null;
+    }
+
+    const [first, ...rest] = segments;
+    const mode = Object.keys(ROUTE_MODE_SEGMENTS).find(key => ROUTE_MODE_SEGMENTS[key] === first);
+
+    if (mode) {
+        const route = { page: 'quiz', mode, quiz: null, question: null };
+        if (ROUTE_QUIZ_MODES.includes(mode)) {
+            route.quiz = rest.shift();
+            if (!route.quiz) {
+                return null;
+            }
+        }
+        if (rest.length === 0) {
+            return route;
+        }
+        if (rest.length === 2 && rest[0] === 'q' && /^\d+$/.test(rest[1]) && Number(rest[1]) > 0) {
+            route.question = Number(rest[1]);
+            return route;
+        }
+        return null;
+    }
+
+    if (first === 'results' && rest.length <= 1) {
+        if (rest.length === 1 && !/^\d+$/.test(rest[0])) {
+            return null;
+        }
+        return { page: 'results', attemptId: rest.length === 1 ? Number(rest[0]) : null };
+    }
+    if (first === 'dashboard' && rest.length === 0) {
+        return { page: 'dashboard' };
+    }
+    if (first === 'editor' && rest.length <= 1) {
+        return { page: 'editor', quiz: rest[0] || null };
+    }
+    return null;
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ROUTE_MODE_SEGMENTS,
+        ROUTE_QUIZ_MODES,
+        buildRoute,
+        parseRoute
+    };
+}
@@ -0,0 +1,115 @@
+/**
+ * Scoring strategies for the ISTQB Quiz App
+ *
+ * A strategy turns the options selected for a question into a credit, the
+ * share of the question's weight that is earned. gradeQuiz() applies the
+ * strategy named by the exam profile (`scoringStrategy`) to every question, so
+ * the total, the pass decision and the learning-objective statistics agree.
+ * With `weightByPoints` (default) a question weighs its `points`, otherwise 1.
+ * Strategies are named and described by the "scoring.<id>.*" messages of i18n.js.
+ */
+
+const DEFAULT_SCORING_STRATEGY_ID = 'all-or-nothing';
+
+// Share of the question's weight lost for each wrong pick with the 'negative' strategy
+const DEFAULT_NEGATIVE_MARKING = 0.25;
+
+const SCORING_STRATEGIES = {
+    'all-or-nothing': {
+        id: 'all-or-nothing',
+        /**
+         * @param {Object} answer - { correctCount, hits, wrongPicks }
+         * @returns {number} - Credit between 0 and 1
+         */
+        credit({ correctCount, hits, wrongPicks }) {
+            return hits === correctCount && wrongPicks === 0 ? 1 : 0;
+        }
+    },
+    partial: {
+        id: 'partial',
+        /**
+         * @param {Object} answer - { correctCount, hits, wrongPicks }
+         * @returns {number} - Credit between 0 and 1
+         */
+        credit({ correctCount, hits, wrongPicks }) {
+            return Math.max(0, hits - wrongPicks) / correctCount;
+        }
+    },
+    negative: {
+        id: 'negative',
+        /**
+         * @param {Object} answer - { correctCount, hits, wrongPicks }
+         * @param {Object} profile - Exam profile, negativeMarking sets the penalty per wrong pick
+         * @returns {number} - Credit between -wrongPicks * negativeMarking and 1
+         */
+        credit({ correctCount, hits, wrongPicks }, profile) {
+            const penalty = typeof profile.negativeMarking === 'number' ? profile.negativeMarking : DEFAULT_NEGATIVE_MARKING;
+            return hits / correctCount - wrongPicks * penalty;
+        }
+    }
+};
+
+/**
+ * Get the strategy of an exam profile
+ * @param {Object} profile - Exam profile
+ * @returns {Object} - Scoring strategy, all-or-nothing when unset or unknown
+ */
+function getScoringStrategy(profile) {
+    const id = profile && profile.scoringStrategy;
+    if (id && !SCORING_STRATEGIES[id]) {
+        console.warn(`Unknown scoring strategy "${id}", using ${DEFAULT_SCORING_STRATEGY_ID}`);
+    }
+    return SCORING_STRATEGIES[id] || SCORING_STRATEGIES[DEFAULT_SCORING_STRATEGY_ID];
+}
+
+/**
+ * Score the answer to one question
+ * @param {string[]} correctAnswers - Correct option letters
+ * @param {string[]} selections - Option letters chosen by the user
+ * @param {number} weight - Weight of the question (its points, or 1)
+ * @param {Object} profile - Exam profile (scoringStrategy, negativeMarking)
+ * @returns {Object} - { credit, earnedPoints }, earnedPoints rounded to 2 decimals
+ */
+function scoreAnswer(correctAnswers, selections, weight, profile) {
+    const correct = correctAnswers.map(answer => answer.toUpperCase());
+    const selected = [...new Set(selections.map(answer => answer.toUpperCase()))];
+    const hits = selected.filter(answer => correct.includes(answer)).length;
+    const credit = getScoringStrategy(profile).credit({
+        correctCount: correct.length,
+        hits,
+        wrongPicks: selected.length - hits
+    }, profile);
+
+    return { credit, earnedPoints: roundScore(credit * weight) };
+}
+
+/**
+ * Round a score to 2 decimals, avoiding floating point noise such as 0.30000000000000004
+ * @param {number} value - Score
+ * @returns {number} - Rounded score
+ */
+function roundScore(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Format a score for display
+ * @param {number} value - Score
+ * @returns {string} - Score with a decimal comma when fractional (e.g. "26,5")
+ */
+function formatScore(value) {
+    return roundScore(value).toLocaleString(getLocaleTag(), { maximumFractionDigits: 2 });
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_SCORING_STRATEGY_ID,
+        DEFAULT_NEGATIVE_MARKING,
+        SCORING_STRATEGIES,
+        getScoringStrategy,
+        scoreAnswer,
+        roundScore,
+        formatScore
+    };
+}
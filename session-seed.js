@@ -0,0 +1,150 @@
+/**
+ * Reproducible sessions for the ISTQB Quiz App
+ *
+ * Every session draws its question order, its sampled paper and the order of
+ * the options from a seeded pseudo-random generator, so quiz id + mode + seed
+ * describe the exact paper. The seed is what the saved state keeps (instead of
+ * the whole question list) and what a shared link such as
+ * `#quiz=ITASTQB-QTEST-FL-2023-A-QA&seed=1234&paper=1a2b3c4d` carries to a study
+ * group. The link also carries the fingerprint of the paper, so that a
+ * recipient whose quizzes differ (imported, updated) is told that the same seed
+ * gave other questions.
+ */
+
+// Largest seed: seeds are unsigned 32-bit integers
+const MAX_SEED = 0xFFFFFFFF;
+
+// Session modes that can be rebuilt from the quiz id and the seed alone
+const SHAREABLE_MODES = ['exam', 'practice', 'simulation'];
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {Function} - Drop-in replacement for Math.random, values in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pick a seed for a new session
+ * @returns {number} - Unsigned 32-bit integer
+ */
+function generateSeed() {
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Read a seed typed by the user or found in a link
+ * @param {string|number} value - Seed candidate
+ * @returns {number|null} - Seed, or null when not a whole number between 0 and MAX_SEED
+ */
+function parseSeed(value) {
+    const text = String(value).trim();
+    if (!/^\d+$/.test(text)) {
+        return null;
+    }
+    const seed = Number(text);
+    return seed <= MAX_SEED ? seed : null;
+}
+
+/**
+ * Compute a short fingerprint of a text (FNV-1a)
+ * Used to check that a session rebuilt from its seed is the paper that was saved.
+ * @param {string} text - Text to hash
+ * @returns {string} - 8 hex characters
+ */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Fingerprint the questions of a session, in order
+ * @param {Array} questions - Session questions
+ * @returns {string} - Fingerprint built from the question keys and option order
+ */
+function getPaperFingerprint(questions) {
+    return hashString(questions.map(question => {
+        const options = Array.isArray(question.question_option) ?
+            question.question_option.map(option => option.option).join('') : '';
+        return `${getQuestionKey(question)}|${options}`;
+    }).join('\n'));
+}
+
+/**
+ * Hash the content of the questions of a session, in order
+ * Unlike the fingerprint it changes when a question is edited in the quiz file
+ * (text, options, answers, explanations, ...), not only when the paper changes.
+ * @param {Array} questions - Session questions
+ * @returns {string} - 8 hex characters
+ */
+function getQuestionsHash(questions) {
+    return hashString(questions.map(question => JSON.stringify(question)).join('\n'));
+}
+
+/**
+ * Build the URL fragment that reproduces a session
+ * @param {Object} session - { quiz, mode, seed, paper } where paper is the getPaperFingerprint() of the session
+ * @returns {string} - Fragment such as "#quiz=A&mode=simulation&seed=1234&paper=1a2b3c4d" ("exam" mode is omitted)
+ */
+function buildShareHash({ quiz, mode, seed, paper }) {
+    const params = new URLSearchParams({ quiz });
+    if (mode && mode !== 'exam') {
+        params.set('mode', mode);
+    }
+    params.set('seed', String(seed));
+    if (paper) {
+        params.set('paper', paper);
+    }
+    return `#${params.toString()}`;
+}
+
+/**
+ * Read a shared session from a URL fragment
+ * @param {string} hash - location.hash
+ * @returns {Object|null} - { quiz, mode, seed, paper }, or null when the fragment is not a shared session
+ *                          (paper is null for links without a valid fingerprint)
+ */
+function parseShareHash(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const quiz = params.get('quiz');
+    const seed = params.has('seed') ? parseSeed(params.get('seed')) : null;
+    const mode = params.get('mode') || 'exam';
+    const paper = /^[0-9a-f]{8}$/.test(params.get('paper') || '') ? params.get('paper') : null;
+
+    if (!quiz || seed === null || !SHAREABLE_MODES.includes(mode)) {
+        return null;
+    }
+    return { quiz, mode, seed, paper };
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_SEED,
+        SHAREABLE_MODES,
+        createSeededRandom,
+        generateSeed,
+        parseSeed,
+        hashString,
+        getPaperFingerprint,
+        getQuestionsHash,
+        buildShareHash,
+        parseShareHash
+    };
+}
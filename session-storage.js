@@ -0,0 +1,303 @@
+/**
+ * Session persistence for the ISTQB Quiz App
+ *
+ * The state of an open session is kept in localStorage under `quiz_<session
+ * key>` so that it can be resumed after a reload. Each record carries the
+ * version of its format: records written by older versions of the app are
+ * migrated when read, records of a newer version are left alone. Records
+ * expire SESSION_STATE_MAX_AGE_DAYS after the last save.
+ *
+ * A session runs in one tab at a time: tabs announce the session they hold on
+ * a BroadcastChannel, and a second tab opening the same session is told that
+ * it is open elsewhere instead of overwriting its progress.
+ */
+
+const SESSION_STATE_PREFIX = 'quiz_';
+const SESSION_STATE_VERSION = 2;
+const SESSION_STATE_MAX_AGE_DAYS = 7;
+
+const SESSION_CHANNEL_NAME = 'istqb-quiz-sessions';
+// Time a tab taking over a session waits for the other tab to save and let go
+const SESSION_TAKE_OVER_TIMEOUT_MS = 500;
+
+// Upgrade of a record from a version to the next one
+const SESSION_STATE_MIGRATIONS = {
+    // Version 1: the state itself with a `timestamp`, no version
+    1: record => {
+        const { timestamp, ...state } = record;
+        return { version: 2, savedAt: timestamp, state };
+    }
+};
+
+/**
+ * Get the localStorage key of a session
+ * @param {string} sessionKey - Session key (see QuizApp.getSessionKey)
+ * @returns {string} - e.g. "quiz_simulation:A"
+ */
+function getSessionStorageKey(sessionKey) {
+    return `${SESSION_STATE_PREFIX}${sessionKey}`;
+}
+
+/**
+ * Bring a stored record to the current version
+ * @param {Object} record - Parsed record
+ * @returns {Object|null} - { version, savedAt, state }, null when the record cannot be read by this version
+ */
+function migrateSessionRecord(record) {
+    if (!record || typeof record !== 'object') {
+        return null;
+    }
+    let current = record;
+    let version = Number.isInteger(record.version) ? record.version : 1;
+    while (version < SESSION_STATE_VERSION) {
+        const migrate = SESSION_STATE_MIGRATIONS[version];
+        if (!migrate) {
+            return null;
+        }
+        current = migrate(current);
+        version = current.version;
+    }
+    return version === SESSION_STATE_VERSION && current.state && typeof current.state === 'object' ? current : null;
+}
+
+/**
+ * Check whether a value stored under the session prefix is a saved session
+ * Other settings share the prefix (quiz_locale, quiz_builder_presets, ...).
+ * @param {*} parsed - Parsed value
+ * @returns {boolean} - True for records of any version
+ */
+function isSessionRecord(parsed) {
+    return Boolean(parsed) && typeof parsed === 'object' && !Array.isArray(parsed) &&
+        (Number.isInteger(parsed.version) || typeof parsed.timestamp === 'number');
+}
+
+/**
+ * Check whether a stored record is too old to be resumed
+ * @param {Object} record - Record at the current version
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True when saved more than SESSION_STATE_MAX_AGE_DAYS ago (or at an unknown time)
+ */
+function isSessionRecordExpired(record, now = Date.now()) {
+    return typeof record.savedAt !== 'number' || now - record.savedAt > SESSION_STATE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Check whether a storage error means that the browser storage is full
+ * @param {Error} error - Error thrown by localStorage.setItem
+ * @returns {boolean} - True for quota errors (their name differs between browsers)
+ */
+function isStorageQuotaError(error) {
+    return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 || error.code === 1014);
+}
+
+/**
+ * Remove the saved sessions that expired or can no longer be migrated
+ * @returns {number} - Number of records removed
+ */
+function purgeExpiredQuizStates() {
+    let removed = 0;
+    try {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(SESSION_STATE_PREFIX)) {
+                keys.push(key);
+            }
+        }
+        keys.forEach(key => {
+            let parsed = null;
+            try {
+                parsed = JSON.parse(localStorage.getItem(key));
+            } catch (error) {
+                parsed = null;
+            }
+            // Records of a newer version belong to a newer app: keep them
+            if (!isSessionRecord(parsed) || parsed.version > SESSION_STATE_VERSION) {
+                return;
+            }
+            const record = migrateSessionRecord(parsed);
+            if (!record || isSessionRecordExpired(record)) {
+                localStorage.removeItem(key);
+                removed++;
+            }
+        });
+    } catch (error) {
+        console.warn('Unable to purge saved sessions:', error);
+    }
+    return removed;
+}
+
+/**
+ * Save the state of a session
+ * When the storage is full the expired sessions are removed and the save is tried again.
+ * @param {string} sessionKey - Session key
+ * @param {Object} state - State of the session
+ * @returns {string} - 'saved', 'full' (storage quota exceeded) or 'failed' (storage unavailable)
+ */
+function saveQuizState(sessionKey, state) {
+    const text = JSON.stringify({ version: SESSION_STATE_VERSION, savedAt: Date.now(), state });
+    try {
+        localStorage.setItem(getSessionStorageKey(sessionKey), text);
+        return 'saved';
+    } catch (error) {
+        if (!isStorageQuotaError(error)) {
+            console.warn('Unable to save quiz state:', error);
+            return 'failed';
+        }
+    }
+
+    if (purgeExpiredQuizStates() > 0) {
+        try {
+            localStorage.setItem(getSessionStorageKey(sessionKey), text);
+            return 'saved';
+        } catch (error) {
+            // Still full
+        }
+    }
+    console.warn('Unable to save quiz state: storage full');
+    return 'full';
+}
+
+/**
+ * Load the state of a session
+ * @param {string} sessionKey - Session key
+ * @returns {Object|null} - Saved state, null when missing, expired or unreadable
+ */
+function loadQuizState(sessionKey) {
+    const key = getSessionStorageKey(sessionKey);
+    try {
+        const saved = localStorage.getItem(key);
+        if (!saved) {
+            return null;
+        }
+        const parsed = JSON.parse(saved);
+        if (!isSessionRecord(parsed)) {
+            return null;
+        }
+        if (parsed.version > SESSION_STATE_VERSION) {
+            console.warn(`Saved session ${sessionKey} was written by a newer version of the app`);
+            return null;
+        }
+        const record = migrateSessionRecord(parsed);
+        if (record && !isSessionRecordExpired(record)) {
+            return record.state;
+        }
+        localStorage.removeItem(key);
+    } catch (error) {
+        console.warn('Unable to load quiz state:', error);
+    }
+    return null;
+}
+
+/**
+ * Clear the state of a session
+ * @param {string} sessionKey - Session key
+ */
+function clearQuizState(sessionKey) {
+    try {
+        localStorage.removeItem(getSessionStorageKey(sessionKey));
+    } catch (error) {
+        console.warn('Unable to clear quiz state:', error);
+    }
+}
+
+/**
+ * Coordinate the open tabs so that each session runs in one tab at a time
+ * The tab that claimed a session first keeps it; a tab claiming it later, or
+ * losing it to a tab that takes it over, is reported through onBlocked.
+ * Without BroadcastChannel every tab works on its own, as before.
+ * @param {Function} onBlocked - Called with (sessionKey, reason) where reason is
+ *                               'elsewhere' (already open in another tab) or
+ *                               'taken-over' (another tab continued it: save before returning)
+ * @returns {Object} - { claim(sessionKey), release(), takeOver(sessionKey): Promise<void> }
+ */
+function createSessionLock(onBlocked) {
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(SESSION_CHANNEL_NAME) : null;
+    const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    let heldKey = null;
+    let claimedAt = 0;
+    let pendingTakeOver = null;
+
+    const post = message => {
+        if (channel) {
+            channel.postMessage({ ...message, tab: tabId });
+        }
+    };
+    const block = (key, reason) => {
+        heldKey = null;
+        onBlocked(key, reason);
+    };
+
+    if (channel) {
+        channel.onmessage = event => {
+            const message = event.data || {};
+            if (!message.key || message.tab === tabId) {
+                return;
+            }
+            if (message.type === 'claim' && message.key === heldKey) {
+                // Two tabs claiming together: the earlier claim wins
+                const earlier = message.claimedAt < claimedAt ||
+                    (message.claimedAt === claimedAt && message.tab < tabId);
+                if (earlier) {
+                    block(message.key, 'elsewhere');
+                } else {
+                    post({ type: 'held', key: heldKey });
+                }
+            } else if (message.type === 'held' && message.key === heldKey) {
+                block(message.key, 'elsewhere');
+            } else if (message.type === 'take-over' && message.key === heldKey) {
+                block(message.key, 'taken-over');
+                post({ type: 'released', key: message.key });
+            } else if (message.type === 'released' && pendingTakeOver && pendingTakeOver.key === message.key) {
+                pendingTakeOver.resolve();
+            }
+        };
+    }
+
+    return {
+        claim(sessionKey) {
+            heldKey = sessionKey;
+            claimedAt = Date.now();
+            post({ type: 'claim', key: sessionKey, claimedAt });
+        },
+        release() {
+            heldKey = null;
+        },
+        takeOver(sessionKey) {
+            if (!channel) {
+                return Promise.resolve();
+            }
+            return new Promise(resolve => {
+                const done = () => {
+                    clearTimeout(timeout);
+                    pendingTakeOver = null;
+                    resolve();
+                };
+                // The other tab may have been closed in the meantime
+                const timeout = setTimeout(done, SESSION_TAKE_OVER_TIMEOUT_MS);
+                pendingTakeOver = { key: sessionKey, resolve: done };
+                post({ type: 'take-over', key: sessionKey });
+            });
+        }
+    };
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SESSION_STATE_PREFIX,
+        SESSION_STATE_VERSION,
+        SESSION_STATE_MAX_AGE_DAYS,
+        SESSION_STATE_MIGRATIONS,
+        migrateSessionRecord,
+        isSessionRecord,
+        isSessionRecordExpired,
+        isStorageQuotaError,
+        purgeExpiredQuizStates,
+        saveQuizState,
+        loadQuizState,
+        clearQuizState,
+        createSessionLock
+    };
+}
@@ -0,0 +1,186 @@
+/**
+ * Session clock for the ISTQB Quiz App
+ *
+ * The countdown is computed from the time at which it ends instead of being
+ * decremented at each interval tick: browsers slow down the timers of
+ * background tabs and stop them while the computer sleeps, and the time left
+ * stays right anyway.
+ *
+ * The exam simulation runs in strict mode: its time cannot be paused and keeps
+ * running while the tab is hidden (or the page closed). The other sessions can
+ * be paused with the "Pausa" button and pause by themselves while the tab is
+ * hidden. Every pause is logged and stored with the attempt.
+ */
+
+// Session modes whose time cannot be stopped
+const STRICT_CLOCK_MODES = ['simulation'];
+
+// Time between two refreshes of the countdown
+const TIMER_TICK_MS = 500;
+
+/**
+ * Check whether the time of a session mode runs whatever happens to the tab
+ * @param {string} mode - Session mode
+ * @returns {boolean} - True for strict modes (no pause, time runs while the tab is hidden)
+ */
+function isStrictClockMode(mode) {
+    return STRICT_CLOCK_MODES.includes(mode);
+}
+
+/**
+ * Create a countdown that can be stopped and started again
+ * @param {number} seconds - Time left
+ * @param {Function} onTick - Called with the seconds left at each refresh
+ * @param {Function} onExpire - Called once when the time is over
+ * @returns {Object} - { start(), stop(), tick(), getRemainingSeconds(), getEndsAt(), isRunning() }
+ */
+function createCountdown(seconds, onTick, onExpire) {
+    let remainingMs = Math.max(0, seconds) * 1000;
+    let endsAt = null;
+    let interval = null;
+
+    const getRemainingMs = () => (endsAt === null ? remainingMs : Math.max(0, endsAt - Date.now()));
+
+    const countdown = {
+        // Run the countdown from the time left, until stop() or the end of the time
+        start() {
+            if (interval !== null) {
+                return;
+            }
+            endsAt = Date.now() + remainingMs;
+            interval = setInterval(() => countdown.tick(), TIMER_TICK_MS);
+        },
+        // Keep the time left, e.g. while the session is paused
+        stop() {
+            if (interval === null) {
+                return;
+            }
+            remainingMs = getRemainingMs();
+            endsAt = null;
+            clearInterval(interval);
+            interval = null;
+        },
+        // Report the time left now (also used to refresh it as soon as the tab is visible again)
+        tick() {
+            const remaining = countdown.getRemainingSeconds();
+            onTick(remaining);
+            if (remaining <= 0 && interval !== null) {
+                countdown.stop();
+                onExpire();
+            }
+        },
+        getRemainingSeconds() {
+            return Math.ceil(getRemainingMs() / 1000);
+        },
+        // Time (ms since epoch) at which the time is over, null while stopped
+        getEndsAt() {
+            return endsAt;
+        },
+        isRunning() {
+            return interval !== null;
+        }
+    };
+    return countdown;
+}
+
+/**
+ * Open a pause in the log
+ * @param {Array} pauses - Pause log: [{ startedAt, endedAt, reason }] with times in milliseconds
+ * @param {string} reason - 'manual' ("Pausa" button) or 'hidden' (tab hidden)
+ * @param {number} now - Current time in milliseconds
+ */
+function startPause(pauses, reason, now = Date.now()) {
+    if (!isPauseOpen(pauses)) {
+        pauses.push({ startedAt: now, endedAt: null, reason });
+    }
+}
+
+/**
+ * Close the pause in progress
+ * @param {Array} pauses - Pause log
+ * @param {number} now - Current time in milliseconds
+ */
+function endPause(pauses, now = Date.now()) {
+    if (isPauseOpen(pauses)) {
+        pauses[pauses.length - 1].endedAt = now;
+    }
+}
+
+/**
+ * Check whether a pause is in progress
+ * @param {Array} pauses - Pause log
+ * @returns {boolean} - True when the last pause is not closed
+ */
+function isPauseOpen(pauses) {
+    return pauses.length > 0 && pauses[pauses.length - 1].endedAt === null;
+}
+
+/**
+ * Get the pause log to save with the session state
+ * A pause in progress is closed at the time of the save: the session is resumed running.
+ * @param {Array} pauses - Pause log
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} - Copy of the log with every pause closed
+ */
+function serializePauses(pauses, now = Date.now()) {
+    return pauses.map(pause => ({ ...pause, endedAt: pause.endedAt === null ? now : pause.endedAt }));
+}
+
+/**
+ * Rebuild the pause log of a saved session
+ * @param {Array|undefined} saved - Output of serializePauses(), missing in older saves
+ * @returns {Array} - Pause log
+ */
+function restorePauses(saved) {
+    return Array.isArray(saved) ?
+        saved.filter(pause => pause && typeof pause.startedAt === 'number' && typeof pause.endedAt === 'number') :
+        [];
+}
+
+/**
+ * Describe the pauses of a session for the attempt record
+ * @param {Array} pauses - Pause log
+ * @param {number} now - Current time in milliseconds (end of a pause in progress)
+ * @returns {Array} - [{ startedAt, endedAt, seconds, reason }] with ISO dates
+ */
+function summarizePauses(pauses, now = Date.now()) {
+    return serializePauses(pauses, now).map(pause => ({
+        startedAt: new Date(pause.startedAt).toISOString(),
+        endedAt: new Date(pause.endedAt).toISOString(),
+        seconds: Math.round(Math.max(0, pause.endedAt - pause.startedAt) / 1000),
+        reason: pause.reason
+    }));
+}
+
+/**
+ * Get the total time a session was paused
+ * @param {Array} pauses - Pause log, or the output of summarizePauses()
+ * @param {number} now - Current time in milliseconds (end of a pause in progress)
+ * @returns {number} - Seconds
+ */
+function getPausedSeconds(pauses, now = Date.now()) {
+    return pauses.reduce((sum, pause) => {
+        if (typeof pause.seconds === 'number') {
+            return sum + pause.seconds;
+        }
+        const endedAt = pause.endedAt === null ? now : pause.endedAt;
+        return sum + Math.round(Math.max(0, endedAt - pause.startedAt) / 1000);
+    }, 0);
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STRICT_CLOCK_MODES,
+        TIMER_TICK_MS,
+        isStrictClockMode,
+        createCountdown,
+        startPause,
+        endPause,
+        isPauseOpen,
+        serializePauses,
+        restorePauses,
+        summarizePauses,
+        getPausedSeconds
+    };
+}
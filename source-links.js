@@ -0,0 +1,122 @@
+/**
+ * Source references for the ISTQB Quiz App
+ *
+ * Questions record where they come from (`question_pdf`/`question_page`) and
+ * where the official solution is (`answer_pdf`/`answer_page`). The documents
+ * are not bundled: they are read from a local folder (`pdf/` unless the
+ * manifest sets `pdfFolder`) and opened at the right page with a `#page=`
+ * fragment, which the browsers' built-in PDF viewers understand.
+ */
+
+const DEFAULT_PDF_FOLDER = 'pdf/';
+
+/**
+ * Normalize the folder of the source documents
+ * @param {string|undefined} folder - Folder from the manifest
+ * @returns {string} - Folder ending with "/"
+ */
+function normalizePdfFolder(folder) {
+    if (typeof folder !== 'string' || folder.trim() === '') {
+        return DEFAULT_PDF_FOLDER;
+    }
+    const trimmed = folder.trim();
+    return trimmed.endsWith('/') ? trimmed : `${trimmed}/`;
+}
+
+/**
+ * Get the pages of a reference as a list
+ * @param {number|number[]|undefined} page - question_page or answer_page
+ * @returns {number[]} - Pages, empty when not set
+ */
+function getReferencePages(page) {
+    const pages = Array.isArray(page) ? page : [page];
+    return pages.filter(value => Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Build the URL that opens a source document at a page
+ * @param {string} file - Document name (e.g. "ITASTQB-QTEST-FL-2023-A-SOL.pdf")
+ * @param {number[]} pages - Pages of the reference, the first one is opened
+ * @param {string} folder - Folder of the documents
+ * @returns {string} - Relative URL, with #page= only for PDF files
+ */
+function buildSourceUrl(file, pages, folder = DEFAULT_PDF_FOLDER) {
+    const url = normalizePdfFolder(folder) + file.split('/').map(encodeURIComponent).join('/');
+    return /\.pdf$/i.test(file) && pages.length > 0 ? `${url}#page=${pages[0]}` : url;
+}
+
+/**
+ * Describe the pages of a reference
+ * @param {number[]} pages - Pages of the reference
+ * @returns {string} - "p. 8", "pp. 8, 12" or empty
+ */
+function formatReferencePages(pages) {
+    if (pages.length === 0) {
+        return '';
+    }
+    return t(pages.length === 1 ? 'sources.page' : 'sources.pages', { pages: pages.join(', ') });
+}
+
+/**
+ * Collect the source references of a question
+ * The solution is left out when it points to the same pages of the same file.
+ * @param {Object} question - Question object
+ * @param {string} folder - Folder of the documents
+ * @returns {Object[]} - [{ label, file, pages, url }] for "Domanda" and "Soluzione"
+ */
+function getQuestionSources(question, folder = DEFAULT_PDF_FOLDER) {
+    const references = [
+        { label: t('sources.question'), file: question.question_pdf, page: question.question_page },
+        { label: t('sources.solution'), file: question.answer_pdf, page: question.answer_page }
+    ];
+    const sources = [];
+
+    references.forEach(reference => {
+        if (typeof reference.file !== 'string' || reference.file.trim() === '') {
+            return;
+        }
+        const file = reference.file.trim();
+        const pages = getReferencePages(reference.page);
+        const isDuplicate = sources.some(source => source.file === file && source.pages.join() === pages.join());
+        if (!isDuplicate) {
+            sources.push({ label: reference.label, file, pages, url: buildSourceUrl(file, pages, folder) });
+        }
+    });
+
+    return sources;
+}
+
+/**
+ * Render the "Fonte" line of a question
+ * @param {Object} question - Question object
+ * @param {string} folder - Folder of the documents
+ * @returns {string} - HTML, empty when the question has no references
+ */
+function renderSourceLinks(question, folder = DEFAULT_PDF_FOLDER) {
+    const sources = getQuestionSources(question, folder);
+    if (sources.length === 0) {
+        return '';
+    }
+
+    const links = sources.map(source => {
+        const pages = formatReferencePages(source.pages);
+        const description = `${source.file}${pages ? `, ${pages}` : ''}`;
+        return `<a href="${escapeHtml(source.url)}" class="source-link" target="_blank" rel="noopener"
+                   data-source-title="${escapeHtml(`${source.label}: ${description}`)}">${escapeHtml(source.label)} (${escapeHtml(description)})</a>`;
+    }).join(' · ');
+
+    return `<p class="source-links"><strong>${t('sources.label')}</strong> ${links}</p>`;
+}
+
+// Export functions for testing or external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_PDF_FOLDER,
+        normalizePdfFolder,
+        getReferencePages,
+        buildSourceUrl,
+        formatReferencePages,
+        getQuestionSources,
+        renderSourceLinks
+    };
+}
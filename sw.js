@@ -0,0 +1,238 @@
+/**
+ * Service worker of the ISTQB Quiz App
+ *
+ * Keeps the app usable without a connection. At install it precaches the app
+ * shell and the quiz bank: json_Q_A/index.json, every quiz it lists and the
+ * images referenced by their questions (`question_image`). Both are then
+ * served from the cache.
+ *
+ * Each time the app reads the manifest, the worker fetches the network copy
+ * in the background. When it differs from the cached one, the whole bank is
+ * downloaded again and the open pages are told that an update is available.
+ *
+ * Bump CACHE_VERSION whenever a file of APP_SHELL changes (or a script is
+ * added to index.html), so that browsers install the new worker.
+ */
+
+const CACHE_VERSION = 'v16';
+const CACHE_PREFIX = 'istqb-quiz-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+// The bank has its own version (the manifest contents), it survives app updates
+const BANK_CACHE = `${CACHE_PREFIX}bank`;
+
+const QUIZ_FOLDER = 'json_Q_A/';
+const QUIZ_MANIFEST = `${QUIZ_FOLDER}index.json`;
+const IMAGE_FOLDER = 'img/';
+
+// Message posted to the pages when a new quiz bank has been cached
+const QUIZ_BANK_UPDATED = 'quiz-bank-updated';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'print.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'sample-quiz.json',
+    'i18n.js',
+    'quiz-schema.js',
+    'utils.js',
+    'exam-profiles.js',
+    'scoring-strategies.js',
+    'exam-sampling.js',
+    'database.js',
+    'attempt-history.js',
+    'results-export.js',
+    'disputes.js',
+    'source-links.js',
+    'session-seed.js',
+    'session-storage.js',
+    'session-timer.js',
+    'accommodations.js',
+    'router.js',
+    'offline-support.js',
+    'review-scheduler.js',
+    'question-timing.js',
+    'quiz-builder.js',
+    'quiz-formats.js',
+    'quiz-import.js',
+    'quiz-editor.js',
+    'app.js'
+];
+
+/**
+ * Resolve a path of the app against the scope of the worker
+ * @param {string} path - Relative path (e.g. "json_Q_A/index.json")
+ * @returns {string} - Absolute URL
+ */
+function getAppUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * Collect the images referenced by the questions of a quiz
+ * @param {*} quiz - Parsed quiz file
+ * @returns {string[]} - Image paths
+ */
+function getQuizImages(quiz) {
+    if (!Array.isArray(quiz)) {
+        return [];
+    }
+    return quiz
+        .map(question => question && question.question_image)
+        .filter(image => typeof image === 'string' && image.trim() !== '')
+        .map(image => image.trim());
+}
+
+/**
+ * Download the quiz bank described by a manifest into the bank cache
+ * Everything is fetched before the cache is written, and the manifest last,
+ * so an interrupted download leaves the previous bank usable.
+ * @param {Cache} cache - Bank cache
+ * @param {Response} manifestResponse - Network response of the manifest
+ * @returns {Promise<void>}
+ */
+async function downloadQuizBank(cache, manifestResponse) {
+    const manifest = await manifestResponse.clone().json();
+    const quizUrls = (Array.isArray(manifest.quizzes) ? manifest.quizzes : [])
+        .filter(entry => entry && typeof entry.file === 'string')
+        .map(entry => getAppUrl(`${QUIZ_FOLDER}${entry.file}`));
+
+    const quizResponses = await Promise.all(quizUrls.map(url => fetch(url, { cache: 'no-cache' })));
+    const images = new Set();
+    for (const response of quizResponses) {
+        if (response.ok) {
+            try {
+                getQuizImages(await response.clone().json()).forEach(image => images.add(getAppUrl(image)));
+            } catch (error) {
+                // Invalid JSON: the app reports it, the file is cached as is
+            }
+        }
+    }
+
+    // A missing image must not prevent studying offline
+    const imageUrls = [...images];
+    const imageResponses = await Promise.all(imageUrls.map(url => fetch(url, { cache: 'no-cache' }).catch(() => null)));
+
+    await Promise.all([
+        ...quizResponses.map((response, index) => response.ok && cache.put(quizUrls[index], response)),
+        ...imageResponses.map((response, index) => response && response.ok && cache.put(imageUrls[index], response))
+    ]);
+    await cache.put(getAppUrl(QUIZ_MANIFEST), manifestResponse);
+}
+
+/**
+ * Compare the network copy of the manifest with the cached one and download
+ * the bank again when it changed
+ * @param {boolean} notify - Tell the open pages when the bank was updated
+ * @returns {Promise<Response|null>} - Network response of the manifest, null when offline
+ */
+async function refreshQuizBank(notify) {
+    let response;
+    try {
+        response = await fetch(getAppUrl(QUIZ_MANIFEST), { cache: 'no-cache' });
+    } catch (error) {
+        return null;
+    }
+    if (!response.ok) {
+        return response;
+    }
+
+    const cache = await caches.open(BANK_CACHE);
+    const cached = await cache.match(getAppUrl(QUIZ_MANIFEST));
+    if (cached && await cached.text() === await response.clone().text()) {
+        return response;
+    }
+
+    await downloadQuizBank(cache, response.clone());
+    if (cached && notify) {
+        const pages = await self.clients.matchAll({ type: 'window' });
+        pages.forEach(page => page.postMessage({ type: QUIZ_BANK_UPDATED }));
+    }
+    return response;
+}
+
+/**
+ * Serve the quiz manifest from the cache and check for a new bank meanwhile
+ * @param {FetchEvent} event - Fetch of the manifest
+ * @returns {Promise<Response>} - Cached manifest, or the network one on the first visit
+ */
+async function serveQuizManifest(event) {
+    const cached = await caches.match(getAppUrl(QUIZ_MANIFEST), { cacheName: BANK_CACHE });
+    const refresh = refreshQuizBank(true);
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+    return (await refresh) || Response.error();
+}
+
+/**
+ * Serve a request from a cache, storing the network response when it is missing
+ * @param {Request} request - Request of the page
+ * @param {string} cacheName - Cache to read and fill
+ * @returns {Promise<Response>} - Cached or network response
+ */
+async function serveFromCache(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(APP_SHELL.map(getAppUrl));
+        // Offline or without a manifest the bank is cached while the app is used
+        await refreshQuizBank(false).catch(error => console.warn('Unable to cache the quiz bank:', error));
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== SHELL_CACHE && name !== BANK_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page activates a waiting worker when the user accepts the update
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    const path = url.origin + url.pathname;
+    if (request.mode === 'navigate') {
+        // Every page of the app is index.html (routes live in the fragment)
+        event.respondWith(caches.match(getAppUrl('index.html'), { cacheName: SHELL_CACHE })
+            .then(cached => cached || fetch(request)));
+    } else if (path === getAppUrl(QUIZ_MANIFEST)) {
+        event.respondWith(serveQuizManifest(event));
+    } else if (path.startsWith(getAppUrl(QUIZ_FOLDER)) || path.startsWith(getAppUrl(IMAGE_FOLDER))) {
+        event.respondWith(serveFromCache(request, BANK_CACHE));
+    } else if (APP_SHELL.some(file => path === getAppUrl(file))) {
+        event.respondWith(serveFromCache(request, SHELL_CACHE));
+    }
+    // Anything else (e.g. the source PDFs) goes to the network
+});
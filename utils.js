@@ -5,12 +5,13 @@
 /**
  * Shuffle an array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Function} random - Random number generator returning [0, 1)
  * @returns {Array} - New shuffled array
  */
-function shuffleArray(array) {
+function shuffleArray(array, random = Math.random) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
@@ -37,83 +38,70 @@ function getQuizTitle(filename) {
 }
 
 /**
- * Validate a quiz question object
- * @param {Object} question - Question object to validate
- * @param {number} index - Index for error reporting
- * @returns {Object} - {isValid: boolean, errors: string[]}
+ * Extract quiz filenames from an HTML directory listing
+ * (the page served by `python -m http.server` or `http-server` for a folder)
+ * @param {string} html - Directory listing HTML
+ * @returns {string[]} - Sorted list of .json filenames, manifest excluded
  */
-function validateQuestion(question, index) {
-    const errors = [];
-    
-    if (!question || typeof question !== 'object') {
-        errors.push(`Domanda ${index + 1}: Non è un oggetto valido`);
-        return { isValid: false, errors };
-    }
-    
-    if (!question.question_text || typeof question.question_text !== 'string') {
-        errors.push(`Domanda ${index + 1}: Manca question_text o non è una stringa`);
-    }
-    
-    if (!question.question_option) {
-        errors.push(`Domanda ${index + 1}: Manca question_option`);
-    } else if (Array.isArray(question.question_option)) {
-        // Array format: [{ option: "A", option_text: "..." }, ...]
-        if (question.question_option.length < 2) {
-            errors.push(`Domanda ${index + 1}: Deve avere almeno 2 opzioni`);
+function parseDirectoryListing(html) {
+    const filenames = new Set();
+    const linkPattern = /href\s*=\s*["']([^"'?#]+\.json)["']/gi;
+    let match;
+
+    while ((match = linkPattern.exec(html)) !== null) {
+        let filename;
+        try {
+            filename = decodeURIComponent(match[1]);
+        } catch (error) {
+            filename = match[1];
         }
-    } else if (typeof question.question_option === 'object') {
-        // Object format: { "a": "...", "b": "...", ... }
-        const optionKeys = Object.keys(question.question_option);
-        if (optionKeys.length < 2) {
-            errors.push(`Domanda ${index + 1}: Deve avere almeno 2 opzioni`);
+        // Keep only the last path segment (some servers emit absolute links)
+        filename = filename.split('/').pop();
+        if (filename && filename !== 'index.json') {
+            filenames.add(filename);
         }
-    } else {
-        errors.push(`Domanda ${index + 1}: question_option deve essere un array o un oggetto`);
-    }
-    
-    if (!question.answer_option || typeof question.answer_option !== 'string') {
-        errors.push(`Domanda ${index + 1}: Manca answer_option o non è una stringa`);
     }
+
+    return [...filenames].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Validate a quiz question object against the quiz schema (see quiz-schema.js)
+ * @param {Object} question - Question object to validate
+ * @param {number} index - Index for error reporting
+ * @returns {Object} - {isValid: boolean, errors: string[], warnings: string[]}
+ */
+function validateQuestion(question, index) {
+    const issues = validateQuizQuestion(question, `$[${index}]`);
+    const format = issue => formatValidationIssue(issue, getLocale());
+    const errors = issues.filter(issue => issue.severity === 'error').map(format);
     
     return {
         isValid: errors.length === 0,
-        errors
+        errors,
+        warnings: issues.filter(issue => issue.severity === 'warning').map(format)
     };
 }
 
 /**
  * Validate quiz data structure
+ * Questions with errors are discarded, warnings are only reported.
  * @param {any} data - Data to validate as quiz
  * @param {string} filename - Filename for error reporting
- * @returns {Object} - {isValid: boolean, validQuestions: Object[], errors: string[]}
+ * @returns {Object} - {isValid: boolean, validQuestions: Object[], errors: string[], warnings: string[]}
  */
 function validateQuizData(data, filename) {
-    const errors = [];
-    const validQuestions = [];
-    
-    if (!Array.isArray(data)) {
-        errors.push(`${filename}: Il file deve contenere un array di domande`);
-        return { isValid: false, validQuestions: [], errors };
-    }
-    
-    if (data.length === 0) {
-        errors.push(`${filename}: L'array delle domande è vuoto`);
-        return { isValid: false, validQuestions: [], errors };
-    }
-    
-    data.forEach((question, index) => {
-        const validation = validateQuestion(question, index);
-        if (validation.isValid) {
-            validQuestions.push(question);
-        } else {
-            errors.push(...validation.errors.map(err => `${filename}: ${err}`));
-        }
-    });
+    const validation = validateQuizDocument(data);
+    const format = issue => `${filename} ${formatValidationIssue(issue, getLocale())}`;
+    const validQuestions = validation.questions
+        .map((question, index) => (question.isValid ? data[index] : null))
+        .filter(Boolean);
     
     return {
-        isValid: validQuestions.length > 0,
+        isValid: validation.isValid,
         validQuestions,
-        errors
+        errors: validation.issues.filter(issue => issue.severity === 'error').map(format),
+        warnings: validation.issues.filter(issue => issue.severity === 'warning').map(format)
     };
 }
 
@@ -163,6 +151,10 @@ function getOptionText(question, optionKey) {
  * @returns {boolean} - True if question has multiple correct answers
  */
 function isMultiAnswerQuestion(question) {
+    if (Number.isInteger(question.select_count) && question.select_count > 1) {
+        return true;
+    }
+    
     if (!question.answer_option_text) {
         return false;
     }
@@ -174,6 +166,18 @@ function isMultiAnswerQuestion(question) {
     return false;
 }
 
+/**
+ * Get how many options the user has to select
+ * @param {Object} question - Question object
+ * @returns {number} - select_count when set, otherwise the number of correct answers
+ */
+function getRequiredSelectionCount(question) {
+    if (Number.isInteger(question.select_count) && question.select_count > 0) {
+        return question.select_count;
+    }
+    return Math.max(1, getCorrectAnswers(question).length);
+}
+
 /**
  * Get all correct answers for a question
  * @param {Object} question - Question object
@@ -193,6 +197,49 @@ function getCorrectAnswers(question) {
     return correctAnswers;
 }
 
+/**
+ * Get the answers accepted for an ambiguous question under the 'accept-any' policy
+ * @param {Object} question - Question object
+ * @returns {Array} - Uppercase keys: the correct answers plus those listed in accepted_answers
+ */
+function getAcceptedAnswers(question) {
+    const accepted = typeof question.accepted_answers === 'string' ?
+        question.accepted_answers.split(',').map(key => key.trim().toUpperCase()).filter(Boolean) :
+        [];
+    return [...new Set([...getCorrectAnswers(question), ...accepted])];
+}
+
+/**
+ * Normalize a learning objective code to the FL-x.y.z form
+ * (some files contain variants such as "FL1.2.2-")
+ * @param {string} learningObjective - Raw learning_objective value
+ * @returns {string|null} - Normalized code or null if it is not an FL code
+ */
+function normalizeLearningObjective(learningObjective) {
+    if (typeof learningObjective !== 'string') {
+        return null;
+    }
+
+    const match = learningObjective.trim().match(/^FL-?(\d+)\.(\d+)\.(\d+)-?$/i);
+    if (!match) {
+        return null;
+    }
+
+    return `FL-${parseInt(match[1], 10)}.${parseInt(match[2], 10)}.${parseInt(match[3], 10)}`;
+}
+
+/**
+ * Get a stable identity for a question across shuffles and quiz files
+ * @param {Object} question - Question object
+ * @returns {string} - "<question_pdf>#<question_number>", or the text when those are missing
+ */
+function getQuestionKey(question) {
+    if (question.question_pdf && question.question_number !== undefined) {
+        return `${question.question_pdf}#${question.question_number}`;
+    }
+    return `text#${question.question_text}`;
+}
+
 /**
  * Get image path for a question based on quiz name and question number
  * @param {string} quizName - Name of the quiz (e.g., "ITASTQB-QTEST-FL-2023-B-QA")
@@ -232,9 +279,10 @@ async function checkImageExists(imagePath) {
 /**
  * Prepare question for display with shuffled options
  * @param {Object} question - Original question object
+ * @param {Function} random - Random number generator (e.g. a seeded one, see session-seed.js)
  * @returns {Object} - Question with shuffled options and original key mapping
  */
-function prepareQuestionForDisplay(question) {
+function prepareQuestionForDisplay(question, random = Math.random) {
     if (!question.question_option) {
         return question;
     }
@@ -243,7 +291,7 @@ function prepareQuestionForDisplay(question) {
     
     if (Array.isArray(question.question_option)) {
         // Array format: shuffle the options
-        const shuffledOptions = shuffleArray(question.question_option);
+        const shuffledOptions = shuffleArray(question.question_option, random);
         return {
             ...question,
             question_option: shuffledOptions,
@@ -258,7 +306,7 @@ function prepareQuestionForDisplay(question) {
             option_text: text
         }));
         
-        const shuffledOptions = shuffleArray(optionArray);
+        const shuffledOptions = shuffleArray(optionArray, random);
         return {
             ...question,
             question_option: shuffledOptions,
@@ -273,14 +321,45 @@ function prepareQuestionForDisplay(question) {
     };
 }
 
+/**
+ * Get the points a question is worth
+ * @param {Object} question - Question object
+ * @returns {number} - Value of the `points` field, 1 when missing or invalid
+ */
+function getQuestionPoints(question) {
+    const points = Number(question && question.points);
+    return Number.isFinite(points) && points > 0 ? points : 1;
+}
+
+/**
+ * Compute the minimum score needed to pass
+ * @param {number} maxScore - Total points available
+ * @param {number} passPercentage - Required share of points (0-100)
+ * @returns {number} - Points needed to pass (e.g. 26 for 40 points at 65%)
+ */
+function getPassThreshold(maxScore, passPercentage) {
+    // Subtract a small epsilon so 65% of 40 gives exactly 26, not 26.000000000000004 -> 27
+    return Math.ceil((maxScore * passPercentage) / 100 - 1e-9);
+}
+
 /**
  * Grade user answers against correct answers
  * @param {Array} questions - Array of question objects
  * @param {Object} userAnswers - Object with questionId: selectedOption mapping
+ * @param {Object} profile - Exam profile providing passPercentage (defaults to 65%),
+ *                           scoringStrategy, weightByPoints and negativeMarking (see scoring-strategies.js) and
+ *                           ambiguousPolicy for questions with ambiguous: true (defaults to 'grade'):
+ *                           'award' counts them as correct for everyone, 'accept-any' also accepts
+ *                           accepted_answers, 'exclude' leaves them out of the score
  * @returns {Object} - Grading results
  */
-function gradeQuiz(questions, userAnswers) {
+function gradeQuiz(questions, userAnswers, profile = { passPercentage: 65 }) {
+    const strategy = getScoringStrategy(profile);
+    const weightByPoints = profile.weightByPoints !== false;
     let correctCount = 0;
+    let score = 0;
+    let maxScore = 0;
+    let excludedCount = 0;
     const results = [];
     const learningObjectiveStats = {};
     
@@ -289,40 +368,55 @@ function gradeQuiz(questions, userAnswers) {
         const userAnswer = userAnswers[questionId];
         const correctAnswers = getCorrectAnswers(question);
         const isMultiAnswer = isMultiAnswerQuestion(question);
+        const userSelections = Array.isArray(userAnswer) ? userAnswer : (userAnswer ? [userAnswer] : []);
         
-        let isCorrect = false;
+        const points = getQuestionPoints(question);
+        const weight = weightByPoints ? points : 1;
+        let { credit, earnedPoints } = scoreAnswer(correctAnswers, userSelections, weight, profile);
         
-        if (isMultiAnswer) {
-            // Multi-answer question: check if user selected all correct answers and no incorrect ones
-            const userSelections = Array.isArray(userAnswer) ? userAnswer : (userAnswer ? [userAnswer] : []);
-            const userSelectionsUpper = userSelections.map(ans => ans.toUpperCase());
-            const correctAnswersUpper = correctAnswers.map(ans => ans.toUpperCase());
-            
-            // Check if arrays are equal (same elements, same count)
-            isCorrect = correctAnswersUpper.length === userSelectionsUpper.length &&
-                       correctAnswersUpper.every(ans => userSelectionsUpper.includes(ans));
-        } else {
-            // Single answer question: case-insensitive comparison
-            const correctAnswer = question.answer_option;
-            isCorrect = userAnswer && 
-                userAnswer.toLowerCase() === correctAnswer.toLowerCase();
+        const ambiguousPolicy = question.ambiguous === true ? (profile.ambiguousPolicy || 'grade') : null;
+        let isAccepted = ambiguousPolicy === 'award';
+        if (ambiguousPolicy === 'accept-any' && credit < 1) {
+            const acceptedAnswers = getAcceptedAnswers(question);
+            const selectionsUpper = userSelections.map(ans => ans.toUpperCase());
+            isAccepted = selectionsUpper.length > 0 &&
+                selectionsUpper.length === getRequiredSelectionCount(question) &&
+                selectionsUpper.every(ans => acceptedAnswers.includes(ans));
+        }
+        if (isAccepted) {
+            credit = 1;
+            earnedPoints = weight;
         }
+        const excluded = ambiguousPolicy === 'exclude';
+        // Only full credit counts as a correct answer (review cards, outcome in the exports)
+        const isCorrect = credit >= 1;
         
-        if (isCorrect) {
-            correctCount++;
+        if (excluded) {
+            excludedCount++;
+            earnedPoints = 0;
+        } else {
+            maxScore += weight;
+            score += earnedPoints;
+            if (isCorrect) {
+                correctCount++;
+            }
         }
         
         // Track learning objective statistics
         const learningObjective = question.learning_objective;
-        if (learningObjective) {
+        if (learningObjective && !excluded) {
             if (!learningObjectiveStats[learningObjective]) {
                 learningObjectiveStats[learningObjective] = {
                     total: 0,
                     correct: 0,
-                    incorrect: 0
+                    incorrect: 0,
+                    score: 0,
+                    maxScore: 0
                 };
             }
             learningObjectiveStats[learningObjective].total++;
+            learningObjectiveStats[learningObjective].score = roundScore(learningObjectiveStats[learningObjective].score + earnedPoints);
+            learningObjectiveStats[learningObjective].maxScore += weight;
             if (isCorrect) {
                 learningObjectiveStats[learningObjective].correct++;
             } else {
@@ -382,15 +476,15 @@ function gradeQuiz(questions, userAnswers) {
                 userAnswerDisplay = userAnswer;
                 userAnswerTextDisplay = getOptionText(question, userAnswer);
             } else {
-                userAnswerDisplay = 'Nessuna risposta';
-                userAnswerTextDisplay = 'Nessuna risposta';
+                userAnswerDisplay = t('results.noAnswer');
+                userAnswerTextDisplay = t('results.noAnswer');
             }
         } else {
             const correctAnswer = question.answer_option;
             correctAnswerDisplay = correctAnswer;
             correctAnswerTextDisplay = getOptionText(question, correctAnswer);
-            userAnswerDisplay = userAnswer || 'Nessuna risposta';
-            userAnswerTextDisplay = userAnswer ? getOptionText(question, userAnswer) : 'Nessuna risposta';
+            userAnswerDisplay = userAnswer || t('results.noAnswer');
+            userAnswerTextDisplay = userAnswer ? getOptionText(question, userAnswer) : t('results.noAnswer');
         }
 
         results.push({
@@ -399,78 +493,77 @@ function gradeQuiz(questions, userAnswers) {
             correctAnswerText: correctAnswerTextDisplay,
             userAnswer: userAnswerDisplay,
             userAnswerText: userAnswerTextDisplay,
+            answered: userSelections.length > 0,
             isCorrect,
+            credit: excluded ? 0 : roundScore(credit),
+            earnedPoints,
             explanation: explanation,
             allExplanations: allExplanations,
             learningObjective: learningObjective,
-            isMultiAnswer: isMultiAnswer
+            isMultiAnswer: isMultiAnswer,
+            points: weight,
+            ambiguous: question.ambiguous === true,
+            ambiguousPolicy,
+            acceptedAnswers: ambiguousPolicy === 'accept-any' ? getAcceptedAnswers(question).join(', ') : null,
+            excluded
         });
     });
     
+    // Negative marking may take single questions below zero, never the total
+    score = Math.max(0, roundScore(score));
+    const passThreshold = getPassThreshold(maxScore, profile.passPercentage);
+    
     return {
-        score: correctCount,
-        total: questions.length,
-        percentage: Math.round((correctCount / questions.length) * 100),
-        passed: correctCount >= 26, // Fixed pass threshold
+        score,
+        maxScore,
+        correctCount,
+        total: questions.length - excludedCount,
+        excludedCount,
+        percentage: maxScore > 0 ? Math.round((score / maxScore) * 100) : 0,
+        passThreshold,
+        passed: score >= passThreshold,
+        profile: {
+            id: profile.id,
+            name: profile.name,
+            passPercentage: profile.passPercentage,
+            ambiguousPolicy: profile.ambiguousPolicy
+        },
+        scoring: {
+            strategy: strategy.id,
+            weightByPoints,
+            negativeMarking: strategy.id === 'negative' ?
+                (typeof profile.negativeMarking === 'number' ? profile.negativeMarking : DEFAULT_NEGATIVE_MARKING) : null
+        },
         results,
         learningObjectiveStats
     };
 }
 
-/**
- * Save quiz state to localStorage
- * @param {string} quizName - Name of the quiz
- * @param {Object} state - State object to save
- */
-function saveQuizState(quizName, state) {
-    try {
-        const key = `quiz_${quizName}`;
-        localStorage.setItem(key, JSON.stringify({
-            ...state,
-            timestamp: Date.now()
-        }));
-    } catch (error) {
-        console.warn('Unable to save quiz state:', error);
-    }
-}
+// Fields of gradeQuiz().results that only carry texts of the question
+const LOCALIZED_RESULT_FIELDS = ['question', 'correctAnswerText', 'userAnswerText', 'explanation', 'allExplanations'];
 
 /**
- * Load quiz state from localStorage
- * @param {string} quizName - Name of the quiz
- * @returns {Object|null} - Saved state or null if not found
- */
-function loadQuizState(quizName) {
-    try {
-        const key = `quiz_${quizName}`;
-        const saved = localStorage.getItem(key);
-        if (saved) {
-            const state = JSON.parse(saved);
-            // Check if state is less than 24 hours old
-            const maxAge = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-            if (Date.now() - state.timestamp < maxAge) {
-                return state;
-            } else {
-                // Remove expired state
-                localStorage.removeItem(key);
-            }
-        }
-    } catch (error) {
-        console.warn('Unable to load quiz state:', error);
-    }
-    return null;
-}
-
-/**
- * Clear quiz state from localStorage
- * @param {string} quizName - Name of the quiz
+ * Grade user answers and show the results in the current language
+ * Scores always come from the questions of the quiz files: their translation
+ * (see localizeQuestion in i18n.js) only gives the texts shown.
+ * @param {Array} questions - Array of question objects, untranslated
+ * @param {Object} userAnswers - Object with questionId: selectedOption mapping
+ * @param {Object} profile - Exam profile, as for gradeQuiz()
+ * @returns {Object} - Grading results
  */
-function clearQuizState(quizName) {
-    try {
-        const key = `quiz_${quizName}`;
-        localStorage.removeItem(key);
-    } catch (error) {
-        console.warn('Unable to clear quiz state:', error);
+function gradeQuizLocalized(questions, userAnswers, profile) {
+    const graded = gradeQuiz(questions, userAnswers, profile);
+    const localized = questions.map(question => localizeQuestion(question));
+    if (localized.every((question, index) => question === questions[index])) {
+        return graded;
     }
+    const texts = gradeQuiz(localized, userAnswers, profile).results;
+    graded.results.forEach((result, index) => {
+        LOCALIZED_RESULT_FIELDS.forEach(field => {
+            result[field] = texts[index][field];
+        });
+    });
+    return graded;
 }
 
 /**
@@ -508,17 +601,22 @@ if (typeof module !== 'undefined' && module.exports) {
         shuffleArray,
         formatTime,
         getQuizTitle,
+        parseDirectoryListing,
         validateQuestion,
         validateQuizData,
         safeJsonParse,
         getOptionText,
         isMultiAnswerQuestion,
+        getRequiredSelectionCount,
         getCorrectAnswers,
+        getAcceptedAnswers,
+        normalizeLearningObjective,
+        getQuestionKey,
         prepareQuestionForDisplay,
+        getQuestionPoints,
+        getPassThreshold,
         gradeQuiz,
-        saveQuizState,
-        loadQuizState,
-        clearQuizState,
+        gradeQuizLocalized,
         escapeHtml,
         debounce,
         getQuestionImagePath,
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Validate the quiz files against the quiz schema (see quiz-schema.js).
+ *
+ * Usage: node validate-quizzes.js [--strict] [--write-schema] [folder|file ...]
+ *
+ * Without arguments every *.json file in json_Q_A/ (except the manifest) is
+ * checked. Each problem is printed with its JSON path. The exit code is 1 when
+ * a file has errors (or warnings, with --strict), 0 otherwise.
+ * --write-schema regenerates quiz.schema.json from QUIZ_SCHEMA.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { QUIZ_SCHEMA, validateQuizDocument, formatValidationIssue } = require('./quiz-schema.js');
+
+const MANIFEST_NAME = 'index.json';
+const SCHEMA_FILE = path.join(__dirname, 'quiz.schema.json');
+
+/**
+ * Expand folders into the quiz files they contain
+ * @param {string[]} targets - Files or folders given on the command line
+ * @returns {string[]} - Quiz file paths
+ */
+function collectQuizFiles(targets) {
+    return targets.flatMap(target => {
+        if (!fs.statSync(target).isDirectory()) {
+            return [target];
+        }
+        return fs.readdirSync(target)
+            .filter(name => name.toLowerCase().endsWith('.json') && name !== MANIFEST_NAME)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => path.join(target, name));
+    });
+}
+
+/**
+ * Describe a JSON syntax error with line and column
+ * @param {string} content - Raw file contents
+ * @param {Error} error - Error thrown by JSON.parse
+ * @returns {string} - Error message, with "riga X, colonna Y" when the position is known
+ */
+function describeParseError(content, error) {
+    const match = error.message.match(/at position (\d+)/);
+    if (!match) {
+        return error.message;
+    }
+    const before = content.slice(0, parseInt(match[1], 10)).split('\n');
+    return `${error.message} (riga ${before.length}, colonna ${before[before.length - 1].length + 1})`;
+}
+
+/**
+ * Validate one quiz file
+ * @param {string} filePath - Path of the quiz file
+ * @returns {Array} - Issues [{ path, message, severity }]
+ */
+function validateQuizFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        return [{ path: '$', message: `JSON non valido: ${describeParseError(content, error)}`, severity: 'error' }];
+    }
+
+    return validateQuizDocument(data).issues;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const strict = args.includes('--strict');
+    const targets = args.filter(arg => !arg.startsWith('--'));
+
+    if (args.includes('--write-schema')) {
+        fs.writeFileSync(SCHEMA_FILE, JSON.stringify(QUIZ_SCHEMA, null, 2) + '\n', 'utf8');
+        console.log(`${path.basename(SCHEMA_FILE)} aggiornato`);
+    }
+
+    const files = collectQuizFiles(targets.length > 0 ? targets : [path.join(__dirname, 'json_Q_A')]);
+    let errorCount = 0;
+    let warningCount = 0;
+
+    files.forEach(filePath => {
+        const issues = validateQuizFile(filePath);
+        const errors = issues.filter(issue => issue.severity === 'error');
+        const warnings = issues.filter(issue => issue.severity === 'warning');
+        errorCount += errors.length;
+        warningCount += warnings.length;
+
+        const name = path.relative(process.cwd(), filePath) || filePath;
+        if (issues.length === 0) {
+            console.log(`✓ ${name}`);
+            return;
+        }
+        console.log(`✗ ${name}: ${errors.length} errori, ${warnings.length} avvisi`);
+        issues.forEach(issue => {
+            console.log(`  ${issue.severity === 'error' ? 'errore' : 'avviso'}  ${formatValidationIssue(issue)}`);
+        });
+    });
+
+    console.log(`\n${files.length} file controllati: ${errorCount} errori, ${warningCount} avvisi`);
+    if (errorCount > 0 || (strict && warningCount > 0)) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    collectQuizFiles,
+    describeParseError,
+    validateQuizFile
+};